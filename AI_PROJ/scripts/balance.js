@@ -0,0 +1,201 @@
+/**
+ * balance.js
+ * ─────────────────────────────────────────────────────────
+ * Class-imbalance strategies for a training fold (~22%
+ * no-show). Picked in Settings; `ratio` is the no-show : show
+ * balance the strategy aims for (1 = as many no-shows as
+ * shows, 0.5 = half as many):
+ *   none         original class mix
+ *   oversample   no-show rows drawn again at random until
+ *                the ratio is reached
+ *   undersample  show rows dropped at random until the ratio
+ *                is reached (smaller fold, faster training)
+ *   smote        synthetic no-shows interpolated between a
+ *                no-show and one of its nearest no-show
+ *                neighbours — numeric inputs only; binary
+ *                flags come from the closer of the two parents
+ *   weight       every row kept once; no-shows carry a sample
+ *                `weight` the worker turns into a larger
+ *                gradient step (class-weighted loss)
+ *
+ * Works on brain.js samples ({ input, output }) after the
+ * input vectors are built, and only ever on a training fold —
+ * validation and test rows keep the real class mix. Runs in
+ * the workers (nn.worker.js, lstm.worker.js), never on the
+ * page: SMOTE's neighbour search grows with the square of the
+ * no-show count.
+ *
+ * SETTINGS FORMAT (SAMPLING_OPTIONS, stored with models):
+ *   { strategy: 'smote', ratio: 1 }
+ *   Models saved before strategies existed hold
+ *   { oversampleFactor: 3 } (every no-show three times).
+ * ─────────────────────────────────────────────────────────
+ */
+
+import { MODEL_FIELDS } from './mapping.js';
+
+export const BALANCE_STRATEGIES = {
+  none:        { label: 'None (original class mix)' },
+  oversample:  { label: 'Random oversampling'       },
+  undersample: { label: 'Random undersampling'      },
+  smote:       { label: 'SMOTE (numeric features)'  },
+  weight:      { label: 'Class weighting'           }
+};
+
+const SMOTE_NEIGHBOURS = 5;
+
+const BINARY_FEATURES = MODEL_FIELDS
+  .filter(f => f.transforms[0] === 'boolean' && f.key !== 'noshow')
+  .map(f => f.key);
+
+// NN samples hold the label in output, LSTM text samples as a field
+const isNoshow = s => (s.noshow ?? s.output.noshow) === 1;
+
+/* ══════════════════════════════════════════════════════════
+   STRATEGIES
+   Each returns a new array (shared sample objects, the fold
+   itself is left alone); the caller shuffles.
+══════════════════════════════════════════════════════════ */
+function oversample(minority, majority, ratio, rng) {
+  const extra = Math.max(0, Math.round(ratio * majority.length) - minority.length);
+  const drawn = Array.from({ length: extra }, () => minority[Math.floor(rng() * minority.length)]);
+  return [...majority, ...minority, ...drawn];
+}
+
+function undersample(minority, majority, ratio, rng) {
+  const keep = Math.min(majority.length, Math.round(minority.length / ratio));
+  const kept = shuffleCopy(majority, rng).slice(0, keep);
+  return [...kept, ...minority];
+}
+
+function smote(minority, majority, ratio, rng, neighbours = minorityNeighbours(minority)) {
+  if (typeof minority[0].input !== 'object')
+    throw new Error('SMOTE needs numeric input vectors');
+  const extra = Math.max(0, Math.round(ratio * majority.length) - minority.length);
+  if (minority.length < 2) return oversample(minority, majority, ratio, rng);
+
+  const keys       = Object.keys(minority[0].input);
+  const synthetic  = Array.from({ length: extra }, () => {
+    const i      = Math.floor(rng() * minority.length);
+    const base   = minority[i];
+    const other  = minority[neighbours[i][Math.floor(rng() * neighbours[i].length)]];
+    const gap    = rng();
+    const input  = {};
+    keys.forEach(k => {
+      input[k] = BINARY_FEATURES.includes(k)
+        ? (gap < 0.5 ? base : other).input[k]
+        : base.input[k] + gap * (other.input[k] - base.input[k]);
+    });
+    return { input, output: { ...base.output } };
+  });
+  return [...majority, ...minority, ...synthetic];
+}
+
+/* ══════════════════════════════════════════════════════════
+   SMOTE NEIGHBOURS
+   For every no-show, the SMOTE_NEIGHBOURS closest other
+   no-shows (squared Euclidean), kept in a bounded list sorted
+   by distance: a candidate only goes in if it beats the
+   current k-th, so a row costs O(m · k) instead of sorting
+   all m. Ties keep the lower index, as a stable sort would.
+   The lists depend on the fold alone, not on the ratio —
+   smoteNeighbours() finds them once for several balancings.
+══════════════════════════════════════════════════════════ */
+function nearest(rows, i, k) {
+  const row  = rows[i];
+  const best = [];   // [{ index, dist }], ascending, at most k
+  for (let j = 0; j < rows.length; j++) {
+    if (j === i) continue;
+    const worst = best.length === k ? best[k - 1].dist : Infinity;
+    let dist = 0;
+    for (let d = 0; d < row.length && dist < worst; d++) dist += (row[d] - rows[j][d]) ** 2;
+    if (dist >= worst) continue;
+
+    let at = best.length;
+    while (at > 0 && best[at - 1].dist > dist) at--;
+    best.splice(at, 0, { index: j, dist });
+    if (best.length > k) best.pop();
+  }
+  return best.map(n => n.index);
+}
+
+function minorityNeighbours(minority) {
+  if (minority.length < 2 || typeof minority[0].input !== 'object') return [];
+  const keys = Object.keys(minority[0].input);
+  const rows = minority.map(s => keys.map(k => s.input[k]));
+  const k    = Math.min(SMOTE_NEIGHBOURS, rows.length - 1);
+  return rows.map((_, i) => nearest(rows, i, k));
+}
+
+/** Neighbour lists of a training fold's no-shows, for balanceSamples(). */
+export function smoteNeighbours(samples) {
+  return minorityNeighbours(samples.filter(isNoshow));
+}
+
+/**
+ * No-show weight so the no-shows weigh `ratio` times the shows in
+ * total; weights are rescaled to average 1 so the overall step size
+ * (learning rate) stays what Settings says.
+ */
+function weight(minority, majority, ratio) {
+  const raw   = ratio * majority.length / minority.length;
+  const scale = (minority.length + majority.length) / (minority.length * raw + majority.length);
+  return [
+    ...majority.map(s => ({ ...s, weight: scale })),
+    ...minority.map(s => ({ ...s, weight: scale * raw }))
+  ];
+}
+
+function shuffleCopy(array, rng) {
+  const copy = array.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/* ══════════════════════════════════════════════════════════
+   ENTRY POINT
+══════════════════════════════════════════════════════════ */
+/** `neighbours`: smoteNeighbours() of the same samples, when balancing one fold several times. */
+export function balanceSamples(samples, { strategy, ratio }, rng, neighbours) {
+  if (!(strategy in BALANCE_STRATEGIES)) throw new Error(`Unknown balancing strategy "${strategy}"`);
+  const minority = samples.filter(isNoshow);
+  const majority = samples.filter(s => !isNoshow(s));
+  // Nothing to balance against — a fold without one of the classes
+  if (strategy === 'none' || !minority.length || !majority.length) return samples.slice();
+
+  switch (strategy) {
+    case 'oversample':  return oversample(minority, majority, ratio, rng);
+    case 'undersample': return undersample(minority, majority, ratio, rng);
+    case 'smote':       return smote(minority, majority, ratio, rng, neighbours);
+    case 'weight':      return weight(minority, majority, ratio);
+  }
+}
+
+/* ══════════════════════════════════════════════════════════
+   DESCRIPTIONS  (training log, leaderboards, saved models)
+══════════════════════════════════════════════════════════ */
+export function describeBalance(sampling) {
+  if (!sampling.strategy) return `no-shows ${sampling.oversampleFactor}× (duplicated)`;
+  const label = BALANCE_STRATEGIES[sampling.strategy].label;
+  return sampling.strategy === 'none' ? label : `${label} to ${sampling.ratio} no-show : 1 show`;
+}
+
+/** Short form for table cells: "SMOTE 1", "3×". */
+export function shortBalance(sampling) {
+  if (!sampling.strategy)            return `${sampling.oversampleFactor}×`;
+  if (sampling.strategy === 'none')  return 'none';
+  const short = { oversample: 'over', undersample: 'under', smote: 'SMOTE', weight: 'weight' };
+  return `${short[sampling.strategy]} ${sampling.ratio}`;
+}
+
+/** "210 samples (105 no-show)"; weighted folds add the two class weights. */
+export function summarizeSamples(samples) {
+  const noshow   = samples.filter(isNoshow);
+  const weighted = samples.find(s => s.weight !== undefined && !isNoshow(s));
+  const base     = `${samples.length} samples (${noshow.length} no-show)`;
+  if (!weighted || !noshow.length) return base;
+  return `${base} · weight no-show ${noshow[0].weight.toFixed(2)} / show ${weighted.weight.toFixed(2)}`;
+}
@@ -0,0 +1,243 @@
+/**
+ * baselinemodels.js
+ * ─────────────────────────────────────────────────────────
+ * Plain-JS tabular baselines for the feedforward network
+ * (trained in baselines.worker.js on the network's own
+ * samples, compared in baselines.js):
+ *  - Logistic regression with an L2 penalty, fitted by
+ *    Newton's method (IRLS)
+ *  - Decision tree (CART, weighted Gini impurity)
+ *  - Gradient-boosted trees on the log-loss: shallow
+ *    regression trees with Newton leaf values, shrunk by
+ *    the learning rate
+ *
+ * Samples are rows of numbers (the network's input vector in
+ * a fixed key order), labels 0 / 1 and per-sample weights —
+ * a balance.js `weight` counts like that many copies of the
+ * row, as it does for the network.
+ *
+ * Trees split on binned thresholds: every input gets at most
+ * MAX_BINS candidate cuts (its distinct values, or quantiles
+ * on large data), so a split costs one pass over the node's
+ * rows per input.
+ *
+ * MODEL FORMAT (plain JSON):
+ *   { type: 'logistic', weights: [...], bias }
+ *   { type: 'tree',     root }
+ *   { type: 'gbt',      base, rate, trees: [root, …] }
+ *   root = { value } | { feature, threshold, left, right }
+ *   (feature = index into the input keys; x ≤ threshold → left)
+ * ─────────────────────────────────────────────────────────
+ */
+
+export const BASELINES = {
+  logistic: { label: 'Logistic regression (L2)', params: { l2: 1 } },
+  tree:     { label: 'Decision tree',            params: { depth: 4, minLeaf: 5 } },
+  gbt:      { label: 'Gradient-boosted trees',   params: { trees: 50, depth: 3, minLeaf: 5, rate: 0.1, l2: 1 } }
+};
+
+const MAX_BINS = 32;
+
+const EPS = 1e-12;
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+/* ══════════════════════════════════════════════════════════
+   LINEAR ALGEBRA
+══════════════════════════════════════════════════════════ */
+/** Solves A · x = b by Gaussian elimination with partial pivoting. */
+export function solveLinear(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = m[r][n];
+    for (let c = r + 1; c < n; c++) sum -= m[r][c] * x[c];
+    x[r] = sum / m[r][r];
+  }
+  return x;
+}
+
+/* ══════════════════════════════════════════════════════════
+   LOGISTIC REGRESSION
+   Minimizes weighted log-loss + l2/2 · |weights|², the bias
+   unpenalized. Newton steps on the full Hessian — fine for
+   the few dozen inputs the network sees.
+══════════════════════════════════════════════════════════ */
+export function fitLogistic(X, y, w = y.map(() => 1), { l2 = 1, iterations = 50 } = {}) {
+  const d = X[0].length;
+  let beta = new Array(d + 1).fill(0);   // last entry = bias
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const grad = beta.map((b, j) => (j < d ? l2 * b : 0));
+    const H    = beta.map((_, j) => beta.map((__, k) => (j === k ? (j < d ? l2 : 0) + EPS : 0)));
+    X.forEach((x, i) => {
+      let z = beta[d];
+      for (let j = 0; j < d; j++) z += beta[j] * x[j];
+      const p = sigmoid(z);
+      const g = w[i] * (p - y[i]);
+      const h = w[i] * p * (1 - p);
+      for (let j = 0; j <= d; j++) {
+        const xj = j < d ? x[j] : 1;
+        grad[j] += g * xj;
+        for (let k = j; k <= d; k++) H[j][k] += h * xj * (k < d ? x[k] : 1);
+      }
+    });
+    for (let j = 0; j <= d; j++) for (let k = 0; k < j; k++) H[j][k] = H[k][j];
+
+    const step = solveLinear(H, grad);
+    if (step.some(v => !Number.isFinite(v))) break;
+    beta = beta.map((b, j) => b - step[j]);
+    if (step.reduce((sum, v) => sum + Math.abs(v), 0) < 1e-8) break;
+  }
+  return { type: 'logistic', weights: beta.slice(0, d), bias: beta[d] };
+}
+
+export function logisticLogit(model, x) {
+  return x.reduce((z, v, j) => z + model.weights[j] * v, model.bias);
+}
+
+/* ══════════════════════════════════════════════════════════
+   TREES  (shared by the decision tree and boosting)
+   A split maximizes score(left) + score(right) − score(node)
+   over per-row statistics (a, b) summed per bin; `leaf`
+   turns a node's sums into its value.
+══════════════════════════════════════════════════════════ */
+function candidateCuts(values) {
+  const sorted = [...new Set(values)].sort((p, q) => p - q);
+  if (sorted.length <= MAX_BINS) return sorted.slice(0, -1);
+  const all  = values.slice().sort((p, q) => p - q);
+  const cuts = Array.from({ length: MAX_BINS - 1 }, (_, k) => all[Math.floor((k + 1) * all.length / MAX_BINS)]);
+  return [...new Set(cuts)];
+}
+
+/** Per input: candidate cuts and each row's bin (first cut ≥ value, or the last bin). */
+function binInputs(X) {
+  return X[0].map((_, j) => {
+    const cuts = candidateCuts(X.map(x => x[j]));
+    const bins = Uint8Array.from(X, x => {
+      let k = 0;
+      while (k < cuts.length && x[j] > cuts[k]) k++;
+      return k;
+    });
+    return { cuts, bins };
+  });
+}
+
+function growTree(binned, rows, a, b, { depth, minLeaf, score, leaf }) {
+  let A = 0, B = 0;
+  rows.forEach(i => { A += a[i]; B += b[i]; });
+  const node = { value: leaf(A, B) };
+  if (depth === 0 || rows.length < 2 * minLeaf) return node;
+
+  const parent = score(A, B);
+  let best = null;
+  binned.forEach(({ cuts, bins }, feature) => {
+    if (!cuts.length) return;
+    const sumA = new Float64Array(cuts.length + 1);
+    const sumB = new Float64Array(cuts.length + 1);
+    const n    = new Uint32Array(cuts.length + 1);
+    rows.forEach(i => { sumA[bins[i]] += a[i]; sumB[bins[i]] += b[i]; n[bins[i]]++; });
+
+    let leftA = 0, leftB = 0, leftN = 0;
+    for (let k = 0; k < cuts.length; k++) {
+      leftA += sumA[k]; leftB += sumB[k]; leftN += n[k];
+      if (leftN < minLeaf || rows.length - leftN < minLeaf) continue;
+      const gain = score(leftA, leftB) + score(A - leftA, B - leftB) - parent;
+      if (gain > EPS && (!best || gain > best.gain)) best = { gain, feature, k };
+    }
+  });
+  if (!best) return node;
+
+  const { bins, cuts } = binned[best.feature];
+  const next = { depth: depth - 1, minLeaf, score, leaf };
+  return {
+    feature:   best.feature,
+    threshold: cuts[best.k],
+    left:      growTree(binned, rows.filter(i => bins[i] <= best.k), a, b, next),
+    right:     growTree(binned, rows.filter(i => bins[i] > best.k), a, b, next)
+  };
+}
+
+export function treeValue(node, x) {
+  while (node.left) node = x[node.feature] <= node.threshold ? node.left : node.right;
+  return node.value;
+}
+
+/* ══════════════════════════════════════════════════════════
+   DECISION TREE
+   a = no-show weight, b = total weight of a node. Weighted
+   Gini impurity = 2a(b − a) / b; the leaf is its no-show
+   share, Laplace-smoothed so a pure leaf never scores 0 or 1
+   (the log-loss and Platt scaling would blow up).
+══════════════════════════════════════════════════════════ */
+export function fitTree(X, y, w = y.map(() => 1), { depth = 4, minLeaf = 5 } = {}) {
+  const root = growTree(binInputs(X), X.map((_, i) => i), y.map((yi, i) => yi * w[i]), w, {
+    depth,
+    minLeaf,
+    score: (a, b) => (b > 0 ? -2 * a * (b - a) / b : 0),
+    leaf:  (a, b) => (a + 1) / (b + 2)
+  });
+  return { type: 'tree', root };
+}
+
+/* ══════════════════════════════════════════════════════════
+   GRADIENT-BOOSTED TREES
+   Starts from the weighted log-odds; every round fits a tree
+   to the log-loss gradient g and hessian h of the current
+   scores (a = g, b = h): gain G² / (H + l2), leaf −G / (H + l2).
+══════════════════════════════════════════════════════════ */
+export function fitGbt(X, y, w = y.map(() => 1), { trees = 50, depth = 3, minLeaf = 5, rate = 0.1, l2 = 1 } = {}, onTree = () => {}) {
+  const total = w.reduce((s, wi) => s + wi, 0);
+  const pos   = y.reduce((s, yi, i) => s + yi * w[i], 0);
+  const prior = Math.min(1 - 1e-6, Math.max(1e-6, pos / total));
+  const base  = Math.log(prior / (1 - prior));
+
+  const binned = binInputs(X);
+  const rows   = X.map((_, i) => i);
+  const scores = new Float64Array(X.length).fill(base);
+  const model  = { type: 'gbt', base, rate, trees: [] };
+  const opts   = {
+    depth,
+    minLeaf,
+    score: (G, H) => G * G / (H + l2),
+    leaf:  (G, H) => -G / (H + l2)
+  };
+
+  for (let t = 0; t < trees; t++) {
+    const p    = Array.from(scores, sigmoid);
+    const g    = p.map((pi, i) => w[i] * (pi - y[i]));
+    const h    = p.map((pi, i) => w[i] * pi * (1 - pi));
+    const root = growTree(binned, rows, g, h, opts);
+    model.trees.push(root);
+    X.forEach((x, i) => { scores[i] += rate * treeValue(root, x); });
+    onTree(t + 1);
+  }
+  return model;
+}
+
+/* ══════════════════════════════════════════════════════════
+   TRAIN / PREDICT  (any baseline by key)
+══════════════════════════════════════════════════════════ */
+export function trainBaseline(key, X, y, w, onProgress = () => {}) {
+  const { params } = BASELINES[key];
+  if (key === 'logistic') return fitLogistic(X, y, w, params);
+  if (key === 'tree')     return fitTree(X, y, w, params);
+  if (key === 'gbt')      return fitGbt(X, y, w, params, t => onProgress(t / params.trees));
+  throw new Error(`Unknown baseline "${key}"`);
+}
+
+/** P(no-show) of one input row. */
+export function predictBaseline(model, x) {
+  if (model.type === 'logistic') return sigmoid(logisticLogit(model, x));
+  if (model.type === 'tree')     return treeValue(model.root, x);
+  return sigmoid(model.trees.reduce((z, root) => z + model.rate * treeValue(root, x), model.base));
+}
@@ -0,0 +1,193 @@
+/**
+ * baselines.js
+ * ─────────────────────────────────────────────────────────
+ * Is the network any better than a simple model?
+ *  - Trains the baselinemodels.js models (logistic
+ *    regression, decision tree, gradient-boosted trees) in
+ *    baselines.worker.js on the network's own samples: same
+ *    split, scaling, encodings, balancing and weights
+ *  - Scores them like the network: a calibrator of the
+ *    page's method fitted on each model's validation scores,
+ *    then metrics.js evaluate() on the test fold at the
+ *    decision threshold
+ *  - DOM helpers: comparison table next to the network and
+ *    the logistic coefficients as an interpretable view
+ *
+ * Baselines live for the page session only; they are not
+ * stored with a saved model.
+ *
+ * RESULT FORMAT (trainBaselines):
+ *   { keys: ['age', 'sms_received', …],
+ *     models: { logistic: { model, validation: [p, …], test: [p, …] }, tree: …, gbt: … } }
+ * ─────────────────────────────────────────────────────────
+ */
+
+import { BASELINES } from './baselinemodels.js';
+import { fitCalibrator, applyCalibrator } from './calibration.js';
+import { evaluate, formatPct } from './metrics.js';
+
+const MAX_COEFFICIENTS = 15;   // largest |β| shown; note inputs can add hundreds
+
+let baselineWorker = null;
+
+/* ══════════════════════════════════════════════════════════
+   TRAIN  (one worker per run, all three models)
+══════════════════════════════════════════════════════════ */
+/**
+ * samples: the balanced samples the network trained on (myBrain.trainingData);
+ * validation / test: [{ input, noshow }] built with the network's bounds.
+ * onProgress(label, fraction) reports the model in training.
+ */
+export function trainBaselines({ samples, validation, test, onProgress = () => {} }) {
+  cancelBaselines();
+  const worker = baselineWorker = new Worker('./scripts/baselines.worker.js', { type: 'module' });
+  const models = {};
+
+  return new Promise((resolve, reject) => {
+    const finish = (fn, value) => {
+      worker.terminate();
+      if (baselineWorker === worker) baselineWorker = null;
+      fn(value);
+    };
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'progress') onProgress(BASELINES[msg.key].label, msg.fraction);
+      if (msg.type === 'model')    models[msg.key] = { model: msg.model, ...msg.predictions };
+      if (msg.type === 'done')     finish(resolve, { keys: msg.keys, models });
+      if (msg.type === 'error')    finish(reject, new Error(msg.message));
+    };
+    worker.onerror = (err) => finish(reject, new Error(err.message || 'Worker error'));
+
+    worker.postMessage({
+      type:  'train',
+      samples,
+      folds: {
+        validation: validation.map(({ input, noshow }) => ({ input, noshow })),
+        test:       test.map(({ input, noshow }) => ({ input, noshow }))
+      }
+    });
+  });
+}
+
+/** Stops a running training (e.g. when a new network is trained). */
+export function cancelBaselines() {
+  if (!baselineWorker) return;
+  baselineWorker.terminate();
+  baselineWorker = null;
+}
+
+/* ══════════════════════════════════════════════════════════
+   EVALUATE  (same protocol as the network's result cards)
+   actual: { validation: [0|1, …], test: [0|1, …] }
+══════════════════════════════════════════════════════════ */
+export function evaluateBaselines(results, { actual, method, threshold }) {
+  return Object.keys(BASELINES).filter(key => results.models[key]).map(key => {
+    const { validation, test } = results.models[key];
+    const calibrator = fitCalibrator(method, actual.validation, validation);
+    return {
+      key,
+      label: BASELINES[key].label,
+      test:  evaluate(actual.test, test.map(p => applyCalibrator(calibrator, p)), threshold)
+    };
+  });
+}
+
+/* ══════════════════════════════════════════════════════════
+   DOM HELPERS  (results card)
+══════════════════════════════════════════════════════════ */
+const COMPARE_METRICS = [
+  { key: 'rocAuc',       label: 'ROC-AUC',        format: v => v.toFixed(3),       best: 'max' },
+  { key: 'prAuc',        label: 'PR-AUC',         format: v => v.toFixed(3),       best: 'max' },
+  { key: 'accuracy',     label: 'Accuracy',       format: v => formatPct(v) + '%', best: 'max' },
+  { key: 'balancedAcc',  label: 'Balanced Acc.',  format: v => formatPct(v) + '%', best: 'max' },
+  { key: 'noshowRecall', label: 'No-Show Recall', format: v => formatPct(v) + '%', best: 'max' },
+  { key: 'f1',           label: 'F1',             format: v => v.toFixed(3),       best: 'max' },
+  { key: 'brier',        label: 'Brier',          format: v => v.toFixed(3),       best: 'min' },
+  { key: 'logLoss',      label: 'Log-Loss',       format: v => v.toFixed(3),       best: 'min' }
+];
+
+/**
+ * comparison: { nn, baselines } — the network's and evaluateBaselines()
+ * test evaluations — or { status } while training / when it failed,
+ * or null to hide the section.
+ */
+export function renderBaselineComparison(comparison) {
+  const section = document.getElementById('baselineSection');
+  section.hidden = !comparison;
+  if (!comparison) return;
+
+  const el = document.getElementById('baselineComparison');
+  if (comparison.status) {
+    el.innerHTML = `<p class="accuracy-note">${comparison.status}</p>`;
+    return;
+  }
+
+  const rows = [{ label: 'Neural network (brain.js)', test: comparison.nn }, ...comparison.baselines];
+  const best = Object.fromEntries(COMPARE_METRICS.map(m => {
+    const values = rows.map(r => r.test[m.key]);
+    return [m.key, m.best === 'max' ? Math.max(...values) : Math.min(...values)];
+  }));
+  const cells = ev => COMPARE_METRICS.map(m =>
+    `<td${ev[m.key] === best[m.key] ? ' style="color:var(--accent)"' : ''}>${m.format(ev[m.key])}</td>`).join('');
+
+  el.innerHTML = `
+    <div class="data-table-wrap">
+      <table>
+        <thead><tr><th>Test set</th>${COMPARE_METRICS.map(m => `<th>${m.label}</th>`).join('')}</tr></thead>
+        <tbody>
+          ${rows.map(r => `<tr><td>${r.label}</td>${cells(r.test)}</tr>`).join('')}
+        </tbody>
+      </table>
+    </div>
+    <p class="accuracy-note">
+      All models trained on the network's training samples and calibrated on the validation fold with the
+      page's method; ${comparison.nn.n} test rows at threshold ${comparison.nn.threshold.toFixed(2)}. Best per column highlighted.
+    </p>
+  `;
+}
+
+/**
+ * Logistic coefficients, largest |β| first. A coefficient is the change
+ * in log-odds per unit of the scaled input the network sees; exp(β) is
+ * the matching odds ratio. results: trainBaselines() result, or null.
+ */
+export function renderCoefficients(results) {
+  const el = document.getElementById('baselineCoefficients');
+  const logistic = results && results.models.logistic;
+  if (!logistic) {
+    el.innerHTML = '';
+    return;
+  }
+
+  const { weights, bias } = logistic.model;
+  const terms = results.keys
+    .map((feature, i) => ({ feature, beta: weights[i] }))
+    .sort((a, b) => Math.abs(b.beta) - Math.abs(a.beta));
+  const shown = terms.slice(0, MAX_COEFFICIENTS);
+  const max   = Math.max(...shown.map(t => Math.abs(t.beta)), 0.01);
+
+  const bars = shown.map(t => {
+    const side = t.beta >= 0 ? 'up' : 'down';
+    return `
+      <div class="explain-row">
+        <span class="explain-name">${t.feature}</span>
+        <div class="explain-bar-bg">
+          <div class="explain-bar ${side}" style="width:${(Math.abs(t.beta) / max * 50).toFixed(1)}%"></div>
+        </div>
+        <span class="explain-val ${side}">${t.beta >= 0 ? '+' : '−'}${Math.abs(t.beta).toFixed(2)}</span>
+        <span class="explain-val ${side}">× ${Math.exp(t.beta).toFixed(2)}</span>
+      </div>
+    `;
+  }).join('');
+
+  el.innerHTML = `
+    <div class="acc-group-label">Logistic regression coefficients — log-odds per unit of scaled input, odds ratio</div>
+    ${bars}
+    <p class="accuracy-note">
+      Intercept ${bias.toFixed(2)} (${formatPct(1 / (1 + Math.exp(-bias)))}% at all-zero inputs).
+      ${terms.length > shown.length ? `Showing the ${shown.length} largest of ${terms.length} coefficients.` : ''}
+      Inputs are scaled as the network sees them, so β compares effects across features; rebalancing of the
+      training fold mainly shifts the intercept.
+    </p>
+  `;
+}
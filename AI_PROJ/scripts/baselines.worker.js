@@ -0,0 +1,44 @@
+/**
+ * baselines.worker.js
+ * ─────────────────────────────────────────────────────────
+ * Trains the plain-JS baselines (baselinemodels.js) off the
+ * main thread, one after the other, on the feedforward
+ * network's own samples, and scores the validation and test
+ * folds with each.
+ *
+ * Module worker (imports baselinemodels.js); no CDN.
+ *
+ * Communication via postMessage:
+ *   Main → Worker:  { type: 'train', samples: [{ input, output, weight? }],
+ *                     folds: { validation: [{ input, noshow }], test: [...] } }
+ *   Worker → Main:  { type: 'progress', key, fraction }
+ *                   { type: 'model',    key, model, predictions: { validation, test } }
+ *                   { type: 'done',     keys }   (input keys, in the models' column order)
+ *                   { type: 'error',    message }
+ * ─────────────────────────────────────────────────────────
+ */
+
+import { BASELINES, trainBaseline, predictBaseline } from './baselinemodels.js';
+
+self.onmessage = function(e) {
+  const { type, samples, folds } = e.data;
+  if (type !== 'train') return;
+
+  try {
+    const keys = Object.keys(samples[0].input);
+    const row  = input => keys.map(k => input[k]);
+    const X    = samples.map(s => row(s.input));
+    const y    = samples.map(s => s.output.noshow);
+    const w    = samples.map(s => s.weight ?? 1);
+
+    Object.keys(BASELINES).forEach(key => {
+      postMessage({ type: 'progress', key, fraction: 0 });
+      const model = trainBaseline(key, X, y, w, fraction => postMessage({ type: 'progress', key, fraction }));
+      const score = fold => fold.map(s => predictBaseline(model, row(s.input)));
+      postMessage({ type: 'model', key, model, predictions: { validation: score(folds.validation), test: score(folds.test) } });
+    });
+    postMessage({ type: 'done', keys });
+  } catch (err) {
+    postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,195 @@
+/**
+ * batch.js
+ * ─────────────────────────────────────────────────────────
+ * Batch scoring of upcoming appointments:
+ *  - Mapping a label-free CSV onto model records (the
+ *    training mapping if it fits, otherwise auto-detected)
+ *  - Result rows: calibrated NN risk, verdict at the active
+ *    decision threshold, optional LSTM outcome
+ *  - Sortable results table (highest risk first)
+ *  - CSV download: every source row with `risk` and
+ *    `prediction` appended (+ `lstm_prediction`)
+ *
+ * Verdicts are not stored — they are derived from the risk
+ * whenever the table is drawn or the file is written, so
+ * moving the threshold slider re-labels the batch for free.
+ * ─────────────────────────────────────────────────────────
+ */
+
+import { dataset } from './config.js';
+import { formatCsv, normalizeHeader } from './csv.js';
+import { suggestProfile, withoutLabel, profileMatches, applyProfile } from './mapping.js';
+import { deriveFeatures } from './derived.js';
+import { formatPct } from './metrics.js';
+
+export const TABLE_LIMIT = 500;   // rows drawn in the table; the download has all
+
+/* ══════════════════════════════════════════════════════════
+   MAPPING  (CSV → records, no label needed)
+══════════════════════════════════════════════════════════ */
+
+/**
+ * Maps an upcoming-appointments CSV to records. `features` are the
+ * inputs the trained network needs; a file missing any of them is
+ * rejected rather than scored with silent zeros. Neighbourhoods the
+ * model never saw are fine — they score with its prior no-show rate.
+ * Patient history is counted from the active (labelled) dataset.
+ */
+export function prepareBatch(csv, features) {
+  const trained = dataset.profile && withoutLabel(dataset.profile);
+  const profile = trained && profileMatches(trained, csv.header)
+    ? trained
+    : suggestProfile(csv.header, { requireLabel: false });
+
+  const result    = applyProfile(csv, profile, { requireLabel: false });
+  const derived   = deriveFeatures(result.records, profile, { history: dataset.records });
+  const available = result.features.concat(
+    derived,
+    profile.fields.neighbourhood?.column ? ['neighbourhood'] : [],
+    profile.fields.notes?.column ? ['notes'] : []
+  );
+  const missing   = features.filter(f => !available.includes(f));
+  if (missing.length)
+    throw new Error(`No column found for model feature(s): ${missing.join(', ')} — columns in file: ${csv.header.join(', ')}`);
+
+  return { profile, ...result };
+}
+
+/* ══════════════════════════════════════════════════════════
+   RESULTS
+   [{ row, record, risk, lstm }] — `row` is the 1-based data
+   row in the source file, `lstm` an LSTM outcome ('noshow',
+   'showup', 'unparseable') or null.
+══════════════════════════════════════════════════════════ */
+export function buildBatchResults({ records, rowIndex }, risks, lstmLabels = null) {
+  return records.map((record, i) => ({
+    row:    rowIndex[i] + 1,
+    record,
+    risk:   risks[i],
+    lstm:   lstmLabels ? lstmLabels[i] : null
+  }));
+}
+
+// Unparseable LSTM answers sort between the two verdicts
+const LSTM_ORDER = { showup: 0, unparseable: 1, noshow: 2 };
+
+const SORT_VALUES = {
+  row:       r => r.row,
+  age:       r => r.record.age,
+  days_wait: r => r.record.days_wait,
+  risk:      r => r.risk,
+  lstm:      r => LSTM_ORDER[r.lstm] ?? 0
+};
+
+/** Sorted copy; ties keep file order. */
+export function sortResults(results, { key = 'risk', dir = 'desc' } = {}) {
+  const value = SORT_VALUES[key] || SORT_VALUES.risk;
+  const sign  = dir === 'asc' ? 1 : -1;
+  return results.slice().sort((a, b) => sign * (value(a) - value(b)) || a.row - b.row);
+}
+
+export function summarizeBatch(results, threshold) {
+  const flagged = results.filter(r => r.risk > threshold).length;
+  const mean    = results.length ? results.reduce((sum, r) => sum + r.risk, 0) / results.length : 0;
+  return { scored: results.length, flagged, meanRisk: mean };
+}
+
+/* ══════════════════════════════════════════════════════════
+   CSV DOWNLOAD
+   Source rows stay in file order with their original
+   columns; rows the mapping skipped get an empty risk and
+   the prediction "invalid".
+══════════════════════════════════════════════════════════ */
+export function batchToCsv(csv, results, threshold) {
+  const withLstm = results.some(r => r.lstm !== null);
+  const extra    = ['risk', 'prediction'].concat(withLstm ? ['lstm_prediction'] : []);
+  // Avoid duplicate names if the file already has a "risk" column
+  const taken  = new Set(csv.header.map(normalizeHeader));
+  const header = csv.header.concat(extra.map(name => (taken.has(normalizeHeader(name)) ? `model_${name}` : name)));
+
+  const byRow = new Map(results.map(r => [r.row, r]));
+  const rows  = csv.rows.map((source, i) => {
+    const r = byRow.get(i + 1);
+    const padded = csv.header.map((_, j) => source[j] ?? '');
+    if (!r) return padded.concat(['', 'invalid'].concat(withLstm ? [''] : []));
+    return padded.concat(
+      [r.risk.toFixed(4), r.risk > threshold ? 'noshow' : 'show'],
+      withLstm ? [r.lstm === 'showup' ? 'show' : r.lstm] : []
+    );
+  });
+
+  return formatCsv(header, rows, csv.delimiter);
+}
+
+export function downloadBatchCsv(text, sourceName) {
+  const blob = new Blob([text], { type: 'text/csv' });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = `${sourceName.replace(/\.[^.]+$/, '')}.scored.csv`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/* ══════════════════════════════════════════════════════════
+   DOM HELPERS  (results table)
+══════════════════════════════════════════════════════════ */
+const CONDITIONS = [
+  ['scholarship',  'Scholarship'],
+  ['hipertension', 'Hypertension'],
+  ['diabetes',     'Diabetes'],
+  ['alcoholism',   'Alcoholism']
+];
+
+const verdictPill = noshow =>
+  `<span class="pill ${noshow ? 'pill-yes' : 'pill-no'}">${noshow ? 'NO-SHOW' : 'SHOW'}</span>`;
+
+const lstmPill = outcome => (outcome === 'unparseable'
+  ? '<span class="pill pill-unk" title="The LSTM wrote neither &quot;yes&quot; nor &quot;no&quot;">UNPARSEABLE</span>'
+  : verdictPill(outcome === 'noshow'));
+
+const SORTABLE = [
+  { key: 'row',       label: 'Row'         },
+  { key: 'age',       label: 'Age'         },
+  { key: 'days_wait', label: 'Days Wait'   }
+];
+
+export function renderBatchTable(results, { threshold, sort }) {
+  const withLstm = results.some(r => r.lstm !== null);
+  const arrow    = key => (sort.key === key ? (sort.dir === 'asc' ? ' ▲' : ' ▼') : '');
+  const th       = (key, label) => `<th class="batch-sortable" data-sort="${key}">${label}${arrow(key)}</th>`;
+
+  document.getElementById('batchTableHead').innerHTML = `
+    <tr>
+      ${SORTABLE.map(c => th(c.key, c.label)).join('')}
+      <th>Gender</th><th>SMS</th><th>Conditions</th>
+      ${th('risk', 'No-Show Risk')}
+      <th>Verdict</th>
+      ${withLstm ? th('lstm', 'LSTM') : ''}
+    </tr>
+  `;
+
+  document.getElementById('batchTableBody').innerHTML = sortResults(results, sort).slice(0, TABLE_LIMIT).map(r => {
+    const { record } = r;
+    const noshow     = r.risk > threshold;
+    const conditions = CONDITIONS.filter(([key]) => record[key]).map(([, label]) => label).join(', ') || '-';
+    return `
+      <tr>
+        <td style="color:var(--muted)">${r.row}</td>
+        <td>${record.age}</td>
+        <td>${record.days_wait}</td>
+        <td>${record.gender === 1 ? 'M' : 'F'}</td>
+        <td>${record.sms_received ? '✓' : '-'}</td>
+        <td class="registry-muted">${conditions}</td>
+        <td>
+          <div class="batch-risk">
+            <div class="batch-risk-bar"><div style="width:${formatPct(r.risk)}%"></div></div>
+            ${formatPct(r.risk)}%
+          </div>
+        </td>
+        <td>${verdictPill(noshow)}</td>
+        ${withLstm ? `<td>${lstmPill(r.lstm)}</td>` : ''}
+      </tr>
+    `;
+  }).join('');
+}
@@ -0,0 +1,156 @@
+/**
+ * calibration.js
+ * ─────────────────────────────────────────────────────────
+ * Probability calibration for the feedforward network:
+ *  - Platt scaling     (logistic fit on the logit of the
+ *                       network output)
+ *  - Isotonic regression (pool-adjacent-violators, monotone
+ *                       step curve with linear interpolation)
+ *  - Reliability curve + expected calibration error (ECE)
+ *
+ * WHY:
+ *   The training fold is rebalanced (balance.js — 1:1 by
+ *   default), so the net learns a ~50 / 50 prior and its
+ *   sigmoid output sits far above the real ~22% no-show
+ *   rate. Calibrators are fitted on the validation fold
+ *   (original class ratio) and checked on the test fold.
+ *
+ * Calibrators are plain objects so they can be stored with a
+ * saved model:
+ *   { method: 'platt',    a, b }
+ *   { method: 'isotonic', x: [...], y: [...] }
+ * ─────────────────────────────────────────────────────────
+ */
+
+const EPS = 1e-6;
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+const logit   = p => {
+  const q = Math.min(1 - EPS, Math.max(EPS, p));
+  return Math.log(q / (1 - q));
+};
+
+/* ══════════════════════════════════════════════════════════
+   PLATT SCALING
+   p' = sigmoid(a · logit(p) + b), fitted by Newton's method
+   on Platt's smoothed targets so a tiny validation fold
+   cannot push the output to exactly 0 or 1.
+══════════════════════════════════════════════════════════ */
+export function fitPlatt(actual, probs) {
+  const pos = actual.filter(y => y === 1).length;
+  const neg = actual.length - pos;
+  const hi  = (pos + 1) / (pos + 2);
+  const lo  = 1 / (neg + 2);
+  const s   = probs.map(logit);
+  const t   = actual.map(y => (y === 1 ? hi : lo));
+
+  let a = 1, b = 0;
+  for (let iter = 0; iter < 100; iter++) {
+    let g1 = 0, g2 = 0, h11 = EPS, h12 = 0, h22 = EPS;
+    s.forEach((x, i) => {
+      const p = sigmoid(a * x + b);
+      const d = p - t[i];
+      const w = p * (1 - p);
+      g1  += d * x;  g2  += d;
+      h11 += w * x * x;  h12 += w * x;  h22 += w;
+    });
+    const det = h11 * h22 - h12 * h12;
+    if (Math.abs(det) < 1e-12) break;
+
+    const da = (h22 * g1 - h12 * g2) / det;
+    const db = (h11 * g2 - h12 * g1) / det;
+    a -= da;
+    b -= db;
+    if (Math.abs(da) + Math.abs(db) < 1e-9) break;
+  }
+  return { method: 'platt', a, b };
+}
+
+/* ══════════════════════════════════════════════════════════
+   ISOTONIC REGRESSION  (pool adjacent violators)
+   Sorted by score, neighbouring blocks are merged while a
+   block's no-show rate is below the one before it. Each
+   block becomes one point (mean score, no-show rate).
+   Without validation rows the curve is the identity, as
+   Platt's fit is then.
+══════════════════════════════════════════════════════════ */
+export function fitIsotonic(actual, probs) {
+  if (actual.length === 0) return { method: 'isotonic', x: [0, 1], y: [0, 1] };
+
+  const order  = probs.map((p, i) => i).sort((i, j) => probs[i] - probs[j]);
+  const blocks = [];
+
+  order.forEach(i => {
+    blocks.push({ sumX: probs[i], sumY: actual[i], n: 1 });
+    while (blocks.length > 1) {
+      const cur  = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      if (prev.sumY / prev.n < cur.sumY / cur.n) break;
+      prev.sumX += cur.sumX;
+      prev.sumY += cur.sumY;
+      prev.n    += cur.n;
+      blocks.pop();
+    }
+  });
+
+  return {
+    method: 'isotonic',
+    x: blocks.map(b => b.sumX / b.n),
+    y: blocks.map(b => b.sumY / b.n)
+  };
+}
+
+/* ══════════════════════════════════════════════════════════
+   FIT / APPLY
+══════════════════════════════════════════════════════════ */
+export function fitCalibrator(method, actual, probs) {
+  if (method === 'platt')    return fitPlatt(actual, probs);
+  if (method === 'isotonic') return fitIsotonic(actual, probs);
+  return null;
+}
+
+/** Calibrated probability for a raw network output (identity without a calibrator). */
+export function applyCalibrator(calibrator, p) {
+  if (!calibrator) return p;
+  if (calibrator.method === 'platt') return sigmoid(calibrator.a * logit(p) + calibrator.b);
+
+  const { x, y } = calibrator;
+  if (x.length === 0)       return p;
+  if (p <= x[0])            return y[0];
+  if (p >= x[x.length - 1]) return y[y.length - 1];
+  let k = 1;
+  while (x[k] < p) k++;
+  return y[k - 1] + (y[k] - y[k - 1]) * (p - x[k - 1]) / (x[k] - x[k - 1]);
+}
+
+export function describeCalibrator(calibrator) {
+  if (!calibrator) return 'none';
+  return calibrator.method === 'platt'
+    ? `Platt (a = ${calibrator.a.toFixed(3)}, b = ${calibrator.b.toFixed(3)})`
+    : `isotonic (${calibrator.x.length} steps)`;
+}
+
+/* ══════════════════════════════════════════════════════════
+   RELIABILITY CURVE
+   Predictions are binned by probability; a well calibrated
+   model has a no-show rate close to the mean prediction in
+   every bin. ECE = bin-size-weighted mean |gap|.
+══════════════════════════════════════════════════════════ */
+export function reliabilityCurve(actual, probs, bins = 10) {
+  const acc = Array.from({ length: bins }, () => ({ sumP: 0, sumY: 0, count: 0 }));
+  probs.forEach((p, i) => {
+    const b = acc[Math.min(bins - 1, Math.floor(p * bins))];
+    b.sumP += p;
+    b.sumY += actual[i];
+    b.count++;
+  });
+
+  const points = acc.filter(b => b.count > 0).map(b => ({
+    meanPred: b.sumP / b.count,
+    fracPos:  b.sumY / b.count,
+    count:    b.count
+  }));
+  const ece = actual.length
+    ? points.reduce((sum, b) => sum + b.count * Math.abs(b.meanPred - b.fracPos), 0) / actual.length
+    : 0;
+  return { points, ece };
+}
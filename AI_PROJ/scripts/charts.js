@@ -0,0 +1,155 @@
+/**
+ * charts.js
+ * ─────────────────────────────────────────────────────────
+ * SVG rendering for evaluation results (no chart library):
+ *  - Generic line chart on the unit square (ROC, PR, …)
+ *  - Reliability diagram (raw vs calibrated probabilities)
+ *  - Evaluation panel: metric cards, confusion matrix,
+ *    ROC and precision-recall curves for one fold, with the
+ *    operating point of the current threshold marked
+ *
+ * Input is the object returned by metrics.js evaluate().
+ * ─────────────────────────────────────────────────────────
+ */
+
+import { formatPct } from './metrics.js';
+
+const W = 260, H = 220;
+const PAD = { top: 14, right: 12, bottom: 36, left: 42 };
+
+/* ══════════════════════════════════════════════════════════
+   LINE CHART  (both axes 0…1)
+══════════════════════════════════════════════════════════ */
+const IW = W - PAD.left - PAD.right;
+const IH = H - PAD.top - PAD.bottom;
+const sx = v => PAD.left + v * IW;
+const sy = v => PAD.top + (1 - v) * IH;
+
+const linePath = (points, xKey, yKey) =>
+  points.map((p, i) => `${i ? 'L' : 'M'}${sx(p[xKey]).toFixed(1)},${sy(p[yKey]).toFixed(1)}`).join(' ');
+
+/** Unit-square frame: grid, tick labels, axis labels around `body`. */
+function frameSvg(body, xLabel, yLabel) {
+  const ticks = [0, 0.25, 0.5, 0.75, 1];
+  const grid  = ticks.map(t => `
+    <line class="chart-grid" x1="${sx(0)}" x2="${sx(1)}" y1="${sy(t)}" y2="${sy(t)}" />
+    <text class="chart-tick" x="${sx(0) - 6}" y="${sy(t) + 3}" text-anchor="end">${t}</text>
+    <text class="chart-tick" x="${sx(t)}" y="${sy(0) + 14}" text-anchor="middle">${t}</text>
+  `).join('');
+
+  return `
+    <svg class="chart-svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">
+      ${grid}
+      ${body}
+      <text class="chart-label" x="${sx(0.5)}" y="${H - 4}" text-anchor="middle">${xLabel}</text>
+      <text class="chart-label" transform="translate(11 ${sy(0.5)}) rotate(-90)" text-anchor="middle">${yLabel}</text>
+    </svg>
+  `;
+}
+
+const DIAGONAL = `<line class="chart-ref" x1="${sx(0)}" y1="${sy(0)}" x2="${sx(1)}" y2="${sy(1)}" />`;
+
+export function curveSvg(points, { xKey, yKey, xLabel, yLabel, color = 'var(--accent)', reference = null, marker = null }) {
+  // Dashed reference: chance diagonal (ROC) or base-rate line (PR)
+  const ref = reference === null ? '' : reference === 'diagonal'
+    ? DIAGONAL
+    : `<line class="chart-ref" x1="${sx(0)}" y1="${sy(reference)}" x2="${sx(1)}" y2="${sy(reference)}" />`;
+
+  // Current operating point (the decision threshold)
+  const dot = marker
+    ? `<circle class="chart-marker" cx="${sx(marker[xKey]).toFixed(1)}" cy="${sy(marker[yKey]).toFixed(1)}" r="4" fill="${color}" />`
+    : '';
+
+  return frameSvg(`
+    ${ref}
+    <path d="${linePath(points, xKey, yKey)}" fill="none" stroke="${color}" stroke-width="2" />
+    ${dot}
+  `, xLabel, yLabel);
+}
+
+/* ══════════════════════════════════════════════════════════
+   RELIABILITY DIAGRAM
+   series: [{ label, color, points: [{ meanPred, fracPos }] }]
+   Points on the dashed diagonal are perfectly calibrated.
+══════════════════════════════════════════════════════════ */
+export function reliabilitySvg(series) {
+  const body = series.map(({ color, points }) => `
+    <path d="${linePath(points, 'meanPred', 'fracPos')}" fill="none" stroke="${color}" stroke-width="2" />
+    ${points.map(p => `<circle class="chart-marker" cx="${sx(p.meanPred).toFixed(1)}" cy="${sy(p.fracPos).toFixed(1)}" r="3.5" fill="${color}" />`).join('')}
+  `).join('');
+
+  const legend = series.map(({ label, color }, i) => `
+    <text class="chart-tick" x="${sx(0) + 8}" y="${sy(1) + 12 + i * 12}" style="fill:${color}">● ${label}</text>
+  `).join('');
+
+  return frameSvg(DIAGONAL + body + legend, 'Mean predicted risk', 'Observed no-show rate');
+}
+
+/* ══════════════════════════════════════════════════════════
+   EVALUATION PANEL
+══════════════════════════════════════════════════════════ */
+export function renderEvaluation(containerId, ev, { color = 'var(--accent)' } = {}) {
+  const cards = [
+    { label: 'Precision',    value: formatPct(ev.precision)   + '%' },
+    { label: 'F1 (No-Show)', value: formatPct(ev.f1)          + '%' },
+    { label: 'Balanced Acc', value: formatPct(ev.balancedAcc) + '%' },
+    { label: 'ROC-AUC',      value: ev.rocAuc.toFixed(3) },
+    { label: 'PR-AUC',       value: ev.prAuc.toFixed(3) },
+    { label: 'Brier Score',  value: ev.brier.toFixed(3) },
+    { label: 'Log-Loss',     value: ev.logLoss.toFixed(3) }
+  ];
+  const baseRate = ev.n ? ev.positives / ev.n : 0;
+  const point    = { fpr: 1 - ev.showRecall, tpr: ev.noshowRecall, recall: ev.noshowRecall, precision: ev.precision };
+
+  document.getElementById(containerId).innerHTML = `
+    <div class="eval-cards">
+      ${cards.map(c => `
+        <div class="acc-card"><span class="acc-val eval-val">${c.value}</span><span class="acc-lbl">${c.label}</span></div>
+      `).join('')}
+    </div>
+
+    <div class="eval-row">
+      <div class="eval-block">
+        <div class="eval-block-title">Confusion Matrix (threshold ${ev.threshold.toFixed(2)})</div>
+        <table class="confusion-table">
+          <thead><tr><th></th><th>Pred. Show</th><th>Pred. No-Show</th></tr></thead>
+          <tbody>
+            <tr><th>Actual Show</th>    <td class="cm-good">${ev.tn}</td><td class="cm-bad">${ev.fp}</td></tr>
+            <tr><th>Actual No-Show</th> <td class="cm-bad">${ev.fn}</td><td class="cm-good">${ev.tp}</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="eval-block">
+        <div class="eval-block-title">ROC Curve · AUC ${ev.rocAuc.toFixed(3)}</div>
+        ${curveSvg(ev.roc, { xKey: 'fpr', yKey: 'tpr', xLabel: 'False positive rate', yLabel: 'True positive rate', color, reference: 'diagonal', marker: point })}
+      </div>
+      <div class="eval-block">
+        <div class="eval-block-title">Precision-Recall · AP ${ev.prAuc.toFixed(3)}</div>
+        ${curveSvg(ev.pr, { xKey: 'recall', yKey: 'precision', xLabel: 'Recall (no-show)', yLabel: 'Precision', color, reference: baseRate, marker: point })}
+      </div>
+    </div>
+  `;
+}
+
+/* ══════════════════════════════════════════════════════════
+   CALIBRATION PANEL
+   curves: [{ label, color, points, ece }] from
+   calibration.js reliabilityCurve()
+══════════════════════════════════════════════════════════ */
+export function renderReliability(containerId, curves, note = '') {
+  document.getElementById(containerId).innerHTML = `
+    <div class="eval-row">
+      <div class="eval-block">
+        <div class="eval-block-title">Reliability Diagram (test set)</div>
+        ${reliabilitySvg(curves)}
+      </div>
+      <div class="eval-block eval-block-text">
+        ${curves.map(c => `
+          <div class="eval-block-title">${c.label}</div>
+          <div class="eval-stat" style="color:${c.color}">ECE ${c.ece.toFixed(3)}</div>
+        `).join('')}
+        <p class="eval-note">${note}</p>
+      </div>
+    </div>
+  `;
+}
@@ -2,9 +2,12 @@
  * config.js
  * ─────────────────────────────────────────────────────────
  * Central configuration for MedPredict.
- * Holds the embedded dataset, min/max normalization bounds,
- * the neighbourhood list, the brain.js network instance,
- * and the current toggle-button state.
+ * Holds the embedded dataset, the model feature list, the
+ * active dataset (embedded or CSV upload), its train /
+ * validation / test folds, the live model's input scaler,
+ * the neighbourhood list, the decision threshold, the
+ * hyperparameters of both models, the brain.js network
+ * instance, and the current toggle-button state.
  *
  * Source: KaggleV2-May-2016.csv
  * https://www.kaggle.com/joniarroba/noshowappointments
@@ -166,20 +169,96 @@ export const RAW_DATA = [
   {"gender":0,"age":16,"neighbourhood":"ITARARÉ","scholarship":0,"hipertension":0,"diabetes":0,"alcoholism":0,"handcap":0,"sms_received":0,"days_wait":0,"noshow":0}
 ];
 
-/* ── Normalization bounds (computed from RAW_DATA) ────────── */
+/* ── Model input features (input vector order) ───────────── */
+export const FEATURES = [
+  'age', 'days_wait', 'gender', 'sms_received',
+  'scholarship', 'hipertension', 'diabetes', 'alcoholism'
+];
+
+/* ── Active dataset (RAW_DATA until a CSV is loaded) ──────── */
+export const dataset = {
+  name:     'KaggleV2-May-2016.csv (embedded sample)',
+  source:   'embedded',         // 'embedded' | 'csv'
+  records:  RAW_DATA,
+  features: FEATURES.slice(),   // FEATURES bound by the column mapping
+  derived:  [],                 // features derived.js computed from dates / patient IDs
+  profile:  null                // mapping profile used for a CSV import
+};
+
+/* ── Train / validation / test folds (seeded, see split.js) ─ */
+export const splits = {
+  seed:       42,
+  train:      [],
+  validation: [],
+  test:       []
+};
+
+/* ── Input scaling of the live model (fitted on its training fold) ── */
 export const configuration = {
-  age:      { min: Infinity, max: -Infinity },
-  days:     { min: Infinity, max: -Infinity },
-  hoods:    []   // populated by initConfiguration()
+  scaler:        null,   // scaling.js scaler (age, days_wait)
+  hoods:         [],     // populated by initConfiguration()
+  neighbourhood: null,   // target encoder of the live model (neighbourhood.js)
+  notes:         null    // TF-IDF vectorizer of the live model (notes.js)
+};
+
+/* ── Decision threshold (no-show if risk > threshold) ────── */
+export const decision = {
+  threshold: 0.5,
+  costFn:    5,   // missed no-show → empty slot
+  costFp:    1    // false alarm    → unnecessary reminder call
+};
+
+/* ── Hyperparameters (defaults; edited in the Settings panel,
+      see settings.js — read at the start of every run) ───── */
+export const ACTIVATIONS = ['sigmoid', 'relu', 'leaky-relu', 'tanh'];
+
+export const NETWORK_OPTIONS = {
+  hiddenLayers: [10, 6],
+  activation: 'sigmoid'
+};
+
+export const TRAIN_OPTIONS = {
+  iterations:   5000,
+  errorThresh:  0.01,
+  learningRate: 0.01
+};
+
+export const SAMPLING_OPTIONS = {
+  strategy: 'oversample',   // balance.js class-imbalance strategy for a training fold
+  ratio:    1               // no-show : show balance the strategy aims for
+};
+
+export const FEATURE_OPTIONS = {
+  scaler:        'minmax',   // scaling.js method for age / days_wait
+  neighbourhood: false,      // add the target-encoded neighbourhood as an NN input
+  smoothing:     20,         // pseudo-rows pulling rare neighbourhoods to the prior
+  notes:         false,      // add TF-IDF inputs of a mapped notes column
+  noteTerms:     50,         // vocabulary cap of the notes vectorizer
+  derived:       ['weekday', 'month', 'hour', 'history']   // derived.js groups used when the dataset has them
+};
+
+// Text models the LSTM card can train (lstm.worker.js)
+export const TEXT_MODELS = {
+  lstm:   { label: 'Character LSTM',   type: 'brain.recurrent.LSTM', reads: 'Character-level sequence model' },
+  tokens: { label: 'Token classifier', type: 'bag of embeddings',    reads: 'Bucketed word tokens → sigmoid' }
+};
+
+export const LSTM_OPTIONS = {
+  textModel:    'lstm',     // key of TEXT_MODELS
+  hiddenLayers: [20, 20],   // the token classifier uses the first size as its width
+  iterations:   300,
+  learningRate: 0.01,
+  errorThresh:  0.01
 };
 
 /* ── Brain.js network instance ────────────────────────────── */
 export const myBrain = {
   trainingData: [],
-  net: new brain.NeuralNetwork({
-    hiddenLayers: [10, 6],
-    activation: 'sigmoid'
-  })
+  net: new brain.NeuralNetwork(NETWORK_OPTIONS),
+  features:   [],    // input features the net was trained on
+  seed:       null,  // split seed of that training run
+  calibrator: null,  // fitted on the validation fold (calibration.js)
+  options:    null   // { network, training, sampling } the net was trained with
 };
 
 /* ── UI toggle state ──────────────────────────────────────── */
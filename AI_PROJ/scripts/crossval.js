@@ -0,0 +1,177 @@
+/**
+ * crossval.js
+ * ─────────────────────────────────────────────────────────
+ * Stratified k-fold cross-validation for both models.
+ *
+ * With ~150 rows a single 70/15/15 split gives very noisy
+ * numbers, so this trains a fresh model on each of k folds
+ * and reports mean ± std over the fold test sets.
+ *
+ *   Feedforward  → nn.worker.js   (samples prepared here:
+ *                                  scaling + neighbourhood
+ *                                  encoding; the worker
+ *                                  balances each training
+ *                                  fold)
+ *   LSTM         → lstm.worker.js (records sent as-is; the
+ *                                  worker builds the texts)
+ *
+ * A dedicated worker is used per run so cross-validating
+ * never replaces the trained model behind the predict cards.
+ * Workers return raw { actual, prob } predictions; all
+ * scoring happens here via metrics.js. The class-balancing
+ * strategy of the run is reported with the summary, so runs
+ * with different strategies can be compared side by side.
+ * ─────────────────────────────────────────────────────────
+ */
+
+import { dataset, decision, NETWORK_OPTIONS, TRAIN_OPTIONS, SAMPLING_OPTIONS } from './config.js';
+import { stratifiedKFold } from './split.js';
+import { buildTrainingSamples, buildInputVector, trainingFeatures, fitInputBounds } from './functions.js';
+import { lstmTrainingOptions, spawnLstmWorker } from './lstm.js';
+import { describeBalance } from './balance.js';
+import { evaluate, meanStd, formatPct } from './metrics.js';
+
+export const CV_METRICS = [
+  { key: 'accuracy',     label: 'Accuracy'       },
+  { key: 'showRecall',   label: 'Show-Up Recall' },
+  { key: 'noshowRecall', label: 'No-Show Recall' },
+  { key: 'precision',    label: 'Precision'      },
+  { key: 'f1',           label: 'F1 (No-Show)'   },
+  { key: 'rocAuc',       label: 'ROC-AUC', pct: false }
+];
+
+/** Percent metrics as "61.2%", ranking scores as "0.712". */
+function formatMetric({ pct = true }, value, suffix = pct ? '%' : '') {
+  return pct ? formatPct(value) + suffix : value.toFixed(3);
+}
+
+let worker = null;
+
+/* ══════════════════════════════════════════════════════════
+   RUN
+══════════════════════════════════════════════════════════ */
+export function runCrossValidation({ model, k, seed, onLog, onProgress, onFold, onDone, onError }) {
+  if (worker) { worker.terminate(); worker = null; }
+
+  let folds;
+  try {
+    folds = stratifiedKFold(dataset.records, k, seed);
+  } catch (err) {
+    onError(err);
+    return;
+  }
+
+  const isLstm   = model === 'lstm';
+  const features = isLstm ? dataset.features.slice() : trainingFeatures();
+  const results  = [];
+  const sampling = { ...SAMPLING_OPTIONS };
+
+  onLog(`[INIT] ${isLstm ? 'LSTM' : 'Feedforward NN'} · ${k}-fold stratified CV · seed ${seed}`);
+  onLog(`[INIT] Dataset: ${dataset.name} (${dataset.records.length} rows) · threshold ${decision.threshold.toFixed(2)}`);
+  onLog(`[INIT] Input features: ${features.length} (${features.join(', ')})`);
+  onLog(`[INIT] Class balance (training folds only): ${describeBalance(sampling)}`);
+  onLog('─'.repeat(52));
+
+  worker = isLstm ? spawnLstmWorker() : new Worker('./scripts/nn.worker.js', { type: 'module' });
+
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    switch (msg.type) {
+      case 'log':      onLog(msg.message);                             break;
+      case 'progress': onProgress({ pct: msg.pct, error: msg.error }); break;
+      case 'fold': {
+        const metrics = evaluate(
+          msg.predictions.map(p => p.actual),
+          msg.predictions.map(p => p.prob),
+          decision.threshold
+        );
+        results[msg.index] = metrics;
+        onFold(msg.index, metrics);
+        break;
+      }
+      case 'done':
+        worker.terminate();
+        worker = null;
+        onDone({ ...summarizeFolds(results), sampling });
+        break;
+      case 'error':
+        worker.terminate();
+        worker = null;
+        onError(new Error(msg.message));
+        break;
+    }
+  };
+
+  worker.onerror = (err) => {
+    worker.terminate();
+    worker = null;
+    onError(new Error(err.message || 'Worker error'));
+  };
+
+  if (isLstm) {
+    worker.postMessage({ type: 'crossValidate', folds, features, seed, options: lstmTrainingOptions() });
+  } else {
+    worker.postMessage({
+      type: 'crossValidate',
+      folds: folds.map((fold, i) => {
+        // Bounds (and the neighbourhood encoder) come from this fold's training part only
+        const bounds = fitInputBounds(fold.train, features);
+        return {
+          train: buildTrainingSamples(fold.train, bounds, features),
+          test:  fold.test.map(r => ({ input: buildInputVector(r, features, bounds), noshow: r.noshow }))
+        };
+      }),
+      sampling,
+      seed,
+      network:  { ...NETWORK_OPTIONS, hiddenLayers: NETWORK_OPTIONS.hiddenLayers.slice() },
+      training: { ...TRAIN_OPTIONS }
+    });
+  }
+}
+
+/** Stops a running cross-validation (e.g. after a dataset swap). True if one was running. */
+export function cancelCrossValidation() {
+  if (!worker) return false;
+  worker.terminate();
+  worker = null;
+  return true;
+}
+
+/** Mean ± std of every CV metric across folds. */
+export function summarizeFolds(results) {
+  const summary = {};
+  CV_METRICS.forEach(({ key }) => {
+    summary[key] = meanStd(results.map(m => m[key]));
+  });
+  return { folds: results, summary };
+}
+
+/* ══════════════════════════════════════════════════════════
+   DOM HELPERS
+══════════════════════════════════════════════════════════ */
+export function resetCvResults() {
+  document.getElementById('cvTableBody').innerHTML = '';
+  document.getElementById('cvSummary').innerHTML   = '';
+  document.getElementById('cvBalance').textContent  = '';
+}
+
+export function appendCvFoldRow(index, metrics) {
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td style="color:var(--muted)">${index + 1}</td>
+    <td>${metrics.n}</td>
+    ${CV_METRICS.map(m => `<td>${formatMetric(m, metrics[m.key])}</td>`).join('')}
+  `;
+  document.getElementById('cvTableBody').appendChild(tr);
+}
+
+export function renderCvSummary({ summary, sampling }) {
+  document.getElementById('cvBalance').textContent = `Training folds balanced by: ${describeBalance(sampling)}`;
+  document.getElementById('cvSummary').innerHTML = CV_METRICS.map(m => `
+    <div class="acc-card">
+      <span class="acc-val">${formatMetric(m, summary[m.key].mean)}</span>
+      <span class="acc-std">± ${formatMetric(m, summary[m.key].std, '')}</span>
+      <span class="acc-lbl">${m.label}</span>
+    </div>
+  `).join('');
+}
@@ -0,0 +1,174 @@
+/**
+ * csv.js
+ * ─────────────────────────────────────────────────────────
+ * CSV import for MedPredict:
+ *  - Text parsing (quoted fields, escaped quotes, CRLF,
+ *    BOM, auto-detected delimiter, header row)
+ *  - Header / date helpers shared with the column mapper
+ *  - File reading and row sampling
+ *  - Writing rows back out as CSV text (batch results)
+ *
+ * Turning the parsed rows into model records (gender 0/1,
+ * days_wait, noshow 0/1, …) is the job of a column-mapping
+ * profile — see mapping.js.
+ * ─────────────────────────────────────────────────────────
+ */
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const DAY_MS     = 24 * 60 * 60 * 1000;
+
+/* ══════════════════════════════════════════════════════════
+   PARSER
+══════════════════════════════════════════════════════════ */
+
+/** Picks the candidate that occurs most often (outside quotes) in the first line. */
+export function detectDelimiter(text) {
+  const counts = Object.fromEntries(DELIMITERS.map(d => [d, 0]));
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === '\n' || ch === '\r')) break;
+    else if (!inQuotes && ch in counts) counts[ch]++;
+  }
+
+  return DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+}
+
+/**
+ * Parses CSV text into a header and an array of string rows.
+ * The first non-empty line is the header; blank lines are skipped.
+ */
+export function parseCsv(text, { delimiter } = {}) {
+  if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+  const sep = delimiter || detectDelimiter(text);
+
+  const rows = [];
+  let row    = [];
+  let field  = '';
+  let inQuotes = false;
+
+  const endField = () => { row.push(field); field = ''; };
+  const endRow   = () => {
+    endField();
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"')                   { inQuotes = false; }
+      else                                   { field += ch; }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === sep) {
+      endField();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (inQuotes) throw new Error('Unterminated quoted field at end of file');
+  if (field !== '' || row.length > 0) endRow();
+
+  if (rows.length === 0) throw new Error('CSV file is empty');
+
+  const header = rows.shift().map(h => h.trim());
+  return { header, rows, delimiter: sep };
+}
+
+/* ══════════════════════════════════════════════════════════
+   WRITER
+══════════════════════════════════════════════════════════ */
+
+/** Quotes a field only when it contains the delimiter, a quote or a line break. */
+function quoteField(value, sep) {
+  const s = String(value ?? '');
+  return s.includes(sep) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Header + string rows → CSV text that parseCsv() reads back unchanged. */
+export function formatCsv(header, rows, delimiter = ',') {
+  return [header, ...rows]
+    .map(row => row.map(v => quoteField(v, delimiter)).join(delimiter))
+    .join('\r\n') + '\r\n';
+}
+
+/* ══════════════════════════════════════════════════════════
+   HEADER / DATE HELPERS
+══════════════════════════════════════════════════════════ */
+
+/** Lowercase, letters and digits only — "No-show", "no_show" and "NOSHOW" all match. */
+export function normalizeHeader(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/** Calendar day (UTC midnight, in ms) of an ISO or locale date string. */
+export function parseDay(value) {
+  const v = String(value).trim();
+  const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(v);
+  if (iso) return Date.UTC(+iso[1], +iso[2] - 1, +iso[3]);
+
+  const t = Date.parse(v);
+  if (Number.isNaN(t)) return NaN;
+  const d = new Date(t);
+  return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+/**
+ * Date and time of day as written in the file (stored in the UTC
+ * fields, in ms) — a booking at "18:38" keeps hour 18 whatever the
+ * browser's time zone is.
+ */
+export function parseDateTime(value) {
+  const v = String(value).trim();
+  const iso = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?/.exec(v);
+  if (iso) return Date.UTC(+iso[1], +iso[2] - 1, +iso[3], +(iso[4] || 0), +(iso[5] || 0));
+
+  const t = Date.parse(v);
+  if (Number.isNaN(t)) return NaN;
+  const d = new Date(t);
+  return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes());
+}
+
+export function daysBetween(from, to) {
+  return Math.round((parseDay(to) - parseDay(from)) / DAY_MS);
+}
+
+/* ══════════════════════════════════════════════════════════
+   FILE LOADING
+══════════════════════════════════════════════════════════ */
+export function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader   = new FileReader();
+    reader.onload  = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Draws at most `limit` records uniformly at random (limit 0 = keep all).
+ * Training 5,000 iterations on the full 110k-row Kaggle file in a
+ * browser tab is not practical, so the loader samples by default.
+ */
+export function sampleRecords(records, limit) {
+  if (!limit || records.length <= limit) return records;
+  const pool = records.slice();
+  for (let i = 0; i < limit; i++) {
+    const j = i + Math.floor(Math.random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, limit);
+}
+
+export async function loadCsvFile(file) {
+  const text = await readFileAsText(file);
+  return { name: file.name, ...parseCsv(text) };
+}
@@ -0,0 +1,158 @@
+/**
+ * derived.js
+ * ─────────────────────────────────────────────────────────
+ * Feature engineering on top of the column mapping — inputs
+ * a CSV row does not hold as a single column:
+ *  - Appointment weekday as a cyclic pair (sin / cos, so
+ *    Saturday sits next to Sunday) and appointment month
+ *  - Hour of day the appointment was booked
+ *  - Patient history: number of earlier appointments and
+ *    their no-show rate
+ *  - Scaling of the derived values into the input vector
+ *
+ * Sources are three mapping fields that never reach a model
+ * themselves: scheduled_day, appointment_day (Date / time
+ * transform) and patient_id. A group is derived only when
+ * all its sources are mapped; Settings picks which of the
+ * derivable groups a new run uses.
+ *
+ * LEAKAGE:
+ *   History counts only appointments on an EARLIER day than
+ *   the row's own — the row itself and same-day visits are
+ *   left out, so no label feeds its own input, and every
+ *   outcome counted was known before the appointment.
+ *   Upcoming appointments (batch scoring) take their history
+ *   from the labelled active dataset.
+ *
+ * Records hold the values in natural units (month 1–12,
+ * hour 0–23, appointment count); scaleDerived() maps them to
+ * the 0–1 range the network sees.
+ * ─────────────────────────────────────────────────────────
+ */
+
+export const DERIVED_GROUPS = {
+  weekday: { label: 'Appointment weekday', features: ['weekday_sin', 'weekday_cos'],              sources: ['appointment_day'] },
+  month:   { label: 'Appointment month',   features: ['month'],                                   sources: ['appointment_day'] },
+  hour:    { label: 'Booking hour',        features: ['sched_hour'],                              sources: ['scheduled_day'] },
+  history: { label: 'Patient history',     features: ['prior_appointments', 'prior_noshow_rate'], sources: ['appointment_day', 'patient_id'] }
+};
+
+const HISTORY_CAP = 10;   // appointment counts above this scale to 1
+
+/* ══════════════════════════════════════════════════════════
+   PER-RECORD VALUES
+   Shared by the CSV import and the predict form, so a typed
+   patient is encoded exactly like a training row.
+══════════════════════════════════════════════════════════ */
+
+/** Weekday pair and month of an appointment day (ms, see csv.js parseDateTime). */
+export function dateFeatures(appointmentDay) {
+  const d     = new Date(appointmentDay);
+  const angle = 2 * Math.PI * d.getUTCDay() / 7;
+  return {
+    weekday_sin: Math.sin(angle),
+    weekday_cos: Math.cos(angle),
+    month:       d.getUTCMonth() + 1
+  };
+}
+
+export function bookingFeatures(scheduledAt) {
+  return { sched_hour: new Date(scheduledAt).getUTCHours() };
+}
+
+export function historyFeatures(appointments, noshows) {
+  return {
+    prior_appointments: appointments,
+    prior_noshow_rate:  appointments ? Math.min(noshows, appointments) / appointments : 0
+  };
+}
+
+/* ══════════════════════════════════════════════════════════
+   DATASET STAGE  (after applyProfile, before sampling)
+══════════════════════════════════════════════════════════ */
+
+/** Groups whose source fields the profile maps to a column. */
+export function derivableGroups(profile) {
+  return Object.keys(DERIVED_GROUPS).filter(group =>
+    DERIVED_GROUPS[group].sources.every(f => profile.fields[f] && profile.fields[f].column));
+}
+
+/** Feature keys of the given groups, in DERIVED_GROUPS order. */
+export function groupFeatures(groups) {
+  return Object.keys(DERIVED_GROUPS)
+    .filter(group => groups.includes(group))
+    .flatMap(group => DERIVED_GROUPS[group].features);
+}
+
+/**
+ * Per patient: appointment days ascending, with the running no-show
+ * count before each ({ days, noshows } — noshows[i] = no-shows among
+ * days[0..i-1]).
+ */
+function indexHistory(records) {
+  const byPatient = new Map();
+  records.forEach(r => {
+    if (!r.patient_id) return;
+    if (!byPatient.has(r.patient_id)) byPatient.set(r.patient_id, []);
+    byPatient.get(r.patient_id).push(r);
+  });
+
+  const index = new Map();
+  byPatient.forEach((rows, id) => {
+    rows.sort((a, b) => a.appointment_day - b.appointment_day);
+    const noshows = [0];
+    rows.forEach((r, i) => noshows.push(noshows[i] + r.noshow));
+    index.set(id, { days: rows.map(r => r.appointment_day), noshows });
+  });
+  return index;
+}
+
+/** Appointments of the patient strictly before `day`, and how many were missed. */
+function priorVisits(index, id, day) {
+  const entry = index.get(id);
+  if (!entry) return { appointments: 0, noshows: 0 };
+  let lo = 0;
+  let hi = entry.days.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (entry.days[mid] < day) lo = mid + 1;
+    else                       hi = mid;
+  }
+  return { appointments: lo, noshows: entry.noshows[lo] };
+}
+
+/**
+ * Adds the derivable features to `records` in place and returns their
+ * keys. `history` holds the labelled appointments the patient history
+ * is counted from — the records themselves for a training CSV.
+ */
+export function deriveFeatures(records, profile, { history = records } = {}) {
+  const groups = derivableGroups(profile);
+  const index  = groups.includes('history') ? indexHistory(history) : null;
+
+  records.forEach(r => {
+    if (groups.includes('weekday')) Object.assign(r, dateFeatures(r.appointment_day));
+    if (groups.includes('hour'))    Object.assign(r, bookingFeatures(r.scheduled_day));
+    if (index) {
+      const { appointments, noshows } = priorVisits(index, r.patient_id, r.appointment_day);
+      Object.assign(r, historyFeatures(appointments, noshows));
+    }
+  });
+  return groupFeatures(groups);
+}
+
+/* ══════════════════════════════════════════════════════════
+   INPUT SCALING
+══════════════════════════════════════════════════════════ */
+const SCALES = {
+  month:              v => (v - 1) / 11,
+  sched_hour:         v => v / 23,
+  prior_appointments: v => Math.min(v, HISTORY_CAP) / HISTORY_CAP
+};
+
+export const isDerived = feature =>
+  Object.values(DERIVED_GROUPS).some(g => g.features.includes(feature));
+
+export function scaleDerived(feature, value) {
+  return feature in SCALES ? SCALES[feature](value) : value;
+}
@@ -0,0 +1,209 @@
+/**
+ * ensemble.js
+ * ─────────────────────────────────────────────────────────
+ * Ensemble of the two models the page trains on the same
+ * records:
+ *  - Inputs per record: the feedforward network's risk
+ *    (calibrated, as predict() shows it) and the LSTM's
+ *    no-show probability of the record's recordToText() text
+ *  - Combiners, fitted on the validation fold:
+ *      average  w · nn + (1 − w) · lstm, w from a grid on
+ *               the lowest validation log-loss
+ *      stacked  sigmoid(a · logit(nn) + b · logit(lstm) + c),
+ *               logistic regression with a small L2 penalty
+ *               on a and b (baselinemodels.js)
+ *  - Agreement between the two models' verdicts
+ *  - DOM helpers: test-fold comparison and the third gauge
+ *    on the predict card
+ *
+ * Both models must use the same split seed: otherwise the
+ * LSTM has trained on rows of the network's validation and
+ * test folds, and the ensemble's scores would be inflated.
+ * The ensemble verdict uses the page's decision threshold;
+ * the LSTM's own verdict keeps lstm.js LSTM_THRESHOLD.
+ *
+ * Combiners are plain objects:
+ *   { method: 'average', weight }
+ *   { method: 'stacked', a, b, c }
+ * ─────────────────────────────────────────────────────────
+ */
+
+import { evaluate, logLoss, formatPct } from './metrics.js';
+import { renderEvaluation } from './charts.js';
+import { lstmOutcome, LSTM_THRESHOLD } from './lstm.js';
+import { fitLogistic } from './baselinemodels.js';
+
+export const ENSEMBLE_METHODS = {
+  off:     { label: 'Off (network only)'          },
+  average: { label: 'Weighted average'            },
+  stacked: { label: 'Stacked logistic regression' }
+};
+
+const WEIGHT_STEP = 0.05;
+const L2          = 1;   // penalty on the stacking weights, keeps a ~60-row fold from overfitting
+
+const EPS = 1e-6;
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+const logit   = p => {
+  const q = Math.min(1 - EPS, Math.max(EPS, p));
+  return Math.log(q / (1 - q));
+};
+
+/* ══════════════════════════════════════════════════════════
+   WEIGHTED AVERAGE
+══════════════════════════════════════════════════════════ */
+function fitAverage(actual, nn, lstm) {
+  let best = null;
+  for (let k = 0; k <= Math.round(1 / WEIGHT_STEP); k++) {
+    const weight = k * WEIGHT_STEP;
+    const loss   = logLoss(actual, nn.map((p, i) => weight * p + (1 - weight) * lstm[i]));
+    if (!best || loss < best.loss) best = { weight, loss };
+  }
+  return { method: 'average', weight: best.weight };
+}
+
+/* ══════════════════════════════════════════════════════════
+   STACKED LOGISTIC REGRESSION
+   Features: logit of each model's probability, plus an
+   intercept (not penalized) — baselinemodels.js fitLogistic().
+══════════════════════════════════════════════════════════ */
+function fitStacked(actual, nn, lstm) {
+  const rows = nn.map((p, i) => [logit(p), logit(lstm[i])]);
+  const { weights: [a, b], bias } = fitLogistic(rows, actual, undefined, { l2: L2 });
+  return { method: 'stacked', a, b, c: bias };
+}
+
+/* ══════════════════════════════════════════════════════════
+   FIT / COMBINE
+══════════════════════════════════════════════════════════ */
+/** Combiner for validation-fold labels and both models' probabilities; null when off. */
+export function fitEnsemble(method, actual, nn, lstm) {
+  if (method === 'average') return fitAverage(actual, nn, lstm);
+  if (method === 'stacked') return fitStacked(actual, nn, lstm);
+  return null;
+}
+
+export function combine(ensemble, nn, lstm) {
+  if (ensemble.method === 'average') return ensemble.weight * nn + (1 - ensemble.weight) * lstm;
+  return sigmoid(ensemble.a * logit(nn) + ensemble.b * logit(lstm) + ensemble.c);
+}
+
+export function describeEnsemble(ensemble) {
+  if (!ensemble) return 'off';
+  return ensemble.method === 'average'
+    ? `weighted average (NN ${ensemble.weight.toFixed(2)} · LSTM ${(1 - ensemble.weight).toFixed(2)})`
+    : `stacked logistic regression (${ensemble.a.toFixed(2)} · logit NN + ${ensemble.b.toFixed(2)} · logit LSTM + ${ensemble.c.toFixed(2)})`;
+}
+
+/**
+ * Verdicts of the two models for one record. `lstm` is a worker
+ * prediction { prob, unparseable? }; unparseable LSTM output never
+ * counts as agreement.
+ */
+export function agreement(nnRisk, threshold, lstm) {
+  const nn      = nnRisk > threshold ? 'noshow' : 'showup';
+  const outcome = lstmOutcome(lstm);
+  return { nn, lstm: outcome, agree: nn === outcome };
+}
+
+/* ══════════════════════════════════════════════════════════
+   EVALUATE  (one fold: each model alone and combined)
+   nn:   calibrated network risks
+   lstm: worker predictions [{ prob, unparseable? }]
+══════════════════════════════════════════════════════════ */
+export function evaluateEnsemble({ actual, nn, lstm, ensemble, threshold }) {
+  const lstmProbs = lstm.map(p => p.prob);
+  const combined  = nn.map((p, i) => combine(ensemble, p, lstmProbs[i]));
+  const verdicts  = nn.map((p, i) => agreement(p, threshold, lstm[i]));
+  const disagree  = verdicts.map((v, i) => i).filter(i => !verdicts[i].agree);
+
+  return {
+    nn:       evaluate(actual, nn, threshold),
+    lstm:     evaluate(actual, lstmProbs, LSTM_THRESHOLD),
+    ensemble: evaluate(actual, combined, threshold),
+    agreement: {
+      rate:          actual.length ? (actual.length - disagree.length) / actual.length : 0,
+      disagreements: disagree.length,
+      // Where the two disagree, how often the ensemble sides with the truth
+      ensembleRight: disagree.filter(i => (combined[i] > threshold ? 1 : 0) === actual[i]).length
+    }
+  };
+}
+
+/* ══════════════════════════════════════════════════════════
+   DOM HELPERS  (ensemble card + predict card gauge)
+══════════════════════════════════════════════════════════ */
+const COMPARE_METRICS = [
+  { key: 'rocAuc',       label: 'ROC-AUC',        format: v => v.toFixed(3)       },
+  { key: 'prAuc',        label: 'PR-AUC',         format: v => v.toFixed(3)       },
+  { key: 'accuracy',     label: 'Accuracy',       format: v => formatPct(v) + '%' },
+  { key: 'noshowRecall', label: 'No-Show Recall', format: v => formatPct(v) + '%' },
+  { key: 'brier',        label: 'Brier',          format: v => v.toFixed(3)       },
+  { key: 'logLoss',      label: 'Log-Loss',       format: v => v.toFixed(3)       }
+];
+
+/** result: evaluateEnsemble() on the test fold, or null to hide the comparison. */
+export function renderEnsembleComparison(result) {
+  const section = document.getElementById('ensembleSection');
+  section.hidden = !result;
+  if (!result) return;
+
+  const row = (label, ev) => `
+    <tr><td>${label}</td><td>${ev.threshold.toFixed(2)}</td>${COMPARE_METRICS.map(m => `<td>${m.format(ev[m.key])}</td>`).join('')}</tr>`;
+  const { rate, disagreements, ensembleRight } = result.agreement;
+
+  document.getElementById('ensembleCompare').innerHTML = `
+    <div class="data-table-wrap">
+      <table>
+        <thead><tr><th>Test set</th><th>Threshold</th>${COMPARE_METRICS.map(m => `<th>${m.label}</th>`).join('')}</tr></thead>
+        <tbody>
+          ${row('Neural network', result.nn)}
+          ${row('LSTM', result.lstm)}
+          ${row('Ensemble', result.ensemble)}
+        </tbody>
+      </table>
+    </div>
+    <p class="accuracy-note">
+      The two models agree on ${formatPct(rate)}% of the ${result.nn.n} test patients.
+      ${disagreements
+        ? `Of the ${disagreements} they disagree on, the ensemble gets ${ensembleRight} right.`
+        : 'There are no disagreements for the ensemble to settle.'}
+    </p>
+  `;
+  renderEvaluation('ensembleEvalDetails', result.ensemble, { color: 'var(--accent2)' });
+}
+
+/**
+ * Third gauge under the network's verdict. prediction:
+ * { risk, threshold, nnRisk, lstm: { prob, unparseable? } }, or null
+ * to hide it (ensemble off, or the LSTM score still pending).
+ */
+export function renderEnsemblePrediction(prediction) {
+  const panel = document.getElementById('ensembleResult');
+  panel.hidden = !prediction;
+  if (!prediction) return;
+
+  const { risk, threshold, nnRisk, lstm } = prediction;
+  const CIRCUMFERENCE = 301.6;
+  const isNoShow      = risk > threshold;
+  const color         = isNoShow ? 'var(--danger)' : 'var(--accent)';
+
+  const circle = document.getElementById('ensembleGaugeCircle');
+  circle.style.strokeDashoffset = CIRCUMFERENCE - risk * CIRCUMFERENCE;
+  circle.style.stroke           = color;
+  circle.style.transition       = 'stroke-dashoffset 0.8s ease, stroke 0.5s';
+  document.getElementById('ensembleGaugeText').textContent = Math.round(risk * 100) + '%';
+
+  const lbl = document.getElementById('ensembleVerdictLabel');
+  lbl.className   = `verdict-label ${isNoShow ? 'no-show' : 'will-show'}`;
+  lbl.textContent = isNoShow ? 'Likely No-Show' : 'Will Attend';
+  document.getElementById('ensembleVerdictDesc').textContent =
+    `Combined no-show risk ${formatPct(risk)}% (threshold ${formatPct(threshold)}%).`;
+
+  const verdicts = agreement(nnRisk, threshold, lstm);
+  const names    = { noshow: 'no-show', showup: 'attend', unparseable: 'unparseable output' };
+  const badge    = document.getElementById('ensembleAgreement');
+  badge.className   = `agreement-badge ${verdicts.agree ? 'agree' : 'disagree'}`;
+  badge.textContent = `${verdicts.agree ? '✓ Models agree' : '⚠ Models disagree'} — ` +
+    `NN ${formatPct(nnRisk)}% (${names[verdicts.nn]}) · LSTM ${formatPct(lstm.prob)}% (${names[verdicts.lstm]})`;
+}
@@ -0,0 +1,165 @@
+/**
+ * explain.js
+ * ─────────────────────────────────────────────────────────
+ * Local explanation of a single feedforward prediction:
+ *  - Per-feature contributions by sampling Shapley values
+ *    (Monte Carlo over feature orderings, with reference
+ *    patients drawn from the training fold)
+ *  - Counterfactual hints for the things the clinic can
+ *    change: sending an SMS reminder, a shorter wait
+ *  - DOM helper: signed bar chart + hints under the verdict
+ *
+ * Contributions are in probability points of the calibrated
+ * risk and add up (up to sampling noise) to
+ *   risk(patient) − mean risk of the reference patients,
+ * so "+18% days_wait = 30" reads as: this wait moves the
+ * risk 18 points above a typical patient.
+ * ─────────────────────────────────────────────────────────
+ */
+
+import { createRng } from './split.js';
+import { formatPct } from './metrics.js';
+import { cleanText } from './textencoding.js';
+import { escapeHtml } from './mapping.js';
+
+const PERMUTATIONS = 200;   // orderings sampled per explanation
+const REFERENCES   = 100;   // reference patients kept from the background rows
+
+/* ══════════════════════════════════════════════════════════
+   SAMPLING SHAPLEY
+   For each sampled ordering of the features and reference
+   patient z, features are switched from z's value to the
+   patient's one by one; the change in risk at each switch
+   is that feature's marginal contribution. Averaging over
+   orderings gives the Shapley estimate.
+   riskOf: record → calibrated no-show probability
+══════════════════════════════════════════════════════════ */
+export function explainPrediction(patient, { features, riskOf, background, seed = 42 }) {
+  const rng = createRng(seed);
+  const refs = background.length > REFERENCES
+    ? Array.from({ length: REFERENCES }, () => background[Math.floor(rng() * background.length)])
+    : background;
+
+  const totals = Object.fromEntries(features.map(f => [f, 0]));
+  for (let p = 0; p < PERMUTATIONS; p++) {
+    const order = features.slice();
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    const record = { ...refs[Math.floor(rng() * refs.length)] };
+    let prev = riskOf(record);
+    order.forEach(f => {
+      record[f] = patient[f];
+      const next = riskOf(record);
+      totals[f] += next - prev;
+      prev = next;
+    });
+  }
+
+  const base = refs.reduce((sum, r) => sum + riskOf(r), 0) / refs.length;
+  return {
+    base,
+    risk: riskOf(patient),
+    contributions: features
+      .map(f => ({ feature: f, value: patient[f], contribution: totals[f] / PERMUTATIONS }))
+      .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+  };
+}
+
+/* ══════════════════════════════════════════════════════════
+   COUNTERFACTUAL HINTS
+   Only changes the front desk can act on; each is scored by
+   re-running the model with that one value changed. Hints
+   that lower the risk come first.
+══════════════════════════════════════════════════════════ */
+const SHORTER_WAITS = [0, 3, 7, 14];
+
+function candidateChanges(patient, features) {
+  const changes = [];
+  if (features.includes('sms_received') && !patient.sms_received)
+    changes.push({ change: { sms_received: 1 }, text: 'Sending an SMS reminder' });
+  if (features.includes('days_wait'))
+    SHORTER_WAITS.filter(d => d < patient.days_wait).forEach(d => changes.push({
+      change: { days_wait: d },
+      text:   d === 0 ? 'A same-day appointment' : `Booking ${d} day${d === 1 ? '' : 's'} out instead of ${patient.days_wait}`
+    }));
+  return changes;
+}
+
+export function counterfactualHints(patient, { features, riskOf, threshold }) {
+  const risk = riskOf(patient);
+  return candidateChanges(patient, features)
+    .map(({ change, text }) => {
+      const next = riskOf({ ...patient, ...change });
+      return { text, change, risk: next, delta: next - risk, flips: (next > threshold) !== (risk > threshold) };
+    })
+    .filter(h => Math.abs(h.delta) >= 0.005)
+    .sort((a, b) => a.delta - b.delta);
+}
+
+/* ══════════════════════════════════════════════════════════
+   DOM HELPERS  (explanation panel under the verdict)
+══════════════════════════════════════════════════════════ */
+const BINARY_LABELS = { gender: ['F', 'M'] };
+const MONTHS        = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const NOTE_CHARS = 24;
+const shortNote  = note => {
+  const text = cleanText(note);
+  return text.length > NOTE_CHARS ? text.slice(0, NOTE_CHARS - 1) + '…' : text;
+};
+
+function formatValue(feature, value) {
+  if (feature in BINARY_LABELS) return BINARY_LABELS[feature][value ? 1 : 0];
+  if (feature === 'age' || feature === 'days_wait' || feature === 'prior_appointments') return String(value);
+  if (feature === 'neighbourhood')     return value ? escapeHtml(value) : 'unknown';
+  if (feature === 'notes')             return value ? `"${escapeHtml(shortNote(value))}"` : 'none';
+  if (feature === 'month')             return MONTHS[value - 1];
+  if (feature === 'sched_hour')        return `${value}:00`;
+  if (feature === 'prior_noshow_rate') return formatPct(value) + '%';
+  if (feature.startsWith('weekday_'))  return value.toFixed(2);
+  return value ? 'yes' : 'no';
+}
+
+const signedPct = x => (x >= 0 ? '+' : '−') + formatPct(Math.abs(x)) + '%';
+
+export function renderExplanation(explanation, hints, threshold) {
+  const el = document.getElementById('explainPanel');
+  if (!explanation) {
+    el.innerHTML = '';
+    return;
+  }
+
+  const max  = Math.max(...explanation.contributions.map(c => Math.abs(c.contribution)), 0.01);
+  const bars = explanation.contributions.map(c => {
+    const width = Math.abs(c.contribution) / max * 50;
+    const side  = c.contribution >= 0 ? 'up' : 'down';
+    return `
+      <div class="explain-row">
+        <span class="explain-name">${c.feature} = ${formatValue(c.feature, c.value)}</span>
+        <div class="explain-bar-bg">
+          <div class="explain-bar ${side}" style="width:${width.toFixed(1)}%"></div>
+        </div>
+        <span class="explain-val ${side}">${signedPct(c.contribution)}</span>
+      </div>
+    `;
+  }).join('');
+
+  const hintItems = hints.length
+    ? hints.map(h => `
+        <li class="${h.delta < 0 ? 'down' : 'up'}">
+          ${h.text} ${h.delta < 0 ? 'lowers' : 'raises'} the risk to ${formatPct(h.risk)}% (${signedPct(h.delta)})${
+            h.flips ? ` — ${h.risk > threshold ? 'above' : 'below'} the ${formatPct(threshold)}% threshold` : ''}
+        </li>
+      `).join('')
+    : '<li>No SMS reminder or shorter wait changes the predicted risk for this patient.</li>';
+
+  el.innerHTML = `
+    <div class="acc-group-label">Why this score — contributions vs. a typical patient (${formatPct(explanation.base)}%)</div>
+    ${bars}
+    <div class="acc-group-label">What would change it</div>
+    <ul class="explain-hints">${hintItems}</ul>
+  `;
+}
@@ -2,40 +2,65 @@
  * functions.js
  * ─────────────────────────────────────────────────────────
  * All core logic for MedPredict:
- *  - Configuration initialization (min/max bounds)
- *  - Data normalization / denormalization
- *  - Input vector construction (8 features, no neighbourhood)
- *  - Training data preparation with minority oversampling
- *  - Model training with live progress callbacks
- *  - Accuracy evaluation
+ *  - Configuration initialization (neighbourhood list)
+ *    from the active dataset (embedded rows or CSV upload)
+ *  - Input scaling fitted on the training fold (scaling.js)
+ *  - Input vector construction (mapped features, derived
+ *    date / history features, optional target-encoded
+ *    neighbourhood, optional TF-IDF inputs of free-text
+ *    notes — notes.js)
+ *  - Seeded train / validation / test split
+ *  - Training samples of the training fold (class
+ *    balancing happens in nn.worker.js, balance.js)
+ *  - Model training in nn.worker.js with live progress,
+ *    pause / resume / cancel
+ *  - Network reset, snapshot and restore (saved models)
+ *  - Evaluation on any fold (scored by metrics.js)
+ *  - Probability calibration hook (calibration.js)
  *  - Prediction
- *  - DOM helpers (architecture viz, table, neighbourhood select)
+ *  - DOM helpers (architecture viz, table, dataset stats,
+ *    neighbourhood select)
  *
- * WHY NO NEIGHBOURHOOD ENCODING:
+ * WHY NO ONE-HOT NEIGHBOURHOOD:
  *   37 unique neighbourhoods × one-hot = 37 extra near-zero
  *   features on top of only 150 samples. The network cannot
  *   learn meaningful weights for rare categories and collapses
  *   to predicting the majority class (show=0) for everything.
- *   Removing it gives the network 8 clean, informative features.
+ *   Neighbourhood is therefore off by default; when enabled
+ *   in Settings it enters as ONE input — its smoothed no-show
+ *   rate, fitted on the training fold (neighbourhood.js) —
+ *   which only pays off with full-size CSVs.
  *
- * WHY OVERSAMPLING:
+ * WHY CLASS BALANCING:
  *   The dataset is 78% "showed up" / 22% "no-show". Without
  *   correction the network minimizes loss by always guessing
- *   "showed up". We duplicate no-show records 3× to balance.
+ *   "showed up". The training fold is rebalanced by the
+ *   strategy in SAMPLING_OPTIONS (random oversampling to 1:1
+ *   by default — see balance.js for the alternatives).
  * ─────────────────────────────────────────────────────────
  */
 
-import { RAW_DATA, configuration, myBrain, toggleState } from './config.js';
+import {
+  dataset, splits, configuration, decision, myBrain,
+  NETWORK_OPTIONS, TRAIN_OPTIONS, SAMPLING_OPTIONS, FEATURE_OPTIONS, toggleState
+} from './config.js';
+import { splitDataset } from './split.js';
+import { hasNeighbourhood, fitTargetEncoder, encodeNeighbourhood, isKnownNeighbourhood, outOfFoldEncoding } from './neighbourhood.js';
+import { groupFeatures, isDerived, scaleDerived, dateFeatures, historyFeatures } from './derived.js';
+import { SCALED_FEATURES, fitScaler, legacyScaler, scaleValue, rangeWarnings, describeScaler } from './scaling.js';
+import { hasNotes, fitNotesVectorizer, noteInputs, unknownNoteWords } from './notes.js';
+import { describeBalance, summarizeSamples } from './balance.js';
+import { evaluate } from './metrics.js';
+import { applyCalibrator } from './calibration.js';
+import { escapeHtml } from './mapping.js';
 
 /* ══════════════════════════════════════════════════════════
    CONFIGURATION INIT
 ══════════════════════════════════════════════════════════ */
 export function initConfiguration() {
-  RAW_DATA.forEach(r => {
-    if (r.age       < configuration.age.min)  configuration.age.min  = r.age;
-    if (r.age       > configuration.age.max)  configuration.age.max  = r.age;
-    if (r.days_wait < configuration.days.min) configuration.days.min = r.days_wait;
-    if (r.days_wait > configuration.days.max) configuration.days.max = r.days_wait;
+  configuration.hoods = [];
+
+  dataset.records.forEach(r => {
     if (!configuration.hoods.includes(r.neighbourhood))
       configuration.hoods.push(r.neighbourhood);
   });
@@ -43,179 +68,428 @@ export function initConfiguration() {
 }
 
 /* ══════════════════════════════════════════════════════════
-   NORMALIZATION
+   INPUT VECTOR BUILDER  (mapped + derived + neighbourhood
+   + notes)
+   Takes a record and keeps only the features the active
+   dataset's column mapping binds (all 8 for Kaggle data)
+   plus the enabled derived ones, or the trained model's own
+   list (myBrain.features). The 'notes' feature expands to
+   one `note_<word>` input per vocabulary word.
+   `bounds` = { scaler, neighbourhood, notes } fitted on a
+   training fold; a saved model passes its own
+   (snapshotBounds()).
 ══════════════════════════════════════════════════════════ */
-export function normalizeData(value, min, max) {
-  if (min === max) return 0.5;
-  return (value - min) / (max - min);
+export function buildInputVector(record, features = dataset.features, bounds = configuration) {
+  const input = {};
+  features.forEach(f => {
+    if (f === 'neighbourhood')             input[f] = encodeNeighbourhood(bounds.neighbourhood, record.neighbourhood);
+    else if (f === 'notes')                Object.assign(input, noteInputs(bounds.notes, record.notes));
+    else if (isDerived(f))                 input[f] = scaleDerived(f, record[f]);
+    else if (SCALED_FEATURES.includes(f))  input[f] = scaleValue(bounds.scaler, f, record[f]);
+    else                                   input[f] = record[f];
+  });
+  return input;
 }
 
-export function denormalizeData(value, min, max) {
-  return value * (max - min) + min;
+/**
+ * Features a new NN run uses: the mapped ones, the derived ones
+ * enabled in Settings, and neighbourhood / notes if enabled and
+ * present.
+ */
+export function trainingFeatures() {
+  const derived = groupFeatures(FEATURE_OPTIONS.derived).filter(f => dataset.derived.includes(f));
+  return dataset.features.concat(
+    derived,
+    FEATURE_OPTIONS.neighbourhood && hasNeighbourhood(dataset.records) ? ['neighbourhood'] : [],
+    FEATURE_OPTIONS.notes && hasNotes(dataset.records) ? ['notes'] : []
+  );
 }
 
-/* ══════════════════════════════════════════════════════════
-   INPUT VECTOR BUILDER  (8 features, no neighbourhood)
-══════════════════════════════════════════════════════════ */
-export function buildInputVector(age, days, gender, sms, schl, ht, db, al) {
+/** Features the active dataset can feed a saved model. */
+export function availableFeatures() {
+  return dataset.features.concat(
+    dataset.derived,
+    hasNeighbourhood(dataset.records) ? ['neighbourhood'] : [],
+    hasNotes(dataset.records) ? ['notes'] : []
+  );
+}
+
+/**
+ * Network inputs of a feature list — 'notes' counts one per
+ * vocabulary word (the Settings cap until a vectorizer is fitted).
+ */
+export function inputCount(features, notes = configuration.notes) {
+  const noteTerms = notes ? notes.terms.length : FEATURE_OPTIONS.noteTerms;
+  return features.reduce((n, f) => n + (f === 'notes' ? noteTerms : 1), 0);
+}
+
+/**
+ * Scaling for a run, fitted on the training fold only: the numeric
+ * scaler chosen in Settings plus, if used, the neighbourhood encoder
+ * and the notes vectorizer.
+ */
+export function fitInputBounds(trainFold, features = trainingFeatures()) {
   return {
-    age:          normalizeData(age,  configuration.age.min,  configuration.age.max),
-    days_wait:    normalizeData(days, configuration.days.min, configuration.days.max),
-    gender:       gender,
-    sms_received: sms,
-    scholarship:  schl,
-    hipertension: ht,
-    diabetes:     db,
-    alcoholism:   al
+    scaler:        fitScaler(trainFold, FEATURE_OPTIONS.scaler),
+    neighbourhood: features.includes('neighbourhood')
+      ? fitTargetEncoder(trainFold, FEATURE_OPTIONS.smoothing)
+      : null,
+    notes:         features.includes('notes')
+      ? fitNotesVectorizer(trainFold, FEATURE_OPTIONS.noteTerms)
+      : null
+  };
+}
+
+/** Bounds of a saved model (models.js snapshot); older saves become a min-max scaler. */
+export function snapshotBounds(normalization) {
+  return {
+    scaler:        normalization.scaler || legacyScaler(normalization),
+    neighbourhood: normalization.neighbourhood || null,
+    notes:         normalization.notes || null
   };
 }
 
 /* ══════════════════════════════════════════════════════════
-   PREPARE TRAINING DATA  (with minority-class oversampling)
-   No-show records are repeated 3× so the network sees a
-   roughly balanced class distribution (~50/50) and learns
-   to distinguish both outcomes instead of always predicting
-   the majority class.
+   SPLIT  (stratified 70 / 15 / 15, same seed → same folds)
 ══════════════════════════════════════════════════════════ */
-export function prepareTrainingData() {
-  const OVERSAMPLE_FACTOR = 3;   // repeat no-show rows this many times
-  const samples = [];
+export function makeSplits(seed = splits.seed) {
+  Object.assign(splits, splitDataset(dataset.records, { seed }));
+  return splits;
+}
 
-  RAW_DATA.forEach(r => {
+/* ══════════════════════════════════════════════════════════
+   TRAINING SAMPLES  (class balancing in the worker)
+   The fold is rebalanced (balance.js) so the net sees a
+   roughly balanced class distribution and learns to
+   distinguish both outcomes instead of always predicting
+   the majority class. Only the training fold is balanced —
+   duplicates or synthetic rows leaking into validation /
+   test would inflate the held-out scores. The samples built
+   here are the fold as it is; nn.worker.js balances and
+   shuffles them (`sampling` + `seed` in its messages), so a
+   large fold never freezes the page.
+   Neighbourhood inputs of training rows are out-of-fold
+   encodings, so no row sees its own label.
+══════════════════════════════════════════════════════════ */
+export function buildTrainingSamples(records = splits.train, bounds = configuration, features = dataset.features) {
+  const hoods   = features.includes('neighbourhood')
+    ? outOfFoldEncoding(records, bounds.neighbourhood.smoothing)
+    : null;
+
+  const samples = records.map((r, idx) => {
     const entry = {
-      input: buildInputVector(
-        r.age, r.days_wait, r.gender, r.sms_received,
-        r.scholarship, r.hipertension, r.diabetes, r.alcoholism
-      ),
+      input: buildInputVector(r, features, bounds),
       output: { noshow: r.noshow }
     };
-    samples.push(entry);
-    // Oversample minority class
-    if (r.noshow === 1) {
-      for (let i = 1; i < OVERSAMPLE_FACTOR; i++) {
-        samples.push(entry);
+    if (hoods) entry.input.neighbourhood = hoods[idx];
+    return entry;
+  });
+  return samples;
+}
+
+/* ══════════════════════════════════════════════════════════
+   TRAIN MODEL  (in nn.worker.js)
+   Split, scaling bounds and samples are prepared here but
+   only committed to splits / configuration / myBrain when
+   the worker reports 'done' — until then the previous model
+   keeps serving predictions, and cancelling simply drops
+   the worker.
+══════════════════════════════════════════════════════════ */
+let trainingWorker = null;
+
+export function trainModel({ seed, onLog, onProgress, onDone, onError }) {
+  cancelTraining();
+  // Settings are copied so edits during the run apply to the next one
+  const options = {
+    network:  { ...NETWORK_OPTIONS, hiddenLayers: NETWORK_OPTIONS.hiddenLayers.slice() },
+    training: { ...TRAIN_OPTIONS },
+    sampling: { ...SAMPLING_OPTIONS }
+  };
+  const folds        = splitDataset(dataset.records, { seed });
+  const features     = trainingFeatures();
+  const bounds       = fitInputBounds(folds.train, features);
+  const samples      = buildTrainingSamples(folds.train, bounds, features);
+  const LOG_PERIOD   = Math.max(1, Math.round(options.training.iterations / 20));
+  let trainingData   = null;   // balanced by the worker
+
+  onLog(`[INIT] Dataset: ${dataset.name} (${dataset.records.length} rows)`);
+  onLog(`[INIT] Split (seed ${folds.seed}): train ${folds.train.length} · val ${folds.validation.length} · test ${folds.test.length}`);
+  onLog(`[INIT] Class balance: ${describeBalance(options.sampling)}`);
+  onLog(`[INIT] Training fold: ${folds.train.length} rows (${folds.train.filter(r => r.noshow === 1).length} no-show)`);
+  onLog(`[INIT] Input features: ${features.length} (${features.join(', ')})`);
+  onLog(`[INIT] Scaling: ${describeScaler(bounds.scaler)}, fitted on the training fold`);
+  if (bounds.neighbourhood)
+    onLog(`[INIT] Neighbourhood: target-encoded on the training fold (${Object.keys(bounds.neighbourhood.rates).length} known · smoothing ${bounds.neighbourhood.smoothing} · prior ${(bounds.neighbourhood.prior * 100).toFixed(1)}%)`);
+  if (bounds.notes)
+    onLog(`[INIT] Notes: TF-IDF over ${bounds.notes.terms.length} words of ${bounds.notes.notes} training rows (cap ${FEATURE_OPTIONS.noteTerms})`);
+  onLog(`[INIT] Architecture: ${describeArchitecture(inputCount(features, bounds.notes), options.network)}`);
+  onLog(`[INIT] Learning rate: ${options.training.learningRate} · Max iterations: ${options.training.iterations} · Error threshold: ${options.training.errorThresh}`);
+  onLog('─'.repeat(52));
+
+  const worker = trainingWorker = new Worker('./scripts/nn.worker.js', { type: 'module' });
+
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    switch (msg.type) {
+      case 'samples':
+        trainingData = msg.samples;
+        onLog(`[INIT] Balanced training samples (worker): ${summarizeSamples(trainingData)}`);
+        break;
+      case 'log':      onLog(msg.message);                             break;
+      case 'progress': onProgress({ pct: msg.pct, error: msg.error }); break;
+      case 'done': {
+        worker.terminate();
+        trainingWorker = null;
+
+        commitNetwork({ json: msg.json, options, folds, bounds, features, trainingData });
+        onLog('─'.repeat(52));
+        onLog(`[DONE] Finished in ${msg.stats.iterations} iterations · Final error: ${msg.stats.error.toFixed(6)}`);
+        onDone(msg.stats);
+        break;
       }
+      case 'error':
+        worker.terminate();
+        trainingWorker = null;
+        onError(new Error(msg.message));
+        break;
     }
+  };
+
+  worker.onerror = (err) => {
+    worker.terminate();
+    trainingWorker = null;
+    onError(new Error(err.message || 'Worker error'));
+  };
+
+  worker.postMessage({
+    type:     'train',
+    samples,
+    sampling: options.sampling,
+    seed:     folds.seed,
+    network:  options.network,
+    training: { ...options.training, callbackPeriod: LOG_PERIOD }
   });
+}
 
-  // Shuffle so no-show/show records aren't grouped together
-  for (let i = samples.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [samples[i], samples[j]] = [samples[j], samples[i]];
-  }
+/**
+ * Makes a network trained off the main thread the live model, together
+ * with the split and scaling bounds it was trained on. Also used when a
+ * tuning trial is promoted (tuning.js).
+ */
+export function commitNetwork({ json, options, folds, bounds, features, trainingData }) {
+  resetNetwork();
+  myBrain.net          = new brain.NeuralNetwork(options.network).fromJSON(json);
+  myBrain.options      = options;
+  myBrain.trainingData = trainingData;
+  myBrain.features     = features;
+  myBrain.seed         = folds.seed;
+  Object.assign(splits, folds);
+  configuration.scaler        = bounds.scaler;
+  configuration.neighbourhood = bounds.neighbourhood;
+  configuration.notes         = bounds.notes;
+}
 
-  myBrain.trainingData = samples;
-  return samples;
+export function pauseTraining() {
+  if (trainingWorker) trainingWorker.postMessage({ type: 'pause' });
+}
+
+export function resumeTraining() {
+  if (trainingWorker) trainingWorker.postMessage({ type: 'resume' });
+}
+
+/** Stops a running training; the current model is left as it was. True if one was running. */
+export function cancelTraining() {
+  if (!trainingWorker) return false;
+  trainingWorker.terminate();
+  trainingWorker = null;
+  return true;
 }
 
 /* ══════════════════════════════════════════════════════════
-   TRAIN MODEL
+   RESET  (fresh untrained network, e.g. after a dataset swap)
 ══════════════════════════════════════════════════════════ */
-export function trainModel({ onLog, onProgress, onDone, onError }) {
-  const trainingData = prepareTrainingData();
-  const ITERATIONS   = 5000;
-  const LOG_PERIOD   = 250;
-
-  onLog(`[INIT] Original samples: 150 → After oversampling: ${trainingData.length}`);
-  onLog(`[INIT] Input features: 8 (age, days_wait, gender, sms, scholarship, hypertension, diabetes, alcoholism)`);
-  onLog(`[INIT] Architecture: 8 → [10, 6] → 1 (sigmoid)`);
-  onLog(`[INIT] Learning rate: 0.01 · Max iterations: ${ITERATIONS}`);
-  onLog('─'.repeat(52));
+export function resetNetwork() {
+  myBrain.net          = new brain.NeuralNetwork(NETWORK_OPTIONS);
+  myBrain.trainingData = [];
+  myBrain.features     = [];
+  myBrain.seed         = null;
+  myBrain.calibrator   = null;
+  myBrain.options      = null;
+  configuration.scaler        = null;
+  configuration.neighbourhood = null;
+  configuration.notes         = null;
+}
 
-  setTimeout(() => {
-    try {
-      const stats = myBrain.net.train(trainingData, {
-        iterations:     ITERATIONS,
-        errorThresh:    0.01,
-        learningRate:   0.01,
-        log:            true,
-        logPeriod:      LOG_PERIOD,
-        callback: (info) => {
-          const pct = Math.min(100, Math.round((info.iterations / ITERATIONS) * 100));
-          onProgress({ pct, error: info.error });
-          onLog(`[iter ${String(info.iterations).padStart(4, '0')}]  error: ${info.error.toFixed(6)}`);
-        },
-        callbackPeriod: LOG_PERIOD
-      });
-
-      onLog('─'.repeat(52));
-      onLog(`[DONE] Finished in ${stats.iterations} iterations · Final error: ${stats.error.toFixed(6)}`);
-      onDone(stats);
-    } catch (err) {
-      onError(err);
-    }
-  }, 50);
+/* ══════════════════════════════════════════════════════════
+   SNAPSHOT / RESTORE  (everything a saved model needs to
+   predict: weights, input features, scaling bounds and the
+   calibrator — see models.js)
+══════════════════════════════════════════════════════════ */
+export function snapshotNetwork() {
+  return {
+    network:       { ...myBrain.options.network },
+    training:      { ...myBrain.options.training },
+    sampling:      { ...myBrain.options.sampling },
+    seed:          myBrain.seed,
+    json:          myBrain.net.toJSON(),
+    features:      myBrain.features.slice(),
+    normalization: {
+      scaler:        configuration.scaler,
+      neighbourhood: configuration.neighbourhood,
+      notes:         configuration.notes
+    },
+    calibrator:    myBrain.calibrator
+  };
+}
+
+export function restoreNetwork(snapshot) {
+  myBrain.net          = new brain.NeuralNetwork(snapshot.network).fromJSON(snapshot.json);
+  myBrain.trainingData = [];
+  myBrain.features     = snapshot.features.slice();
+  myBrain.seed         = snapshot.seed;
+  myBrain.calibrator   = snapshot.calibrator || null;
+  myBrain.options      = {
+    network:  snapshot.network,
+    training: snapshot.training,
+    sampling: snapshot.sampling || { oversampleFactor: 3 }   // saved before the setting existed
+  };
+  Object.assign(configuration, snapshotBounds(snapshot.normalization));
 }
 
 /* ══════════════════════════════════════════════════════════
-   EVALUATE ACCURACY  (on original 150 rows, not oversampled)
+   EVALUATE  (one fold of original rows, not rebalanced)
+   Raw no-show probabilities go through metrics.js so both
+   models are scored by the same code.
 ══════════════════════════════════════════════════════════ */
-export function evaluateAccuracy() {
-  const THRESHOLD = 0.5;
-  let correct = 0, tpShow = 0, fnShow = 0, tpNoshow = 0, fnNoshow = 0;
-
-  RAW_DATA.forEach(r => {
-    const inp = buildInputVector(
-      r.age, r.days_wait, r.gender, r.sms_received,
-      r.scholarship, r.hipertension, r.diabetes, r.alcoholism
-    );
-    const raw     = myBrain.net.run(inp);
-    const predVal = typeof raw === 'object' && !Array.isArray(raw)
-      ? raw.noshow
-      : (Array.isArray(raw) ? raw[0] : raw);
-    const predClass = predVal > THRESHOLD ? 1 : 0;
-    const actual    = r.noshow;
-
-    if (predClass === actual) {
-      correct++;
-      if (actual === 0) tpShow++;
-      else              tpNoshow++;
-    } else {
-      if (actual === 0) fnShow++;
-      else              fnNoshow++;
-    }
-  });
+function runNoshow(input, net = myBrain.net) {
+  const raw = net.run(input);
+  const out = typeof raw === 'object' && !Array.isArray(raw)
+    ? raw.noshow
+    : (Array.isArray(raw) ? raw[0] : raw);
+  // relu / leaky-relu outputs are unbounded; keep a probability
+  return Math.min(1, Math.max(0, out));
+}
 
+export function scoreRecords(records) {
   return {
-    overall:      ((correct / RAW_DATA.length) * 100).toFixed(1),
-    showUpRecall: tpShow + fnShow > 0
-      ? ((tpShow    / (tpShow    + fnShow))    * 100).toFixed(1) : '0.0',
-    noshowRecall: tpNoshow + fnNoshow > 0
-      ? ((tpNoshow  / (tpNoshow  + fnNoshow))  * 100).toFixed(1) : '0.0'
+    actual: records.map(r => r.noshow),
+    probs:  records.map(r => runNoshow(buildInputVector(r, myBrain.features)))
   };
 }
 
+/** Raw no-show probabilities for ready-made input vectors (e.g. permuted ones, importance.js). */
+export function scoreInputs(inputs) {
+  return inputs.map(input => runNoshow(input));
+}
+
+export function evaluateRecords(records, threshold = decision.threshold) {
+  const { actual, probs } = scoreRecords(records);
+  return evaluate(actual, probs.map(calibrate), threshold);
+}
+
+/**
+ * Calibrated probabilities of a saved network (models.js snapshot)
+ * without touching the live myBrain model.
+ */
+export function scoreSnapshot(snapshot, records) {
+  const net    = new brain.NeuralNetwork(snapshot.network).fromJSON(snapshot.json);
+  const bounds = snapshotBounds(snapshot.normalization);
+  return {
+    actual: records.map(r => r.noshow),
+    probs:  records.map(r => applyCalibrator(snapshot.calibrator,
+      runNoshow(buildInputVector(r, snapshot.features, bounds), net)))
+  };
+}
+
+/** Network output → calibrated no-show probability (unchanged without a calibrator). */
+export function calibrate(raw) {
+  return applyCalibrator(myBrain.calibrator, raw);
+}
+
 /* ══════════════════════════════════════════════════════════
    PREDICT
 ══════════════════════════════════════════════════════════ */
+/** The patient entered in the predict form, as a dataset record. */
+export function readPatientForm() {
+  const age     = readWholeNumber('inpAge',  'Age');
+  const days    = readWholeNumber('inpDays', 'Days until appointment');
+  const apptDay = document.getElementById('inpApptDate').valueAsNumber;
+  const visits  = readWholeNumber('inpPriorAppts',   'Previous appointments');
+  const missed  = readWholeNumber('inpPriorNoshows', 'Previous no-shows', { max: visits });
+
+  return {
+    age,
+    days_wait:     days,
+    gender:        toggleState.gender === 'M' ? 1 : 0,
+    sms_received:  toggleState.sms    === 'Yes' ? 1 : 0,
+    scholarship:   toggleState.schl   === 'Yes' ? 1 : 0,
+    hipertension:  toggleState.ht     === 'Yes' ? 1 : 0,
+    diabetes:      toggleState.db     === 'Yes' ? 1 : 0,
+    alcoholism:    toggleState.al     === 'Yes' ? 1 : 0,
+    neighbourhood: document.getElementById('inpNeighbourhood').value,
+    notes:         document.getElementById('inpNotes').value.trim(),
+    sched_hour:    readWholeNumber('inpSchedHour', 'Booking hour', { max: 23 }),
+    // Weekday / month and history encoded as derived.js encodes CSV rows (empty date → today)
+    ...dateFeatures(Number.isNaN(apptDay) ? Date.now() : apptDay),
+    ...historyFeatures(visits, missed)
+  };
+}
+
+/** Whole number typed into a form input; throws an Error naming the field otherwise. */
+function readWholeNumber(id, label, { min = 0, max = Infinity } = {}) {
+  const text  = document.getElementById(id).value.trim();
+  const value = Number(text);
+  if (text === '' || !Number.isInteger(value))
+    throw new Error(`${label}: enter a whole number`);
+  if (value < min || value > max)
+    throw new Error(max === Infinity ? `${label} cannot be below ${min}` : `${label} must be between ${min} and ${max}`);
+  return value;
+}
+
+/**
+ * Inputs the live model has not seen the like of: numeric values
+ * outside its training range, neighbourhoods missing from its
+ * training fold, note words outside its vocabulary. Shown next
+ * to the prediction.
+ */
+export function inputWarnings(record, features = myBrain.features) {
+  const warnings = rangeWarnings(configuration.scaler, record, features);
+  if (features.includes('neighbourhood') && !isKnownNeighbourhood(configuration.neighbourhood, record.neighbourhood))
+    warnings.push(`Neighbourhood ${record.neighbourhood ? `"${record.neighbourhood}" was not in the training fold` : 'unknown'} — scored with the overall no-show rate`);
+  if (features.includes('notes')) {
+    const unknown = unknownNoteWords(configuration.notes, record.notes);
+    if (unknown.length)
+      warnings.push(`Note words not in the model's vocabulary (ignored): ${unknown.join(', ')}`);
+  }
+  return warnings;
+}
+
+/** Raw network score of one record (explain.js re-scores edited copies of the patient). */
+export function predictRecord(record) {
+  return runNoshow(buildInputVector(record, myBrain.features));
+}
+
 export function predict() {
-  const age  = parseInt(document.getElementById('inpAge').value)  || 30;
-  const days = parseInt(document.getElementById('inpDays').value) || 0;
-
-  const gender = toggleState.gender === 'M' ? 1 : 0;
-  const sms    = toggleState.sms    === 'Yes' ? 1 : 0;
-  const schl   = toggleState.schl   === 'Yes' ? 1 : 0;
-  const ht     = toggleState.ht     === 'Yes' ? 1 : 0;
-  const db     = toggleState.db     === 'Yes' ? 1 : 0;
-  const al     = toggleState.al     === 'Yes' ? 1 : 0;
-
-  const input  = buildInputVector(age, days, gender, sms, schl, ht, db, al);
-  const raw    = myBrain.net.run(input);
-  return typeof raw === 'object' && !Array.isArray(raw)
-    ? raw.noshow
-    : (Array.isArray(raw) ? raw[0] : raw);
+  return predictRecord(readPatientForm());
 }
 
 /* ══════════════════════════════════════════════════════════
    DOM HELPERS
 ══════════════════════════════════════════════════════════ */
-export function buildArchViz() {
+/** "8 → [10, 6] → 1 (sigmoid)" */
+export function describeArchitecture(inputs, network = NETWORK_OPTIONS) {
+  return `${inputs} → [${network.hiddenLayers.join(', ')}] → 1 (${network.activation})`;
+}
+
+/** Layer diagram for the configured network; columns show at most MAX_NODES circles. */
+export function buildArchViz(inputs = dataset.features.length, network = NETWORK_OPTIONS) {
+  const MAX_NODES = 10;
   const wrap = document.getElementById('archViz');
+  wrap.innerHTML = '';
   const layers = [
-    { label: 'Input (8)',    count: 8, type: 'input'  },
-    { label: 'Hidden 1 (10)', count: 9, type: 'hidden' },
-    { label: 'Hidden 2 (6)', count: 6, type: 'hidden' },
-    { label: 'Output (1)',   count: 1, type: 'output' }
+    { label: `Input (${inputs})`, count: inputs, type: 'input' },
+    ...network.hiddenLayers.map((size, i) => ({ label: `Hidden ${i + 1} (${size})`, count: size, type: 'hidden' })),
+    { label: 'Output (1)',        count: 1,      type: 'output' }
   ];
 
   layers.forEach((layer, li) => {
@@ -232,7 +506,7 @@ export function buildArchViz() {
     label.textContent = layer.label;
     const nodes = document.createElement('div');
     nodes.className = 'arch-nodes';
-    for (let i = 0; i < layer.count; i++) {
+    for (let i = 0; i < Math.min(layer.count, MAX_NODES); i++) {
       const node = document.createElement('div');
       node.className = 'arch-node' + (layer.type === 'output' ? ' output-node' : '');
       nodes.appendChild(node);
@@ -249,7 +523,8 @@ export function activateArchNodes() {
 
 export function populateNeighbourhoodSelect() {
   const sel = document.getElementById('inpNeighbourhood');
-  configuration.hoods.forEach(h => {
+  sel.innerHTML = '<option value="">Unknown / other</option>';
+  configuration.hoods.filter(Boolean).forEach(h => {
     const opt = document.createElement('option');
     opt.value = h;
     opt.textContent = h;
@@ -257,9 +532,21 @@ export function populateNeighbourhoodSelect() {
   });
 }
 
+/**
+ * Hides predict-form inputs for features the active mapping (or a loaded
+ * model) leaves out. A group listing several features (e.g. the
+ * appointment date → weekday pair + month) shows if any is used.
+ */
+export function syncPredictForm(features = trainingFeatures()) {
+  document.querySelectorAll('#predictForm [data-feature]').forEach(group => {
+    group.hidden = !group.dataset.feature.split(' ').some(f => features.includes(f));
+  });
+}
+
 export function populateDataTable() {
   const tbody = document.getElementById('dataTableBody');
-  RAW_DATA.slice(0, 10).forEach((r, i) => {
+  tbody.innerHTML = '';
+  dataset.records.slice(0, 10).forEach((r, i) => {
     const tr = document.createElement('tr');
     tr.innerHTML = `
       <td style="color:var(--muted)">${i + 1}</td>
@@ -271,17 +558,28 @@ export function populateDataTable() {
       <td>${r.hipertension  ? '✓' : '-'}</td>
       <td>${r.diabetes      ? '✓' : '-'}</td>
       <td>${r.alcoholism    ? '✓' : '-'}</td>
-      <td style="max-width:140px;overflow:hidden;text-overflow:ellipsis">${r.neighbourhood}</td>
+      <td style="max-width:140px;overflow:hidden;text-overflow:ellipsis">${escapeHtml(r.neighbourhood)}</td>
       <td><span class="pill ${r.noshow ? 'pill-yes' : 'pill-no'}">${r.noshow ? 'YES' : 'NO'}</span></td>
     `;
     tbody.appendChild(tr);
   });
 }
 
-export function updateGauge(risk) {
+export function updateDatasetStats() {
+  const total   = dataset.records.length;
+  const noshows = dataset.records.filter(r => r.noshow === 1).length;
+  document.getElementById('statRecords').textContent  = total.toLocaleString();
+  document.getElementById('statShowedUp').textContent = (total - noshows).toLocaleString();
+  document.getElementById('statNoshows').textContent  = noshows.toLocaleString();
+  document.getElementById('statFeatures').textContent = dataset.features.length + dataset.derived.length;
+  document.getElementById('datasetName').textContent  = dataset.name;
+}
+
+export function updateGauge(risk, { raw = risk, threshold = decision.threshold } = {}) {
   const CIRCUMFERENCE = 301.6;
   const pct           = Math.round(risk * 100);
-  const isNoShow      = risk > 0.5;
+  const cut           = Math.round(threshold * 100);
+  const isNoShow      = risk > threshold;
   const color         = isNoShow ? 'var(--danger)' : 'var(--accent)';
 
   const circle = document.getElementById('gaugeCircle');
@@ -289,6 +587,9 @@ export function updateGauge(risk) {
   circle.style.stroke           = color;
   circle.style.transition       = 'stroke-dashoffset 0.8s ease, stroke 0.5s';
   document.getElementById('gaugeText').textContent = pct + '%';
+  document.getElementById('gaugeWrap').title = myBrain.calibrator
+    ? `Uncalibrated network score: ${Math.round(raw * 100)}%`
+    : 'Uncalibrated network score (no calibration selected)';
 
   const lbl  = document.getElementById('verdictLabel');
   const desc = document.getElementById('verdictDesc');
@@ -296,10 +597,10 @@ export function updateGauge(risk) {
   if (isNoShow) {
     lbl.className    = 'verdict-label no-show';
     lbl.textContent  = 'Likely No-Show';
-    desc.textContent = `Risk score: ${pct}% — High probability of missing the appointment. Consider a manual follow-up or confirmation call.`;
+    desc.textContent = `Risk score: ${pct}% (threshold ${cut}%) — High probability of missing the appointment. Consider a manual follow-up or confirmation call.`;
   } else {
     lbl.className    = 'verdict-label will-show';
     lbl.textContent  = 'Will Attend';
-    desc.textContent = `Risk score: ${pct}% — Patient is likely to attend. No special intervention required.`;
+    desc.textContent = `Risk score: ${pct}% (threshold ${cut}%) — Patient is likely to attend. No special intervention required.`;
   }
 }
@@ -0,0 +1,94 @@
+/**
+ * importance.js
+ * ─────────────────────────────────────────────────────────
+ * Permutation feature importance for the feedforward
+ * network, measured on a held-out fold (the test fold):
+ *  - For each input feature, shuffle its column across the
+ *    rows, re-score, and record the drop in ROC-AUC and in
+ *    accuracy at the decision threshold. A feature spanning
+ *    several inputs (the notes' TF-IDF words) is shuffled as
+ *    one block, row by row
+ *  - Repeated with different seeded shuffles; the bars show
+ *    the mean drop (± std on hover)
+ *  - DOM helper for the bars in the architecture card
+ *
+ * A drop near zero means the network does not rely on the
+ * feature; a negative drop means shuffling it happened to
+ * help on these rows — on a ~20-row test fold that is noise,
+ * which is why the std is kept.
+ * ─────────────────────────────────────────────────────────
+ */
+
+import { createRng, shuffle } from './split.js';
+import { classificationMetrics, rocCurve, rocAuc, meanStd } from './metrics.js';
+
+export const IMPORTANCE_METRICS = {
+  rocAuc:   { label: 'ROC-AUC',  format: v => (v >= 0 ? '+' : '') + v.toFixed(3) },
+  accuracy: { label: 'Accuracy', format: v => (v >= 0 ? '+' : '') + (v * 100).toFixed(1) + 'pp' }
+};
+
+/* ══════════════════════════════════════════════════════════
+   PERMUTATION IMPORTANCE
+   inputs:  buildInputVector() objects of the held-out rows
+   predict: inputs → no-show probabilities (calibrated)
+   groups:  { feature: [input keys] } for multi-input features
+══════════════════════════════════════════════════════════ */
+export function permutationImportance({ inputs, actual, predict, features, threshold, groups = {}, repeats = 5, seed = 42 }) {
+  const rng     = createRng(seed);
+  const measure = probs => ({
+    rocAuc:   rocAuc(rocCurve(actual, probs)),
+    accuracy: classificationMetrics(actual, probs, threshold).accuracy
+  });
+  const baseline = measure(predict(inputs));
+
+  const results = features.map(feature => {
+    const drops = { rocAuc: [], accuracy: [] };
+    for (let r = 0; r < repeats; r++) {
+      const keys     = groups[feature] || [feature];
+      const rows     = shuffle(inputs.map((x, i) => i), rng);
+      const permuted = inputs.map((x, i) => ({ ...x, ...Object.fromEntries(keys.map(k => [k, inputs[rows[i]][k]])) }));
+      const scores   = measure(predict(permuted));
+      drops.rocAuc.push(baseline.rocAuc - scores.rocAuc);
+      drops.accuracy.push(baseline.accuracy - scores.accuracy);
+    }
+    return { feature, rocAuc: meanStd(drops.rocAuc), accuracy: meanStd(drops.accuracy) };
+  });
+
+  return { baseline, features: results, rows: inputs.length, repeats, threshold };
+}
+
+/* ══════════════════════════════════════════════════════════
+   DOM HELPERS  (importance bars)
+══════════════════════════════════════════════════════════ */
+export function renderImportance(result, metric = 'rocAuc') {
+  const list = document.getElementById('featureImportance');
+  const note = document.getElementById('featureImportanceNote');
+
+  if (!result) {
+    list.innerHTML   = '';
+    note.textContent = 'Train a model to measure which inputs it relies on (permutation importance on the held-out test fold).';
+    return;
+  }
+
+  const { format, label } = IMPORTANCE_METRICS[metric];
+  const rows = result.features.slice().sort((a, b) => b[metric].mean - a[metric].mean);
+  const max  = Math.max(...rows.map(r => r[metric].mean), 0) || 1;
+
+  list.innerHTML = rows.map(r => {
+    const { mean, std } = r[metric];
+    const width = Math.max(0, mean) / max * 100;
+    return `
+      <div class="feat-row" title="± ${format(std).replace('+', '')} over ${result.repeats} shuffles">
+        <span class="feat-name">${r.feature}</span>
+        <div class="feat-bar-bg"><div class="feat-bar-fill" style="width:${width.toFixed(1)}%"></div></div>
+        <span class="feat-pct">${format(mean)}</span>
+      </div>
+    `;
+  }).join('');
+
+  const base = metric === 'rocAuc' ? result.baseline.rocAuc.toFixed(3) : (result.baseline.accuracy * 100).toFixed(1) + '%';
+  note.textContent =
+    `Permutation importance: mean drop in ${label} when the feature is shuffled (${result.repeats} repeats) ` +
+    `on the ${result.rows}-row test fold — baseline ${base}` +
+    (metric === 'accuracy' ? ` at threshold ${result.threshold.toFixed(2)}.` : '.');
+}
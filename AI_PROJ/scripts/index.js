@@ -4,48 +4,483 @@
  * Application entry point.
  * Wires all DOM events and orchestrates the UI flow:
  *   1. Init on DOMContentLoaded
- *   2. Neural network train button → training pipeline
- *   3. Toggle buttons → update toggleState
- *   4. Neural network predict form → inference + result
- *   5. LSTM train button → Web Worker training pipeline
- *   6. LSTM predict button → async Worker inference + result
+ *   2. Dataset loader (file picker / drag-and-drop CSV)
+ *      → column-mapping wizard → active dataset
+ *   3. Settings panel → hyperparameters of both models,
+ *      architecture diagram and descriptions; permutation
+ *      feature importance of the trained network
+ *   4. Neural network train button → Web Worker training
+ *      pipeline (pause / resume / cancel)
+ *      → results with decision-threshold slider,
+ *        probability calibration, baseline models
+ *        (logistic regression, tree, boosted trees) and,
+ *        with notes, a structured-only comparison
+ *   5. Toggle buttons → update toggleState
+ *   6. Neural network predict form → inference + result,
+ *      per-feature explanation and counterfactual hints
+ *   7. LSTM train button → Web Worker training pipeline
+ *      (pause / resume / cancel)
+ *   8. LSTM predict button → async Worker inference + result
+ *   8b. Ensemble of both models → combiner fitted on the
+ *      validation fold, test-fold comparison, third gauge
+ *      with the models' agreement on the predict card
+ *   9. Batch scoring → upcoming-appointments CSV, sortable
+ *      results, scored CSV download
+ *  10. Model registry → IndexedDB / JSON file, activation,
+ *      side-by-side comparison
+ *  11. Cross-validation button → k-fold run in a Web Worker
+ *  12. Hyperparameter tuning → grid / random search in a
+ *      worker pool, leaderboard, promotion of a trial
  * ─────────────────────────────────────────────────────────
  */
 
-import { toggleState, RAW_DATA } from './config.js';
+import { toggleState, RAW_DATA, FEATURES, dataset, splits, decision, myBrain, configuration } from './config.js';
 import {
   initConfiguration,
+  buildInputVector,
   buildArchViz,
   populateDataTable,
+  populateNeighbourhoodSelect,
+  updateDatasetStats,
+  trainingFeatures,
+  availableFeatures,
+  inputCount,
+  syncPredictForm,
+  resetNetwork,
   activateArchNodes,
   trainModel,
-  evaluateAccuracy,
-  predict,
+  pauseTraining,
+  resumeTraining,
+  cancelTraining,
+  scoreRecords,
+  scoreInputs,
+  scoreSnapshot,
+  calibrate,
+  snapshotNetwork,
+  restoreNetwork,
+  readPatientForm,
+  inputWarnings,
+  predictRecord,
   updateGauge
 } from './functions.js';
 
 import {
   trainLstm,
+  pauseLstm,
+  resumeLstm,
+  cancelLstm,
   predictFromText,
-  recordToText,
-  cleanText,
-  lstmState
+  lstmState,
+  resetLstm,
+  labelRecords,
+  scoreLstmRecords,
+  LSTM_THRESHOLD,
+  exportLstm,
+  importLstm,
+  scoreLstmJson
 } from './lstm.js';
+import { normalizeText, TEXT_ENCODING_VERSION } from './textencoding.js';
+
+import { loadCsvFile, readFileAsText, sampleRecords } from './csv.js';
+import { splitDataset } from './split.js';
+import { evaluate, bestThreshold, thresholdCost, summarizeEvaluation, formatPct } from './metrics.js';
+import { renderEvaluation, renderReliability } from './charts.js';
+import {
+  prepareBatch,
+  buildBatchResults,
+  summarizeBatch,
+  batchToCsv,
+  downloadBatchCsv,
+  renderBatchTable,
+  TABLE_LIMIT
+} from './batch.js';
+import { fitCalibrator, reliabilityCurve, describeCalibrator } from './calibration.js';
+import { permutationImportance, renderImportance } from './importance.js';
+import { explainPrediction, counterfactualHints, renderExplanation } from './explain.js';
+import {
+  ENSEMBLE_METHODS,
+  fitEnsemble,
+  combine,
+  describeEnsemble,
+  evaluateEnsemble,
+  renderEnsembleComparison,
+  renderEnsemblePrediction
+} from './ensemble.js';
+import { compareWithoutNotes, cancelNotesComparison, renderNotesComparison, noteKeys } from './notes.js';
+import {
+  trainBaselines, cancelBaselines, evaluateBaselines, renderBaselineComparison, renderCoefficients
+} from './baselines.js';
+import { deriveFeatures } from './derived.js';
+import {
+  createModelBundle,
+  describeBundle,
+  datasetFingerprint,
+  bundleParts,
+  saveModel,
+  loadModel,
+  deleteModel,
+  listModels,
+  loadActiveIds,
+  setActiveBundle,
+  clearActiveId,
+  exportModel,
+  parseModelJson,
+  renderRegistry,
+  renderComparison
+} from './models.js';
+import {
+  runCrossValidation,
+  cancelCrossValidation,
+  resetCvResults,
+  appendCvFoldRow,
+  renderCvSummary
+} from './crossval.js';
+import {
+  KAGGLE_PROFILE,
+  suggestProfile,
+  applyProfile,
+  loadSavedProfiles,
+  saveProfile,
+  deleteSavedProfile,
+  exportProfile,
+  parseProfileJson,
+  renderMappingWizard,
+  readMappingWizard,
+  populateProfileSelect,
+  escapeHtml
+} from './mapping.js';
+import {
+  DEFAULT_SETTINGS,
+  currentSettings,
+  loadSavedSettings,
+  applySettings,
+  saveSettings,
+  clearSavedSettings,
+  renderSettingsForm,
+  readSettingsForm,
+  renderModelDescriptions
+} from './settings.js';
+import {
+  buildCandidates,
+  runTuning,
+  cancelTuning,
+  resetTuning,
+  bestTrial,
+  promoteTrial,
+  renderTuningForm,
+  readTuningForm,
+  renderLeaderboard
+} from './tuning.js';
 
 /* ══════════════════════════════════════════════════════════
    INIT
 ══════════════════════════════════════════════════════════ */
 window.addEventListener('DOMContentLoaded', () => {
   initConfiguration();
-  buildArchViz();
+  loadSavedSettings();
+  refreshArchitecture();
   populateDataTable();
+  populateNeighbourhoodSelect();
+  updateDatasetStats();
+  wireDatasetLoader();
+  wireSettings();
+  wireFeatureImportance();
   wireToggleButtons();
   wireTrainButton();
+  wireThresholdControls();
+  wireCalibrationSelect();
   wirePredictForm();
   wireLstmTrainButton();
   wireLstmPredictButton();
+  wireEnsemble();
+  wireBatchScoring();
+  wireModelStorage();
+  wireCrossValidation();
+  wireTuning();
 });
 
+/* ══════════════════════════════════════════════════════════
+   DATASET  (CSV upload replaces the embedded RAW_DATA)
+══════════════════════════════════════════════════════════ */
+function wireDatasetLoader() {
+  const zone  = document.getElementById('dropZone');
+  const input = document.getElementById('csvFileInput');
+
+  zone.addEventListener('click', () => input.click());
+  input.addEventListener('change', () => {
+    if (input.files.length) loadDataset(input.files[0]);
+    input.value = '';
+  });
+
+  zone.addEventListener('dragover', e => {
+    e.preventDefault();
+    zone.classList.add('dragging');
+  });
+  zone.addEventListener('dragleave', () => zone.classList.remove('dragging'));
+  zone.addEventListener('drop', e => {
+    e.preventDefault();
+    zone.classList.remove('dragging');
+    if (e.dataTransfer.files.length) loadDataset(e.dataTransfer.files[0]);
+  });
+
+  document.getElementById('resetDatasetBtn').addEventListener('click', () => {
+    pendingCsv = null;
+    document.getElementById('mappingPanel').classList.remove('visible');
+    applyDataset({
+      name:     'KaggleV2-May-2016.csv (embedded sample)',
+      source:   'embedded',
+      records:  RAW_DATA,
+      features: FEATURES.slice(),
+      derived:  [],
+      profile:  null
+    });
+    setDatasetStatus(`Using the embedded sample (${RAW_DATA.length} rows).`);
+  });
+
+  wireMappingWizard();
+}
+
+// Parsed CSV waiting for its column mapping to be applied
+let pendingCsv = null;
+
+async function loadDataset(file) {
+  setDatasetStatus(`Reading ${file.name}…`);
+
+  try {
+    pendingCsv = await loadCsvFile(file);
+    populateProfileSelect();
+    renderMappingWizard(pendingCsv.header, suggestProfile(pendingCsv.header));
+    document.getElementById('mappingPanel').classList.add('visible');
+    setDatasetStatus(
+      `Read ${file.name}: ${pendingCsv.rows.length.toLocaleString()} rows · ` +
+      `${pendingCsv.header.length} columns. Review the column mapping and click "Apply Mapping".`
+    );
+  } catch (err) {
+    setDatasetStatus(`[ERROR] ${err.message}`, true);
+  }
+}
+
+/* ══════════════════════════════════════════════════════════
+   COLUMN MAPPING WIZARD
+══════════════════════════════════════════════════════════ */
+function wireMappingWizard() {
+  const select    = document.getElementById('mappingProfileSelect');
+  const fileInput = document.getElementById('profileFileInput');
+
+  document.getElementById('applyMappingBtn').addEventListener('click', applyMapping);
+
+  select.addEventListener('change', () => {
+    if (!pendingCsv || !select.value) return;
+    const profile = select.value === '__kaggle__' ? KAGGLE_PROFILE : loadSavedProfiles()[select.value];
+    if (profile) renderMappingWizard(pendingCsv.header, profile);
+  });
+
+  document.getElementById('saveProfileBtn').addEventListener('click', () => {
+    try {
+      const profile = readMappingWizard();
+      saveProfile(profile);
+      populateProfileSelect();
+      select.value = profile.name;
+      setDatasetStatus(`✓ Saved mapping profile "${profile.name}".`);
+    } catch (err) {
+      setDatasetStatus(`[ERROR] ${err.message}`, true);
+    }
+  });
+
+  document.getElementById('deleteProfileBtn').addEventListener('click', () => {
+    if (!select.value || select.value === '__kaggle__') return;
+    deleteSavedProfile(select.value);
+    setDatasetStatus(`Deleted mapping profile "${select.value}".`);
+    populateProfileSelect();
+  });
+
+  document.getElementById('exportProfileBtn').addEventListener('click', () => {
+    exportProfile(readMappingWizard());
+  });
+
+  document.getElementById('importProfileBtn').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    if (!fileInput.files.length) return;
+    try {
+      const profile = parseProfileJson(await readFileAsText(fileInput.files[0]));
+      if (pendingCsv) renderMappingWizard(pendingCsv.header, profile);
+      saveProfile(profile);
+      populateProfileSelect();
+      select.value = profile.name;
+      setDatasetStatus(`✓ Imported mapping profile "${profile.name}".`);
+    } catch (err) {
+      setDatasetStatus(`[ERROR] ${err.message}`, true);
+    }
+    fileInput.value = '';
+  });
+}
+
+function applyMapping() {
+  if (!pendingCsv) return;
+  const limit = parseInt(document.getElementById('inpRowLimit').value, 10) || 0;
+
+  try {
+    const profile = readMappingWizard();
+    const result  = applyProfile(pendingCsv, profile);
+    // Derived before sampling, so patient history counts every row of the file
+    const derived = deriveFeatures(result.records, profile);
+    const records = sampleRecords(result.records, limit);
+
+    applyDataset({ name: pendingCsv.name, source: 'csv', records, features: result.features, derived, profile });
+
+    const sampled = records.length < result.records.length
+      ? ` · randomly sampled ${records.length.toLocaleString()}` : '';
+    setDatasetStatus(
+      `✓ Loaded ${pendingCsv.name} with "${profile.name}": ${pendingCsv.rows.length.toLocaleString()} rows` +
+      ` · ${result.skipped.toLocaleString()} skipped (invalid / out-of-range values)${sampled}` +
+      ` · features: ${result.features.concat(derived).join(', ')}`
+    );
+  } catch (err) {
+    setDatasetStatus(`[ERROR] ${err.message}`, true);
+  }
+}
+
+/** Swaps the active dataset and discards models trained on the previous one. */
+function applyDataset({ name, source, records, features, derived, profile }) {
+  dataset.name     = name;
+  dataset.source   = source;
+  dataset.records  = records;
+  dataset.features = features;
+  dataset.derived  = derived;
+  dataset.profile  = profile;
+
+  initConfiguration();
+  populateDataTable();
+  populateNeighbourhoodSelect();
+  updateDatasetStats();
+  resetTrainedState();
+  refreshArchitecture();
+  clearTuningResults();
+}
+
+function resetTrainedState() {
+  cancelTraining();
+  nnRunControls.hide();
+  lstmRunControls.hide();
+  resetNetwork();
+  resetLstm();
+  nnScores        = null;
+  nnMetrics       = null;
+  importance      = null;
+  lstmMetrics     = null;
+  lstmHyperparams = null;
+  lastRaw         = null;
+  document.getElementById('thresholdHint').textContent = '';
+  renderImportance(null);
+  cancelNotesComparison();
+  renderNotesComparison(null);
+  resetBaselines();
+  resetEnsemble();
+
+  const trainBtn = document.getElementById('trainBtn');
+  trainBtn.disabled         = false;
+  trainBtn.textContent      = '▶ Train Model';
+  trainBtn.style.background = '';
+  document.getElementById('progressWrap').classList.remove('visible');
+  document.getElementById('accuracySection').style.display = 'none';
+  document.getElementById('predictCard').classList.remove('enabled');
+  document.getElementById('activeDot').style.display = 'none';
+  document.getElementById('resultPanel').classList.remove('visible');
+
+  const lstmBtn = document.getElementById('lstmTrainBtn');
+  lstmBtn.disabled         = false;
+  lstmBtn.textContent      = '▶ Train LSTM';
+  lstmBtn.style.background = '';
+  document.getElementById('lstmProgressWrap').classList.remove('visible');
+  document.getElementById('lstmAccuracySection').style.display = 'none';
+  document.getElementById('lstmPredictCard').classList.remove('enabled');
+  document.getElementById('lstmActiveDot').style.display = 'none';
+  document.getElementById('lstmResultPanel').classList.remove('visible');
+  document.getElementById('lstmSampleText').textContent = 'Click "Train LSTM" to generate…';
+
+  cancelCrossValidation();
+  const cvBtn = document.getElementById('cvRunBtn');
+  cvBtn.disabled    = false;
+  cvBtn.textContent = '▶ Run Cross-Validation';
+  document.getElementById('cvProgressWrap').classList.remove('visible');
+  document.getElementById('cvResults').style.display = 'none';
+
+  scoreBatch();
+}
+
+function setDatasetStatus(message, isError = false) {
+  const el = document.getElementById('datasetStatus');
+  el.textContent = message;
+  el.classList.toggle('error', isError);
+}
+
+/* ══════════════════════════════════════════════════════════
+   SETTINGS  (hyperparameters, read when a run starts)
+══════════════════════════════════════════════════════════ */
+function wireSettings() {
+  renderSettingsForm();
+
+  document.getElementById('applySettingsBtn').addEventListener('click', () => {
+    const settings = readSettingsForm();
+    try {
+      applySettings(settings);
+    } catch (err) {
+      setSettingsStatus(`[ERROR] ${err.message}`, true);
+      return;
+    }
+    saveSettings(settings);
+    refreshArchitecture();
+    setSettingsStatus('Settings applied — they take effect on the next training run.');
+  });
+
+  document.getElementById('resetSettingsBtn').addEventListener('click', () => {
+    applySettings(DEFAULT_SETTINGS);
+    clearSavedSettings();
+    renderSettingsForm();
+    refreshArchitecture();
+    setSettingsStatus('Default settings restored.');
+  });
+}
+
+/** Redraws the diagram, descriptions and predict form for the active settings and features. */
+function refreshArchitecture() {
+  const features = trainingFeatures();
+  buildArchViz(inputCount(features, null));
+  renderModelDescriptions(inputCount(features, null));
+  if (myBrain.features.length) activateArchNodes();
+  else syncPredictForm(features);
+}
+
+/* ── Feature importance (recomputed for every trained / loaded network) ── */
+let importance = null;   // permutationImportance() result of the live network
+
+function wireFeatureImportance() {
+  renderImportance(null);
+  document.getElementById('importanceMetric').addEventListener('change', e => renderImportance(importance, e.target.value));
+}
+
+/** Permutation importance on held-out rows; none (placeholder) without rows. */
+function updateFeatureImportance(records) {
+  importance = records && records.length
+    ? permutationImportance({
+      inputs:    records.map(r => buildInputVector(r, myBrain.features)),
+      actual:    records.map(r => r.noshow),
+      predict:   inputs => scoreInputs(inputs).map(calibrate),
+      features:  myBrain.features,
+      groups:    myBrain.features.includes('notes') ? { notes: noteKeys(configuration.notes) } : {},
+      threshold: decision.threshold,
+      seed:      myBrain.seed ?? 42
+    })
+    : null;
+  renderImportance(importance, document.getElementById('importanceMetric').value);
+}
+
+function setSettingsStatus(message, isError = false) {
+  const el = document.getElementById('settingsStatus');
+  el.textContent = message;
+  el.classList.toggle('error', isError);
+}
+
 /* ══════════════════════════════════════════════════════════
    TOGGLE BUTTONS
 ══════════════════════════════════════════════════════════ */
@@ -66,6 +501,22 @@ function wireToggleButtons() {
 ══════════════════════════════════════════════════════════ */
 function wireTrainButton() {
   document.getElementById('trainBtn').addEventListener('click', startTraining);
+  nnRunControls = wireRunControls({
+    actions: 'trainActions', pauseBtn: 'pauseTrainBtn', cancelBtn: 'cancelTrainBtn',
+    pause: pauseTraining, resume: resumeTraining, cancel: cancelTraining,
+    onPause: paused => {
+      document.getElementById('progressStatus').textContent = paused ? '⏸ Paused' : 'Training…';
+    },
+    onCancel: () => {
+      const btn     = document.getElementById('trainBtn');
+      const trained = myBrain.features.length > 0;
+      document.getElementById('progressStatus').textContent =
+        trained ? '✕ Cancelled — previous model kept' : '✕ Cancelled';
+      document.getElementById('logOutput').textContent += '[CANCELLED] Training stopped by user.\n';
+      btn.disabled    = false;
+      btn.textContent = trained ? '✓ Trained — ↻ Retrain' : '▶ Train Model';
+    }
+  });
 }
 
 function startTraining() {
@@ -79,62 +530,379 @@ function startTraining() {
   btn.disabled       = true;
   btn.textContent    = '⏳ Training…';
   progressEl.classList.add('visible');
-  logEl.innerHTML    = '';
+  logEl.textContent  = '';
   fillEl.style.width = '0%';
 
   activateArchNodes();
+  nnRunControls.show();
 
   trainModel({
-    onLog: msg => { logEl.innerHTML += msg + '\n'; logEl.scrollTop = logEl.scrollHeight; },
+    seed: readSeed(),
+    onLog: msg => { logEl.textContent += msg + '\n'; logEl.scrollTop = logEl.scrollHeight; },
     onProgress: ({ pct, error }) => {
       fillEl.style.width   = pct + '%';
       pctEl.textContent    = pct + '%';
       statusEl.textContent = `Training… (error: ${error.toFixed(4)})`;
     },
     onDone: () => {
+      nnRunControls.hide();
       fillEl.style.width   = '100%';
       pctEl.textContent    = '100%';
       statusEl.textContent = '✓ Training Complete';
-      btn.textContent      = '✓ Trained';
-      btn.style.background = 'var(--accent)';
-
-      const acc = evaluateAccuracy();
-      document.getElementById('accOverall').textContent = acc.overall + '%';
-      document.getElementById('accShowUp').textContent  = acc.showUpRecall + '%';
-      document.getElementById('accNoshow').textContent  = acc.noshowRecall + '%';
-      document.getElementById('accuracySection').style.display = 'block';
-
-      document.getElementById('predictCard').classList.add('enabled');
-      document.getElementById('activeDot').style.display = 'inline-block';
+      showTrainedNetwork();
     },
     onError: err => {
-      logEl.innerHTML += `[ERROR] ${err.message}\n`;
+      nnRunControls.hide();
+      logEl.textContent += `[ERROR] ${err.message}\n`;
       btn.disabled    = false;
       btn.textContent = '▶ Retry Training';
     }
   });
 }
 
+/* ══════════════════════════════════════════════════════════
+   TRAINING CONTROLS  (pause / resume / cancel, both models)
+   Cancelling terminates the training worker; the model that
+   was trained before keeps serving predictions.
+══════════════════════════════════════════════════════════ */
+let nnRunControls   = null;
+let lstmRunControls = null;
+
+/** Results, calibration and registry entry for the network just committed to myBrain. */
+function showTrainedNetwork() {
+  const btn = document.getElementById('trainBtn');
+  btn.textContent      = '✓ Trained — ↻ Retrain';
+  btn.disabled         = false;
+  btn.style.background = 'var(--accent)';
+
+  nnScores = {
+    test:       scoreRecords(splits.test),
+    validation: scoreRecords(splits.validation),
+    train:      scoreRecords(splits.train)
+  };
+  syncPredictForm(myBrain.features);
+  lstmFoldScores = null;
+  fitNnCalibration();
+  updateFeatureImportance(splits.test);
+  registerTrainingRun('nn');
+  document.getElementById('accuracySection').style.display = 'block';
+  compareNotes();
+  compareBaselines();
+
+  document.getElementById('predictCard').classList.add('enabled');
+  document.getElementById('activeDot').style.display = 'inline-block';
+}
+
+/**
+ * With note inputs: trains a structured-only network on the same
+ * samples in the background and shows what the notes add on the
+ * test fold. The comparison of a replaced network is dropped.
+ */
+function compareNotes() {
+  cancelNotesComparison();
+  if (!myBrain.features.includes('notes') || !myBrain.trainingData.length) {
+    renderNotesComparison(null);
+    return;
+  }
+
+  renderNotesComparison({ status: 'Training a structured-only network on the same rows…' });
+  compareWithoutNotes({
+    samples:     myBrain.trainingData,
+    test:        splits.test.map(r => ({ input: buildInputVector(r, myBrain.features), noshow: r.noshow })),
+    hybridProbs: nnScores.test.probs,
+    network:     myBrain.options.network,
+    training:    myBrain.options.training,
+    threshold:   decision.threshold
+  })
+    .then(renderNotesComparison)
+    .catch(err => renderNotesComparison({ status: `[ERROR] Structured-only comparison failed: ${err.message}` }));
+}
+
+/* ══════════════════════════════════════════════════════════
+   NEURAL NETWORK — BASELINES
+   Trained once per network on its own samples; the table is
+   re-scored when the threshold or calibration changes.
+══════════════════════════════════════════════════════════ */
+let baselines = null;   // trainBaselines() result for the current network
+
+function compareBaselines() {
+  resetBaselines();
+  if (!myBrain.trainingData.length) return;
+
+  const fold = records => records.map(r => ({ input: buildInputVector(r, myBrain.features), noshow: r.noshow }));
+  renderBaselineComparison({ status: 'Training the baseline models on the same samples…' });
+  trainBaselines({
+    samples:    myBrain.trainingData,
+    validation: fold(splits.validation),
+    test:       fold(splits.test),
+    onProgress: (label, fraction) => renderBaselineComparison({ status: `Training ${label}… ${Math.round(fraction * 100)}%` })
+  })
+    .then(results => {
+      baselines = results;
+      renderCoefficients(baselines);
+      renderBaselineResults();
+    })
+    .catch(err => renderBaselineComparison({ status: `[ERROR] Baseline models failed: ${err.message}` }));
+}
+
+/** Comparison table at the current calibration method and threshold. */
+function renderBaselineResults() {
+  if (!baselines || !nnScores) return;
+  const { actual, probs } = foldScores('test');
+  renderBaselineComparison({
+    nn:        evaluate(actual, probs, decision.threshold),
+    baselines: evaluateBaselines(baselines, {
+      actual:    { validation: nnScores.validation.actual, test: actual },
+      method:    document.getElementById('calibrationMethod').value,
+      threshold: decision.threshold
+    })
+  });
+}
+
+/** Drops the baselines of a replaced network (new run, dataset swap, loaded model). */
+function resetBaselines() {
+  cancelBaselines();
+  baselines = null;
+  renderBaselineComparison(null);
+  renderCoefficients(null);
+}
+
+function wireRunControls({ actions, pauseBtn, cancelBtn, pause, resume, cancel, onPause, onCancel }) {
+  const actionsEl = document.getElementById(actions);
+  const pauseEl   = document.getElementById(pauseBtn);
+  let paused = false;
+
+  const setPaused = value => {
+    paused = value;
+    pauseEl.textContent = paused ? '▶ Resume' : '⏸ Pause';
+  };
+
+  pauseEl.addEventListener('click', () => {
+    if (paused) resume(); else pause();
+    setPaused(!paused);
+    onPause(paused);
+  });
+
+  document.getElementById(cancelBtn).addEventListener('click', () => {
+    if (!cancel()) return;
+    actionsEl.classList.remove('visible');
+    onCancel();
+  });
+
+  return {
+    show: () => { setPaused(false); actionsEl.classList.add('visible'); },
+    hide: () => actionsEl.classList.remove('visible')
+  };
+}
+
+/** Split seed shared by both models and cross-validation; 42 when the field is empty or not an integer. */
+function readSeed() {
+  const value = document.getElementById('inpSeed').value.trim();
+  const seed  = Number(value);
+  return value !== '' && Number.isInteger(seed) ? seed : 42;
+}
+
+/** Fills one row of result cards (prefix: 'Test' | 'Val' | 'Train'). */
+function showAccuracy(prefix, ev) {
+  document.getElementById(`acc${prefix}Overall`).textContent = formatPct(ev.accuracy) + '%';
+  document.getElementById(`acc${prefix}ShowUp`).textContent  = formatPct(ev.showRecall) + '%';
+  document.getElementById(`acc${prefix}Noshow`).textContent  = formatPct(ev.noshowRecall) + '%';
+}
+
+/* ══════════════════════════════════════════════════════════
+   NEURAL NETWORK — DECISION THRESHOLD
+   Fold scores are kept after training so moving the slider
+   only re-thresholds them instead of re-running the net.
+══════════════════════════════════════════════════════════ */
+let nnScores  = null;  // { test, validation, train } → { actual, probs } (raw)
+let nnMetrics = null;  // { test, validation } summaries at the current threshold
+
+/** A fold's labels with calibrated probabilities. */
+function foldScores(fold) {
+  const { actual, probs } = nnScores[fold];
+  return { actual, probs: probs.map(calibrate) };
+}
+
+function renderNnResults() {
+  if (!nnScores) return;
+  const score = fold => {
+    const { actual, probs } = foldScores(fold);
+    return evaluate(actual, probs, decision.threshold);
+  };
+
+  const testEval = score('test');
+  const valEval  = score('validation');
+  showAccuracy('Test',  testEval);
+  showAccuracy('Val',   valEval);
+  showAccuracy('Train', score('train'));
+  renderEvaluation('nnEvalDetails', testEval);
+  nnMetrics = { test: summarizeEvaluation(testEval), validation: summarizeEvaluation(valEval) };
+}
+
+function wireThresholdControls() {
+  const slider = document.getElementById('thresholdSlider');
+
+  slider.addEventListener('input', () => setThreshold(parseFloat(slider.value)));
+
+  document.getElementById('suggestThresholdBtn').addEventListener('click', () => {
+    const hintEl = document.getElementById('thresholdHint');
+    if (!nnScores) return;
+
+    decision.costFn = Math.max(0, parseFloat(document.getElementById('inpCostFn').value) || 0);
+    decision.costFp = Math.max(0, parseFloat(document.getElementById('inpCostFp').value) || 0);
+
+    // Chosen on the validation fold so the test scores stay unbiased
+    const { actual, probs } = foldScores('validation');
+    const best    = bestThreshold(actual, probs, decision);
+    const current = thresholdCost(actual, probs, decision.threshold, decision);
+
+    setThreshold(best.threshold);
+    hintEl.textContent = `Lowest validation cost at ${best.threshold.toFixed(2)}: ${best.cost}` +
+      ` (was ${current} at the previous threshold) · FN × ${decision.costFn} + FP × ${decision.costFp}`;
+  });
+}
+
+/** Applies a threshold to the slider, result cards and any visible verdict. */
+function setThreshold(threshold) {
+  decision.threshold = threshold;
+  document.getElementById('thresholdSlider').value     = threshold;
+  document.getElementById('thresholdValue').textContent = threshold.toFixed(2);
+  renderNnResults();
+  renderBaselineResults();
+  renderEnsembleResults();
+  refreshGauge();
+  renderBatch();
+}
+
+/* ══════════════════════════════════════════════════════════
+   NEURAL NETWORK — CALIBRATION
+   Refitted on the validation fold after every training run
+   and whenever the method changes; results, threshold and
+   gauge all switch to the calibrated probabilities.
+══════════════════════════════════════════════════════════ */
+function wireCalibrationSelect() {
+  document.getElementById('calibrationMethod').addEventListener('change', fitNnCalibration);
+}
+
+function fitNnCalibration() {
+  if (!nnScores) return;
+  const method = document.getElementById('calibrationMethod').value;
+  const { actual, probs } = nnScores.validation;
+  myBrain.calibrator = fitCalibrator(method, actual, probs);
+
+  renderNnResults();
+  renderCalibration();
+  renderBaselineResults();
+  refreshGauge();
+  scoreBatch();
+  updateEnsemble();
+}
+
+function renderCalibration() {
+  const raw    = nnScores.test;
+  const curves = [{ label: 'Raw network output', color: 'var(--muted)', ...reliabilityCurve(raw.actual, raw.probs) }];
+  if (myBrain.calibrator) {
+    const cal = foldScores('test');
+    curves.push({ label: 'Calibrated', color: 'var(--accent)', ...reliabilityCurve(cal.actual, cal.probs) });
+  }
+
+  const val  = nnScores.validation;
+  const mean = values => values.reduce((a, b) => a + b, 0) / (values.length || 1);
+  renderReliability('nnCalibration', curves,
+    `Calibrator: ${describeCalibrator(myBrain.calibrator)}. ` +
+    `Validation no-show rate ${formatPct(mean(val.actual))}% vs mean raw score ${formatPct(mean(val.probs))}% ` +
+    '(the training fold is rebalanced, which inflates raw scores).'
+  );
+}
+
 /* ══════════════════════════════════════════════════════════
    NEURAL NETWORK — PREDICT
 ══════════════════════════════════════════════════════════ */
+let lastRaw     = null;   // uncalibrated score of the last prediction
+let lastPatient = null;   // the record it was computed for (explain.js)
+
 function wirePredictForm() {
   document.getElementById('predictForm').addEventListener('submit', e => {
     e.preventDefault();
     if (!document.getElementById('predictCard').classList.contains('enabled')) return;
-    const risk = predict();
+    try {
+      lastPatient = readPatientForm();
+    } catch (err) {
+      setPredictStatus(`[ERROR] ${err.message}`, true);
+      document.getElementById('resultPanel').classList.remove('visible');
+      return;
+    }
+    setPredictStatus('');
+    lastRaw  = predictRecord(lastPatient);
+    lastLstm = null;
+    renderInputWarnings(inputWarnings(lastPatient));
     document.getElementById('resultPanel').classList.add('visible');
-    updateGauge(risk);
+    refreshGauge();
+    scorePatientWithLstm(lastPatient);
+  });
+}
+
+function renderInputWarnings(warnings) {
+  const list = document.getElementById('inputWarnings');
+  list.innerHTML = '';
+  warnings.forEach(text => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    list.appendChild(li);
   });
 }
 
+function setPredictStatus(message, isError = false) {
+  const el = document.getElementById('predictStatus');
+  el.textContent = message;
+  el.classList.toggle('error', isError);
+}
+
+/** Redraws gauge and explanation (calibration and threshold changes included). */
+function refreshGauge() {
+  if (lastRaw === null) return;
+  updateGauge(calibrate(lastRaw), { raw: lastRaw });
+
+  const riskOf   = record => calibrate(predictRecord(record));
+  const features = myBrain.features;
+  renderExplanation(
+    explainPrediction(lastPatient, {
+      features,
+      riskOf,
+      background: splits.train.length ? splits.train : dataset.records,
+      seed:       myBrain.seed ?? 42
+    }),
+    counterfactualHints(lastPatient, { features, riskOf, threshold: decision.threshold }),
+    decision.threshold
+  );
+  refreshEnsembleGauge();
+}
+
 /* ══════════════════════════════════════════════════════════
    LSTM — TRAIN  (via Web Worker — never blocks main thread)
 ══════════════════════════════════════════════════════════ */
 function wireLstmTrainButton() {
   document.getElementById('lstmTrainBtn').addEventListener('click', startLstmTraining);
+  lstmRunControls = wireRunControls({
+    actions: 'lstmTrainActions', pauseBtn: 'lstmPauseBtn', cancelBtn: 'lstmCancelBtn',
+    pause: pauseLstm, resume: resumeLstm, cancel: cancelLstm,
+    onPause: paused => {
+      document.getElementById('lstmProgressStatus').textContent = paused ? '⏸ Paused' : 'Training LSTM…';
+    },
+    onCancel: () => {
+      const btn = document.getElementById('lstmTrainBtn');
+      document.getElementById('lstmProgressStatus').textContent =
+        lstmState.trained ? '✕ Cancelled — previous LSTM kept' : '✕ Cancelled';
+      document.getElementById('lstmLogOutput').textContent += '[CANCELLED] Training stopped by user.\n';
+      btn.disabled    = false;
+      btn.textContent = lstmState.trained ? '✓ LSTM Trained — ↻ Retrain' : '▶ Train LSTM';
+    }
+  });
 }
 
+let lstmMetrics     = null;  // { validation, test } summaries of the last run
+let lstmHyperparams = null;  // reported by the worker's 'done' message
+
 function startLstmTraining() {
   const btn        = document.getElementById('lstmTrainBtn');
   const progressEl = document.getElementById('lstmProgressWrap');
@@ -147,16 +915,18 @@ function startLstmTraining() {
   btn.disabled       = true;
   btn.textContent    = '⏳ Training LSTM…';
   progressEl.classList.add('visible');
-  logEl.innerHTML    = '';
+  logEl.textContent  = '';
   fillEl.style.width = '0%';
   sampleEl.textContent = 'Generating training texts…';
+  lstmRunControls.show();
 
   trainLstm({
+    seed: readSeed(),
     onSamples: examples => {
       sampleEl.textContent = examples;
     },
     onLog: msg => {
-      logEl.innerHTML += msg + '\n';
+      logEl.textContent += msg + '\n';
       logEl.scrollTop  = logEl.scrollHeight;
     },
     onProgress: ({ pct, error }) => {
@@ -164,24 +934,35 @@ function startLstmTraining() {
       pctEl.textContent    = pct + '%';
       statusEl.textContent = `Training LSTM… (error: ${error.toFixed(4)})`;
     },
-    onDone: metrics => {
+    onDone: ({ validation, test, hyperparams }) => {
+      lstmRunControls.hide();
       fillEl.style.width   = '100%';
       pctEl.textContent    = '100%';
       statusEl.textContent = '✓ LSTM Training Complete';
-      btn.textContent      = '✓ LSTM Trained';
+      btn.textContent      = '✓ LSTM Trained — ↻ Retrain';
+      btn.disabled         = false;
       btn.style.background = 'var(--warn)';
 
-      document.getElementById('lstmValAcc').textContent       = metrics.valAcc + '%';
-      document.getElementById('lstmTestAcc').textContent      = metrics.testAcc + '%';
-      document.getElementById('lstmShowRecall').textContent   = metrics.testShowRecall + '%';
-      document.getElementById('lstmNoshowRecall').textContent = metrics.testNoshowRecall + '%';
+      document.getElementById('lstmValAcc').textContent       = formatPct(validation.accuracy) + '%';
+      document.getElementById('lstmTestAcc').textContent      = formatPct(test.accuracy) + '%';
+      document.getElementById('lstmShowRecall').textContent   = formatPct(test.showRecall) + '%';
+      document.getElementById('lstmNoshowRecall').textContent = formatPct(test.noshowRecall) + '%';
+      renderEvaluation('lstmEvalDetails', test, { color: 'var(--warn)' });
       document.getElementById('lstmAccuracySection').style.display = 'block';
+      lstmMetrics     = { validation: summarizeEvaluation(validation), test: summarizeEvaluation(test) };
+      lstmHyperparams = hyperparams;
 
       document.getElementById('lstmPredictCard').classList.add('enabled');
       document.getElementById('lstmActiveDot').style.display = 'inline-block';
+      registerTrainingRun('lstm');
+      scoreBatch();
+      lstmFoldScores = null;
+      lastLstm       = null;
+      updateEnsemble();
     },
     onError: err => {
-      logEl.innerHTML += `[ERROR] ${err.message}\n`;
+      lstmRunControls.hide();
+      logEl.textContent += `[ERROR] ${err.message}\n`;
       btn.disabled    = false;
       btn.textContent = '▶ Retry LSTM Training';
     }
@@ -194,11 +975,13 @@ function startLstmTraining() {
 function wireLstmPredictButton() {
   document.getElementById('lstmPredictBtn').addEventListener('click', runLstmPrediction);
 
-  // Live-preview cleaned text while user types
+  // Live preview of the text the LSTM will actually read
   document.getElementById('lstmTextInput').addEventListener('input', e => {
-    const cleaned = cleanText(e.target.value);
+    const features          = lstmState.trained ? lstmState.features : dataset.features;
+    const { text, ignored } = normalizeText(e.target.value, features);
+    const note              = ignored.length ? ` · not in the vocabulary: ${ignored.join(', ')}` : '';
     document.getElementById('lstmCleanedText').textContent =
-      cleaned ? `Cleaned: "${cleaned}"` : '';
+      e.target.value.trim() ? `Reads as: "${text}"${note}` : '';
   });
 }
 
@@ -214,29 +997,38 @@ async function runLstmPrediction() {
   btn.disabled    = true;
 
   try {
-    const { label, cleaned } = await predictFromText(rawText);
-    const isNoShow = label === 'noshow';
+    const { prob, outcome, output, cleaned, ignored } = await predictFromText(rawText);
+    const pct   = Math.round(prob * 100);
+    const cut   = Math.round(LSTM_THRESHOLD * 100);
+    const color = outcome === 'unparseable' ? 'var(--warn)'
+      : outcome === 'noshow' ? 'var(--danger)' : 'var(--accent)';
 
     document.getElementById('lstmResultPanel').classList.add('visible');
 
+    const CIRCUMFERENCE = 301.6;
     const circle = document.getElementById('lstmGaugeCircle');
-    circle.style.strokeDashoffset = isNoShow ? 75 : 226;
-    circle.style.stroke           = isNoShow ? 'var(--danger)' : 'var(--accent)';
+    circle.style.strokeDashoffset = CIRCUMFERENCE - prob * CIRCUMFERENCE;
+    circle.style.stroke           = color;
     circle.style.transition       = 'stroke-dashoffset 0.8s ease, stroke 0.5s';
-    document.getElementById('lstmGaugeText').textContent = isNoShow ? 'NO-SHOW' : 'SHOW';
+    document.getElementById('lstmGaugeText').textContent = pct + '%';
 
     const lbl  = document.getElementById('lstmVerdictLabel');
     const desc = document.getElementById('lstmVerdictDesc');
 
-    if (isNoShow) {
+    if (outcome === 'unparseable') {
+      lbl.className    = 'verdict-label unparseable';
+      lbl.textContent  = 'Unparseable Output';
+      desc.textContent = `LSTM read: "${cleaned}" and wrote "${output}" — neither "yes" nor "no", so no verdict. Label likelihoods put the no-show risk at ${pct}%.`;
+    } else if (outcome === 'noshow') {
       lbl.className    = 'verdict-label no-show';
       lbl.textContent  = 'Likely No-Show';
-      desc.textContent = `LSTM read: "${cleaned}" → predicted the patient will miss their appointment.`;
+      desc.textContent = `LSTM read: "${cleaned}" → no-show risk ${pct}% (threshold ${cut}%) — predicted the patient will miss their appointment.`;
     } else {
       lbl.className    = 'verdict-label will-show';
       lbl.textContent  = 'Will Attend';
-      desc.textContent = `LSTM read: "${cleaned}" → predicted the patient will attend.`;
+      desc.textContent = `LSTM read: "${cleaned}" → no-show risk ${pct}% (threshold ${cut}%) — predicted the patient will attend.`;
     }
+    if (ignored.length) desc.textContent += ` Ignored (not in the training vocabulary): ${ignored.join(', ')}.`;
   } catch (err) {
     alert('Prediction error: ' + err.message);
   } finally {
@@ -244,3 +1036,668 @@ async function runLstmPrediction() {
     btn.disabled    = false;
   }
 }
+
+/* ══════════════════════════════════════════════════════════
+   ENSEMBLE  (NN + LSTM, see ensemble.js)
+   Refitted on the validation fold whenever either model, the
+   NN calibration or the method changes. The LSTM scores the
+   network's validation and test folds once per pair of
+   models; moving the threshold only re-evaluates.
+══════════════════════════════════════════════════════════ */
+let lstmFoldScores = null;   // { validation, test } LSTM predictions of the network's folds
+let ensemble       = null;   // fitEnsemble() combiner, null when off or not available
+let ensembleRun    = 0;      // drops replies of superseded fits
+let lastLstm       = null;   // LSTM prediction for lastPatient
+
+function wireEnsemble() {
+  const select = document.getElementById('ensembleMethod');
+  select.innerHTML = Object.entries(ENSEMBLE_METHODS).map(([key, m]) => `<option value="${key}">${m.label}</option>`).join('');
+  select.addEventListener('change', updateEnsemble);
+  updateEnsemble();
+}
+
+async function updateEnsemble() {
+  const run    = ++ensembleRun;
+  const method = document.getElementById('ensembleMethod').value;
+  ensemble = null;
+  renderEnsembleComparison(null);
+  refreshEnsembleGauge();
+
+  if (method === 'off')
+    return setEnsembleStatus('Off — the predict card shows the neural network alone.');
+  if (!nnScores || !lstmState.trained)
+    return setEnsembleStatus('Train the neural network and the LSTM in this session to fit the ensemble.');
+  if (lstmState.seed !== myBrain.seed)
+    return setEnsembleStatus(`The network was trained with seed ${myBrain.seed}, the LSTM with seed ${lstmState.seed} — retrain one so both share the split.`, true);
+
+  try {
+    if (!lstmFoldScores) {
+      setEnsembleStatus('Scoring the validation and test folds with the LSTM…');
+      const predictions = await scoreLstmRecords([...splits.validation, ...splits.test]);
+      if (run !== ensembleRun) return;
+      lstmFoldScores = {
+        validation: predictions.slice(0, splits.validation.length),
+        test:       predictions.slice(splits.validation.length)
+      };
+    }
+    const { actual, probs } = foldScores('validation');
+    ensemble = fitEnsemble(method, actual, probs, lstmFoldScores.validation.map(p => p.prob));
+    setEnsembleStatus(`Fitted on the ${actual.length}-row validation fold: ${describeEnsemble(ensemble)}.`);
+  } catch (err) {
+    if (run !== ensembleRun) return;
+    return setEnsembleStatus(`[ERROR] ${err.message}`, true);
+  }
+
+  renderEnsembleResults();
+  if (lastPatient && !lastLstm) scorePatientWithLstm(lastPatient);
+  else refreshEnsembleGauge();
+}
+
+/** Test-fold comparison at the current threshold. */
+function renderEnsembleResults() {
+  if (!ensemble) return;
+  const { actual, probs } = foldScores('test');
+  renderEnsembleComparison(evaluateEnsemble({
+    actual,
+    nn:        probs,
+    lstm:      lstmFoldScores.test,
+    ensemble,
+    threshold: decision.threshold
+  }));
+}
+
+/** LSTM score of the patient on the predict card (its recordToText() text). */
+function scorePatientWithLstm(patient) {
+  if (!ensemble) return;
+  scoreLstmRecords([patient])
+    .then(([prediction]) => {
+      if (patient !== lastPatient) return;
+      lastLstm = prediction;
+      refreshEnsembleGauge();
+    })
+    .catch(err => setPredictStatus(`[ERROR] Ensemble: ${err.message}`, true));
+}
+
+function refreshEnsembleGauge() {
+  if (!ensemble || lastRaw === null || !lastLstm) {
+    renderEnsemblePrediction(null);
+    return;
+  }
+  const nnRisk = calibrate(lastRaw);
+  renderEnsemblePrediction({
+    risk:      combine(ensemble, nnRisk, lastLstm.prob),
+    threshold: decision.threshold,
+    nnRisk,
+    lstm:      lastLstm
+  });
+}
+
+/** Drops the combiner and cached LSTM scores (dataset swap, loaded models). */
+function resetEnsemble() {
+  lstmFoldScores = null;
+  lastLstm       = null;
+  updateEnsemble();
+}
+
+function setEnsembleStatus(message, isError = false) {
+  const el = document.getElementById('ensembleStatus');
+  el.textContent = message;
+  el.classList.toggle('error', isError);
+}
+
+/* ══════════════════════════════════════════════════════════
+   BATCH SCORING  (upcoming appointments, see batch.js)
+   The parsed file is kept and re-scored whenever the active
+   network, its calibration or the LSTM changes; a threshold
+   change only redraws the verdicts.
+══════════════════════════════════════════════════════════ */
+let batchCsv     = null;                           // parsed upcoming-appointments file
+let batchResults = null;                           // [{ row, record, risk, lstm }]
+let batchMapping = null;                           // { profile, skipped } of the scored file
+let batchSort    = { key: 'risk', dir: 'desc' };
+let batchRun     = 0;                              // drops replies of superseded runs
+
+function wireBatchScoring() {
+  const zone  = document.getElementById('batchDropZone');
+  const input = document.getElementById('batchFileInput');
+
+  zone.addEventListener('click', () => input.click());
+  input.addEventListener('change', () => {
+    if (input.files.length) loadBatchFile(input.files[0]);
+    input.value = '';
+  });
+
+  zone.addEventListener('dragover', e => {
+    e.preventDefault();
+    zone.classList.add('dragging');
+  });
+  zone.addEventListener('dragleave', () => zone.classList.remove('dragging'));
+  zone.addEventListener('drop', e => {
+    e.preventDefault();
+    zone.classList.remove('dragging');
+    if (e.dataTransfer.files.length) loadBatchFile(e.dataTransfer.files[0]);
+  });
+
+  document.getElementById('batchIncludeLstm').addEventListener('change', scoreBatch);
+
+  document.getElementById('batchTableHead').addEventListener('click', e => {
+    const key = e.target.closest('[data-sort]')?.dataset.sort;
+    if (!key) return;
+    batchSort = batchSort.key === key
+      ? { key, dir: batchSort.dir === 'asc' ? 'desc' : 'asc' }
+      : { key, dir: key === 'risk' || key === 'lstm' ? 'desc' : 'asc' };
+    renderBatch();
+  });
+
+  document.getElementById('batchDownloadBtn').addEventListener('click', () => {
+    if (!batchResults) return;
+    downloadBatchCsv(batchToCsv(batchCsv, batchResults, decision.threshold), batchCsv.name);
+  });
+}
+
+async function loadBatchFile(file) {
+  setBatchStatus(`Reading ${file.name}…`);
+  try {
+    batchCsv = await loadCsvFile(file);
+    await scoreBatch();
+  } catch (err) {
+    setBatchStatus(`[ERROR] ${err.message}`, true);
+  }
+}
+
+/** Maps and scores the loaded file with the current models. */
+async function scoreBatch() {
+  const run      = ++batchRun;
+  const lstmBox  = document.getElementById('batchIncludeLstm');
+  lstmBox.disabled = !lstmState.trained;
+  if (!lstmState.trained) lstmBox.checked = false;
+
+  batchResults = null;
+  document.getElementById('batchDownloadBtn').disabled = true;
+  document.getElementById('batchResults').hidden = true;
+  if (!batchCsv) return;
+  if (!myBrain.features.length) {
+    setBatchStatus(`Loaded ${batchCsv.name} — train or activate a neural network to score it.`);
+    return;
+  }
+
+  try {
+    const prepared = prepareBatch(batchCsv, myBrain.features);
+    const risks    = scoreRecords(prepared.records).probs.map(calibrate);
+    let labels = null;
+    if (lstmBox.checked) {
+      setBatchStatus(`Scoring ${prepared.records.length.toLocaleString()} rows with the LSTM…`);
+      labels = await labelRecords(prepared.records);
+    }
+    if (run !== batchRun) return;
+
+    batchResults = buildBatchResults(prepared, risks, labels);
+    batchMapping = { profile: prepared.profile.name, skipped: prepared.skipped };
+    document.getElementById('batchDownloadBtn').disabled = false;
+    document.getElementById('batchResults').hidden = false;
+    renderBatch();
+  } catch (err) {
+    if (run === batchRun) setBatchStatus(`[ERROR] ${err.message}`, true);
+  }
+}
+
+function renderBatch() {
+  if (!batchResults) return;
+  renderBatchTable(batchResults, { threshold: decision.threshold, sort: batchSort });
+
+  const { scored, flagged, meanRisk } = summarizeBatch(batchResults, decision.threshold);
+  const shown = scored > TABLE_LIMIT ? ` · table shows the top ${TABLE_LIMIT} by the current sort, the download has all rows` : '';
+  setBatchStatus(
+    `✓ Scored ${scored.toLocaleString()} appointments from ${batchCsv.name} with "${batchMapping.profile}"` +
+    ` · ${batchMapping.skipped.toLocaleString()} skipped (invalid / out-of-range values)` +
+    ` · ${flagged.toLocaleString()} flagged as likely no-show at threshold ${decision.threshold.toFixed(2)}` +
+    ` · mean risk ${formatPct(meanRisk)}%${shown}`
+  );
+}
+
+function setBatchStatus(message, isError = false) {
+  const el = document.getElementById('batchStatus');
+  el.textContent = message;
+  el.classList.toggle('error', isError);
+}
+
+/* ══════════════════════════════════════════════════════════
+   MODEL REGISTRY  (IndexedDB + JSON file, see models.js)
+   Every finished training run is registered and becomes the
+   active model of its kind; older entries stay available
+   for activation, export, comparison or deletion.
+══════════════════════════════════════════════════════════ */
+const registrySelection = new Set();   // ids ticked for comparison (max 2)
+
+function wireModelStorage() {
+  const fileInput = document.getElementById('modelFileInput');
+
+  document.getElementById('saveModelBtn').addEventListener('click', () => withModelStatus(async () => {
+    const bundle = await currentModelBundle();
+    await registerBundle(bundle);
+    return `✓ Saved model — ${describeBundle(bundle)}`;
+  }));
+
+  document.getElementById('exportModelBtn').addEventListener('click', () => withModelStatus(async () => {
+    const bundle = await currentModelBundle();
+    exportModel(bundle);
+    return `✓ Exported model — ${describeBundle(bundle)}`;
+  }));
+
+  document.getElementById('importModelBtn').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => withModelStatus(async () => {
+    if (!fileInput.files.length) return '';
+    const file = fileInput.files[0];
+    fileInput.value = '';   // same file can be picked again
+    const bundle = parseModelJson(await readFileAsText(file));
+    await applyModelBundle(bundle);
+    await registerBundle(bundle);
+    return `✓ Imported model — ${describeBundle(bundle)}`;
+  }));
+
+  document.getElementById('compareModelsBtn').addEventListener('click', () => withModelStatus(compareSelectedModels));
+
+  document.getElementById('registryTableBody').addEventListener('change', e => {
+    if (!e.target.classList.contains('registry-select')) return;
+    const id = e.target.closest('tr').dataset.id;
+    if (e.target.checked) registrySelection.add(id);
+    else                  registrySelection.delete(id);
+    // Keep the two most recent ticks
+    if (registrySelection.size > 2) registrySelection.delete(registrySelection.values().next().value);
+    refreshRegistry();
+  });
+
+  document.getElementById('registryTableBody').addEventListener('click', e => {
+    const action = e.target.dataset.action;
+    if (!action) return;
+    const id = e.target.closest('tr').dataset.id;
+
+    withModelStatus(async () => {
+      const bundle = await loadModel(id);
+      if (!bundle) throw new Error('Model no longer exists');
+
+      if (action === 'activate') {
+        await applyModelBundle(bundle);
+        setActiveBundle(bundle);
+        await refreshRegistry();
+        return `✓ Activated model — ${describeBundle(bundle)}`;
+      }
+      if (action === 'export') {
+        exportModel(bundle);
+        return `✓ Exported model — ${describeBundle(bundle)}`;
+      }
+      if (action === 'delete') {
+        if (!confirm('Delete this saved model?')) return '';
+        await deleteModel(id);
+        clearActiveId(id);
+        registrySelection.delete(id);
+        await refreshRegistry();
+        return `✓ Deleted model — ${describeBundle(bundle)}`;
+      }
+      return '';
+    });
+  });
+
+  refreshRegistry().then(restoreActiveModels).catch(err => {
+    document.getElementById('modelStatus').textContent = `[ERROR] ${err.message}`;
+    document.getElementById('modelStatus').classList.add('error');
+  });
+}
+
+/** Runs a registry action and reports its outcome in the status line. */
+async function withModelStatus(action) {
+  const el = document.getElementById('modelStatus');
+  try {
+    el.textContent = await action();
+    el.classList.remove('error');
+  } catch (err) {
+    el.textContent = `[ERROR] ${err.message}`;
+    el.classList.add('error');
+  }
+}
+
+async function refreshRegistry() {
+  const bundles = await listModels();
+  const known   = new Set(bundles.map(b => b.id));
+  registrySelection.forEach(id => { if (!known.has(id)) registrySelection.delete(id); });
+
+  renderRegistry(bundles, loadActiveIds(), registrySelection);
+  document.getElementById('compareModelsBtn').disabled = registrySelection.size !== 2;
+}
+
+/** Stores a bundle, marks it active and redraws the table. */
+async function registerBundle(bundle) {
+  await saveModel(bundle);
+  setActiveBundle(bundle);
+  await refreshRegistry();
+}
+
+/** Registers the network just trained (kind: 'nn' | 'lstm'). */
+function registerTrainingRun(kind) {
+  withModelStatus(async () => {
+    const bundle = createModelBundle({
+      dataset,
+      threshold: decision.threshold,
+      nn:   kind === 'nn'   ? nnBundlePart()         : null,
+      lstm: kind === 'lstm' ? await lstmBundlePart() : null
+    });
+    await registerBundle(bundle);
+    return `✓ Registered ${kind === 'nn' ? 'NN' : 'LSTM'} run — ${describeBundle(bundle)}`;
+  });
+}
+
+/** Reloads the active models of the previous session. */
+async function restoreActiveModels() {
+  const active = loadActiveIds();
+  const loaded = [];
+  for (const kind of ['lstm', 'nn']) {
+    const bundle = active[kind] && await loadModel(active[kind]);
+    if (!bundle || !bundle[kind]) continue;
+    await applyModelBundle(bundle, [kind]);
+    loaded.push(kind.toUpperCase());
+  }
+  if (loaded.length)
+    document.getElementById('modelStatus').textContent = `✓ Restored active ${loaded.join(' + ')} model from the registry.`;
+}
+
+function nnBundlePart() {
+  return { ...snapshotNetwork(), metrics: nnMetrics };
+}
+
+async function lstmBundlePart() {
+  return {
+    json:         await exportLstm(),
+    seed:         lstmState.seed,
+    features:     lstmState.features.slice(),
+    textEncoding: TEXT_ENCODING_VERSION,
+    hyperparams:  lstmHyperparams,
+    metrics:      lstmMetrics
+  };
+}
+
+async function currentModelBundle() {
+  if (!nnMetrics && !lstmMetrics) throw new Error('Train or load a model first');
+  return createModelBundle({
+    dataset,
+    threshold: decision.threshold,
+    nn:   nnMetrics   ? nnBundlePart()         : null,
+    lstm: lstmMetrics ? await lstmBundlePart() : null
+  });
+}
+
+/** Restores the networks in a bundle and enables their predict cards. */
+async function applyModelBundle(bundle, kinds = ['nn', 'lstm']) {
+  if (bundle.nn && kinds.includes('nn')) {
+    restoreNetwork(bundle.nn);
+    cancelNotesComparison();
+    renderNotesComparison(null);
+    resetBaselines();
+    nnScores  = null;
+    nnMetrics = bundle.nn.metrics;
+    lastRaw   = null;
+    resetEnsemble();
+    syncPredictForm(bundle.nn.features);
+    document.getElementById('calibrationMethod').value = bundle.nn.calibrator ? bundle.nn.calibrator.method : 'none';
+    document.getElementById('accuracySection').style.display = 'none';
+    document.getElementById('resultPanel').classList.remove('visible');
+    document.getElementById('predictCard').classList.add('enabled');
+    document.getElementById('activeDot').style.display = 'inline-block';
+    setThreshold(bundle.threshold);
+
+    // Its test fold is only held out if the model was trained on this very dataset
+    const heldOut = bundle.nn.seed != null && bundle.dataset.fingerprint === datasetFingerprint(dataset);
+    updateFeatureImportance(heldOut
+      ? splitDataset(dataset.records, { seed: bundle.nn.seed }).test
+      : null);
+  }
+
+  if (bundle.lstm && kinds.includes('lstm')) {
+    await importLstm(bundle.lstm.json, bundle.lstm.features, bundle.lstm.seed, bundle.lstm.textEncoding);
+    lstmMetrics     = bundle.lstm.metrics;
+    lstmHyperparams = bundle.lstm.hyperparams;
+    resetEnsemble();
+    document.getElementById('lstmAccuracySection').style.display = 'none';
+    document.getElementById('lstmResultPanel').classList.remove('visible');
+    document.getElementById('lstmPredictCard').classList.add('enabled');
+    document.getElementById('lstmActiveDot').style.display = 'inline-block';
+  }
+
+  scoreBatch();
+}
+
+/**
+ * Scores the two ticked models on the test fold of the active
+ * dataset (current split seed). Bundles holding both networks
+ * are compared through their feedforward net.
+ */
+async function compareSelectedModels() {
+  const bundles = await Promise.all([...registrySelection].map(loadModel));
+  const test    = splitDataset(dataset.records, { seed: readSeed() }).test;
+  const current = datasetFingerprint(dataset);
+
+  const columns = [];
+  for (const bundle of bundles) {
+    const [{ kind, label, part }] = bundleParts(bundle);
+    const features  = part.features || dataset.features;
+    const available = availableFeatures();
+    const missing   = features.filter(f => !available.includes(f));
+    if (missing.length)
+      throw new Error(`Model from ${new Date(bundle.savedAt).toLocaleString()} needs features missing from the active dataset: ${missing.join(', ')}`);
+
+    const { actual, probs } = kind === 'nn'
+      ? scoreSnapshot(part, test)
+      : await scoreLstmJson(part.json, features, test, part.textEncoding);
+    columns.push({
+      title:      `${label} · ${new Date(bundle.savedAt).toLocaleString()}`,
+      subtitle:   escapeHtml(`${bundle.dataset.name} · #${bundle.dataset.fingerprint}`),
+      evaluation: evaluate(actual, probs, kind === 'nn' ? bundle.threshold : 0.5),
+      foreign:    bundle.dataset.fingerprint !== current
+    });
+  }
+
+  const foreign = columns.some(c => c.foreign)
+    ? ' At least one model was trained on a different dataset (fingerprint mismatch), so some of these test rows may have been in its training data.'
+    : '';
+  renderComparison('registryCompare', columns,
+    `Test fold: ${test.length} rows of ${escapeHtml(dataset.name)} (seed ${readSeed()}), each model at its own saved threshold.${foreign}`);
+  return `✓ Compared ${columns.length} models on ${test.length} test rows`;
+}
+
+/* ══════════════════════════════════════════════════════════
+   CROSS-VALIDATION  (k-fold in a dedicated Web Worker)
+══════════════════════════════════════════════════════════ */
+function wireCrossValidation() {
+  document.getElementById('cvRunBtn').addEventListener('click', startCrossValidation);
+}
+
+function startCrossValidation() {
+  const btn        = document.getElementById('cvRunBtn');
+  const progressEl = document.getElementById('cvProgressWrap');
+  const fillEl     = document.getElementById('cvProgressFill');
+  const pctEl      = document.getElementById('cvProgressPct');
+  const statusEl   = document.getElementById('cvProgressStatus');
+  const logEl      = document.getElementById('cvLogOutput');
+
+  btn.disabled       = true;
+  btn.textContent    = '⏳ Cross-validating…';
+  progressEl.classList.add('visible');
+  logEl.textContent  = '';
+  fillEl.style.width = '0%';
+  resetCvResults();
+  document.getElementById('cvResults').style.display = 'block';
+
+  const log = msg => { logEl.textContent += msg + '\n'; logEl.scrollTop = logEl.scrollHeight; };
+
+  runCrossValidation({
+    model: document.getElementById('cvModel').value,
+    k:     parseInt(document.getElementById('cvFolds').value, 10) || 5,
+    seed:  readSeed(),
+    onLog: log,
+    onProgress: ({ pct, error }) => {
+      fillEl.style.width   = pct + '%';
+      pctEl.textContent    = pct + '%';
+      statusEl.textContent = `Cross-validating… (error: ${error.toFixed(4)})`;
+    },
+    onFold: (index, metrics) => {
+      appendCvFoldRow(index, metrics);
+      log(`[FOLD ${index + 1}] accuracy ${(metrics.accuracy * 100).toFixed(1)}% · no-show F1 ${(metrics.f1 * 100).toFixed(1)}%`);
+    },
+    onDone: result => {
+      fillEl.style.width   = '100%';
+      pctEl.textContent    = '100%';
+      statusEl.textContent = '✓ Cross-Validation Complete';
+      renderCvSummary(result);
+      btn.disabled    = false;
+      btn.textContent = '▶ Run Cross-Validation';
+    },
+    onError: err => {
+      log(`[ERROR] ${err.message}`);
+      btn.disabled    = false;
+      btn.textContent = '▶ Retry Cross-Validation';
+    }
+  });
+}
+
+/* ══════════════════════════════════════════════════════════
+   HYPERPARAMETER TUNING  (worker pool, validation fold only)
+══════════════════════════════════════════════════════════ */
+let tuneMetric    = 'f1';
+let tuneResults   = [];     // finished trials of the current / last search
+let promotedTrial = null;   // id of the trial serving as the live model
+
+function wireTuning() {
+  renderTuningForm();
+  document.getElementById('tuneRunBtn').addEventListener('click', startTuning);
+
+  document.getElementById('tuneCancelBtn').addEventListener('click', () => {
+    if (!cancelTuning()) return;
+    document.getElementById('tuneActions').classList.remove('visible');
+    document.getElementById('tuneProgressStatus').textContent = `✕ Cancelled after ${tuneResults.length} trial(s)`;
+    finishTuningRun();
+  });
+
+  document.getElementById('tunePromoteBtn').addEventListener('click', () => {
+    const best = bestTrial();
+    if (best) promoteTuningTrial(best.id);
+  });
+
+  document.getElementById('tuneTableBody').addEventListener('click', e => {
+    const btn = e.target.closest('button[data-action="promote"]');
+    if (btn) promoteTuningTrial(Number(btn.closest('tr').dataset.id));
+  });
+}
+
+function startTuning() {
+  const btn      = document.getElementById('tuneRunBtn');
+  const fillEl   = document.getElementById('tuneProgressFill');
+  const pctEl    = document.getElementById('tuneProgressPct');
+  const statusEl = document.getElementById('tuneProgressStatus');
+  const seed     = readSeed();
+
+  let candidates;
+  try {
+    candidates = buildCandidates(readTuningForm(), {
+      method: document.getElementById('tuneMethod').value,
+      trials: parseInt(document.getElementById('tuneTrials').value, 10),
+      seed
+    });
+  } catch (err) {
+    document.getElementById('tuneResults').style.display = 'block';
+    setTuningStatus(`[ERROR] ${err.message}`, true);
+    return;
+  }
+
+  tuneMetric    = document.getElementById('tuneMetric').value;
+  tuneResults   = [];
+  promotedTrial = null;
+  btn.disabled         = true;
+  btn.textContent      = '⏳ Searching…';
+  fillEl.style.width   = '0%';
+  pctEl.textContent    = '0%';
+  statusEl.textContent = `Searching… 0 / ${candidates.length} trials`;
+  document.getElementById('tuneProgressWrap').classList.add('visible');
+  document.getElementById('tuneActions').classList.add('visible');
+  document.getElementById('tuneResults').style.display = 'block';
+  renderLeaderboard(tuneResults, { metric: tuneMetric });
+  setTuningStatus('');
+
+  runTuning({
+    candidates,
+    metric:   tuneMetric,
+    seed,
+    poolSize: Math.max(1, parseInt(document.getElementById('tuneWorkers').value, 10) || 1),
+    onTrial: (trial, results) => {
+      tuneResults = results;
+      renderLeaderboard(tuneResults, { metric: tuneMetric, promotedId: promotedTrial });
+      document.getElementById('tunePromoteBtn').disabled = !bestTrial();
+    },
+    onProgress: ({ done, total, pct }) => {
+      fillEl.style.width   = pct + '%';
+      pctEl.textContent    = pct + '%';
+      statusEl.textContent = `Searching… ${done} / ${total} trials`;
+    },
+    onDone: results => {
+      fillEl.style.width   = '100%';
+      pctEl.textContent    = '100%';
+      statusEl.textContent = `✓ Search Complete — ${results.length} trials`;
+      document.getElementById('tuneActions').classList.remove('visible');
+      finishTuningRun();
+    },
+    onError: err => {
+      statusEl.textContent = '✕ Search failed';
+      document.getElementById('tuneActions').classList.remove('visible');
+      setTuningStatus(`[ERROR] ${err.message}`, true);
+      finishTuningRun();
+    }
+  });
+}
+
+function finishTuningRun() {
+  const btn = document.getElementById('tuneRunBtn');
+  btn.disabled    = false;
+  btn.textContent = '▶ Start Search';
+  const best = bestTrial();
+  if (best)
+    setTuningStatus(`Best: trial #${best.id + 1} — ${best.options.network.activation} [${best.options.network.hiddenLayers.join(', ')}] · lr ${best.options.training.learningRate} · validation ${tuneMetric === 'f1' ? `F1 ${formatPct(best.score)}%` : `AUC ${best.score.toFixed(3)}`}`);
+}
+
+/** The trial's network becomes the live model and its hyperparameters the settings. */
+function promoteTuningTrial(id) {
+  try {
+    const trial = promoteTrial(id);
+    if (cancelTraining())
+      document.getElementById('progressStatus').textContent = '✕ Cancelled — replaced by a tuning trial';
+    nnRunControls.hide();
+
+    applySettings({ ...currentSettings(), ...trial.options });
+    saveSettings(currentSettings());
+    renderSettingsForm();
+    refreshArchitecture();
+    activateArchNodes();
+    showTrainedNetwork();
+
+    promotedTrial = id;
+    renderLeaderboard(tuneResults, { metric: tuneMetric, promotedId: promotedTrial });
+    setTuningStatus(`✓ Trial #${id + 1} promoted to the active model — test-fold results are in the training card.`);
+  } catch (err) {
+    setTuningStatus(`[ERROR] ${err.message}`, true);
+  }
+}
+
+function clearTuningResults() {
+  resetTuning();
+  tuneResults   = [];
+  promotedTrial = null;
+  document.getElementById('tuneResults').style.display = 'none';
+  document.getElementById('tuneProgressWrap').classList.remove('visible');
+  document.getElementById('tuneActions').classList.remove('visible');
+  document.getElementById('tunePromoteBtn').disabled = true;
+  setTuningStatus('');
+  finishTuningRun();
+}
+
+function setTuningStatus(message, isError = false) {
+  const el = document.getElementById('tuneStatus');
+  el.textContent = message;
+  el.classList.toggle('error', isError);
+}
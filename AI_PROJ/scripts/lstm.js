@@ -6,91 +6,294 @@
  * so the browser never freezes or crashes.
  *
  * PIPELINE (per assignment):
- *   1. Text generation  — recordToText()
- *   2. Text cleaning    — cleanText()
- *   3. Train/Val/Test split (70/15/15) + oversampling  [in worker]
- *   4. LSTM training via brain.recurrent.LSTM           [in worker]
- *   5. Evaluation on val + test sets                    [in worker]
- *   6. Free-text prediction                             [in worker]
+ *   1. Text generation  — recordToText()   (textencoding.js, shared
+ *   2. Text cleaning    — cleanText()        with the worker)
+ *   3. Train/Val/Test split (70/15/15, seeded, split.js)
+ *      + class balancing of the training fold          [in worker]
+ *   4. Text model training: brain.recurrent.LSTM, or the
+ *      token classifier (tokenmodel.js), per Settings  [in worker]
+ *   5. P(no-show) of val + test texts [in worker], metrics via metrics.js
+ *   6. Free-text (normalizeText()) and batch prediction [in worker]
+ *   7. Weight export / import for saved models          [in worker]
+ *
+ * Training runs in its own worker and only replaces the live
+ * one when it finishes, so pausing or cancelling a run never
+ * touches the model that is already trained.
  * ─────────────────────────────────────────────────────────
  */
 
-import { RAW_DATA } from './config.js';
+import { dataset, LSTM_OPTIONS, SAMPLING_OPTIONS } from './config.js';
+import { splitDataset } from './split.js';
+import { evaluate, formatPct } from './metrics.js';
+import { checkTextEncoding } from './textencoding.js';
 
-/* ── Worker singleton ─────────────────────────────────── */
-let worker = null;
+/* ── Workers ──────────────────────────────────────────── */
+let worker         = null;   // holds the trained LSTM behind the predict card
+let trainingWorker = null;   // run in progress; replaces `worker` when done
 
-export const lstmState = { trained: false };
+// lstm.worker.js imports textencoding.js and split.js, so it is a module worker
+export const spawnLstmWorker = () => new Worker('./scripts/lstm.worker.js', { type: 'module' });
 
-/* ══════════════════════════════════════════════════════════
-   TEXT HELPERS  (mirrored here for the UI preview only)
-══════════════════════════════════════════════════════════ */
-export function recordToText(r) {
-  const gender   = r.gender === 1 ? 'male' : 'female';
-  const days     = r.days_wait === 0 ? 'sameday' : `wait${r.days_wait}`;
-  const sms      = r.sms_received ? 'sms' : 'nosms';
-  const schl     = r.scholarship  ? 'scholarship' : '';
-  const hypert   = r.hipertension ? 'hypertension' : '';
-  const diabetes = r.diabetes     ? 'diabetes' : '';
-  const alcohol  = r.alcoholism   ? 'alcoholism' : '';
-  return [gender, `age${r.age}`, days, sms, schl, hypert, diabetes, alcohol]
-    .filter(Boolean).join(' ');
-}
+export const lstmState = { trained: false, features: [], seed: null };
 
-export function cleanText(text) {
-  return text.toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+// The LSTM's no-show cut-off — its scores are not calibrated, metrics.js uses 0.5 as well
+export const LSTM_THRESHOLD = 0.5;
+
+/** 'noshow' / 'showup' by score, 'unparseable' when the LSTM wrote neither label. */
+export function lstmOutcome({ prob, unparseable }) {
+  if (unparseable) return 'unparseable';
+  return prob > LSTM_THRESHOLD ? 'noshow' : 'showup';
 }
 
 /* ══════════════════════════════════════════════════════════
    TRAIN  — spins up the worker and streams callbacks back
 ══════════════════════════════════════════════════════════ */
-export function trainLstm({ onLog, onProgress, onSamples, onDone, onError }) {
-  // Terminate any previous worker
-  if (worker) { worker.terminate(); worker = null; }
 
-  worker = new Worker('./scripts/lstm.worker.js');
+/** Current settings in the worker's `options` format (copied, so later edits don't leak in). */
+export function lstmTrainingOptions() {
+  return {
+    ...LSTM_OPTIONS,
+    hiddenLayers: LSTM_OPTIONS.hiddenLayers.slice(),
+    balance:      { ...SAMPLING_OPTIONS }
+  };
+}
+
+export function trainLstm({ seed, onLog, onProgress, onSamples, onDone, onError }) {
+  cancelLstm();
+  const run      = trainingWorker = spawnLstmWorker();
+  const features = dataset.features.slice();
 
-  worker.onmessage = (e) => {
+  run.onmessage = (e) => {
     const msg = e.data;
     switch (msg.type) {
       case 'samples':   onSamples(msg.examples);                    break;
       case 'log':       onLog(msg.message);                         break;
       case 'progress':  onProgress({ pct: msg.pct, error: msg.error }); break;
-      case 'done':
-        lstmState.trained = true;
-        onDone(msg.metrics);
+      case 'done': {
+        // The finished run becomes the live model
+        if (worker) retireWorker(worker);
+        worker         = run;
+        trainingWorker = null;
+        run.onmessage  = null;
+        run.onerror    = null;
+        lstmState.trained  = true;
+        lstmState.features = features;
+        lstmState.seed     = seed;
+        const evaluation = { ...evaluatePredictions(msg.predictions), hyperparams: msg.hyperparams };
+        onLog(`[EVAL] Val accuracy:        ${formatPct(evaluation.validation.accuracy)}%`);
+        onLog(`[EVAL] Test accuracy:       ${formatPct(evaluation.test.accuracy)}%`);
+        onLog(`[EVAL] Test no-show recall: ${formatPct(evaluation.test.noshowRecall)}%`);
+        onLog(`[EVAL] Test ROC-AUC:        ${evaluation.test.rocAuc.toFixed(3)}`);
+        onLog(`[EVAL] Unparseable output:  ${countUnparseable(msg.predictions.validation)} val · ${countUnparseable(msg.predictions.test)} test`);
+        onDone(evaluation);
+        break;
+      }
+      case 'error':
+        cancelLstm();
+        onError(new Error(msg.message));
         break;
-      case 'error':     onError(new Error(msg.message));            break;
     }
   };
 
-  worker.onerror = (err) => {
+  run.onerror = (err) => {
+    cancelLstm();
     onError(new Error(err.message || 'Worker error'));
   };
 
-  // Send the dataset to the worker
-  worker.postMessage({ type: 'train', data: RAW_DATA });
+  // Same seed → same folds as the feedforward network
+  const folds = splitDataset(dataset.records, { seed });
+  run.postMessage({ type: 'train', folds, features, seed, options: lstmTrainingOptions() });
+}
+
+export function pauseLstm() {
+  if (trainingWorker) trainingWorker.postMessage({ type: 'pause' });
+}
+
+export function resumeLstm() {
+  if (trainingWorker) trainingWorker.postMessage({ type: 'resume' });
+}
+
+/** Stops a running training; a previously trained LSTM stays usable. True if one was running. */
+export function cancelLstm() {
+  if (!trainingWorker) return false;
+  trainingWorker.terminate();
+  trainingWorker = null;
+  return true;
+}
+
+/* ══════════════════════════════════════════════════════════
+   EVALUATE  — worker predictions → metrics.js evaluation
+══════════════════════════════════════════════════════════ */
+function evaluatePredictions(predictions) {
+  const score = preds => evaluate(preds.map(p => p.actual), preds.map(p => p.prob));
+  return { validation: score(predictions.validation), test: score(predictions.test) };
+}
+
+/**
+ * Texts whose decoded answer was neither "yes" nor "no". They still
+ * carry a likelihood score, so the metrics include them.
+ */
+const countUnparseable = preds => preds.filter(p => p.unparseable).length;
+
+/* ══════════════════════════════════════════════════════════
+   RESET  — drops the trained worker (e.g. after a dataset swap)
+══════════════════════════════════════════════════════════ */
+export function resetLstm() {
+  cancelLstm();
+  if (worker) { retireWorker(worker); worker = null; }
+  lstmState.trained  = false;
+  lstmState.features = [];
+  lstmState.seed     = null;
 }
 
 /* ══════════════════════════════════════════════════════════
    PREDICT  — sends text to worker, returns via Promise
 ══════════════════════════════════════════════════════════ */
+/**
+ * { prob, outcome, output, cleaned, ignored } — prob is P(no-show) from
+ * the label likelihoods, outcome comes from lstmOutcome(), output is
+ * the answer the LSTM writes itself.
+ */
 export function predictFromText(rawText) {
-  return new Promise((resolve, reject) => {
-    if (!worker || !lstmState.trained) {
-      return reject(new Error('LSTM not trained yet'));
-    }
+  if (!worker || !lstmState.trained) {
+    return Promise.reject(new Error('LSTM not trained yet'));
+  }
+  return request({ type: 'predict', text: rawText, features: lstmState.features }, 'prediction')
+    .then(msg => ({
+      prob:    msg.prob,
+      outcome: lstmOutcome(msg),
+      output:  msg.output,
+      cleaned: msg.cleaned,
+      ignored: msg.ignored
+    }));
+}
 
-    // One-time listener for the prediction response
-    const handler = (e) => {
-      if (e.data.type === 'prediction' || e.data.type === 'error') {
-        worker.removeEventListener('message', handler);
-        if (e.data.type === 'error') reject(new Error(e.data.message));
-        else resolve({ label: e.data.label, cleaned: e.data.cleaned });
-      }
+/**
+ * Worker predictions [{ actual, prob, unparseable? }] for records,
+ * read as their recordToText() texts — one worker round-trip.
+ */
+export function scoreLstmRecords(records) {
+  if (!worker || !lstmState.trained) {
+    return Promise.reject(new Error('LSTM not trained yet'));
+  }
+  return request({ type: 'evaluate', records, features: lstmState.features }, 'evaluated')
+    .then(({ predictions }) => predictions);
+}
+
+/** Outcomes (see lstmOutcome()) for a batch of records. */
+export function labelRecords(records) {
+  return scoreLstmRecords(records).then(predictions => predictions.map(lstmOutcome));
+}
+
+/* ══════════════════════════════════════════════════════════
+   EXPORT / IMPORT  — LSTM weights as net.toJSON() (models.js)
+══════════════════════════════════════════════════════════ */
+export function exportLstm() {
+  if (!worker || !lstmState.trained) {
+    return Promise.reject(new Error('LSTM not trained yet'));
+  }
+  return request({ type: 'export' }, 'exported').then(msg => msg.json);
+}
+
+/** Loads saved weights into a fresh worker, ready for predictFromText(). */
+export function importLstm(json, features = dataset.features, seed = null, textEncoding = 1) {
+  try {
+    checkTextEncoding(textEncoding);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+  if (worker) retireWorker(worker);
+  lstmState.trained = false;
+  worker = spawnLstmWorker();
+  return request({ type: 'import', json }, 'imported')
+    .then(() => {
+      lstmState.trained  = true;
+      lstmState.features = features.slice();
+      lstmState.seed     = seed;
+    });
+}
+
+/**
+ * Scores records with saved LSTM weights in a throwaway worker, so
+ * the live model behind the predict card is left alone.
+ */
+export async function scoreLstmJson(json, features, records, textEncoding = 1) {
+  checkTextEncoding(textEncoding);
+  const temp = spawnLstmWorker();
+  try {
+    await request({ type: 'import', json }, 'imported', temp);
+    const { predictions } = await request({ type: 'evaluate', records, features }, 'evaluated', temp);
+    return { actual: predictions.map(p => p.actual), probs: predictions.map(p => p.prob) };
+  } finally {
+    retireWorker(temp);
+  }
+}
+
+/* ══════════════════════════════════════════════════════════
+   REQUESTS  — one reply per message, queued per worker
+   Replies carry no id, so one request is in flight per
+   worker at a time. Every request queued on a worker or in
+   flight settles: with its reply, the worker's 'error'
+   message or event, or when the worker is retired.
+══════════════════════════════════════════════════════════ */
+const queues  = new WeakMap();   // worker → last queued request
+const pending = new WeakMap();   // worker → reject() of every unsettled request
+
+/**
+ * Posts a message and resolves with the first reply of `replyType`,
+ * after the requests already sent to the same worker have settled.
+ */
+function request(message, replyType, target = worker) {
+  if (!pending.has(target)) pending.set(target, new Set());
+  const waiting  = pending.get(target);
+  const previous = queues.get(target) || Promise.resolve();
+  const next     = new Promise((resolve, reject) => {
+    waiting.add(reject);
+    previous
+      .then(() => {
+        if (!waiting.has(reject)) return;   // rejected while queued
+        return send(message, replyType, target).then(resolve, reject);
+      })
+      .finally(() => waiting.delete(reject));
+  });
+  queues.set(target, next.catch(() => {}));
+  return next;
+}
+
+function send(message, replyType, target) {
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      target.removeEventListener('message', onMessage);
+      target.removeEventListener('error', onError);
+    };
+    // One-time listeners for the response
+    const onMessage = (e) => {
+      if (e.data.type !== replyType && e.data.type !== 'error') return;
+      done();
+      if (e.data.type === 'error') reject(new Error(e.data.message));
+      else resolve(e.data);
+    };
+    // The worker script failed to load or threw: nothing queued behind this will run either
+    const onError = (err) => {
+      done();
+      rejectPending(target, new Error(err.message || 'LSTM worker error'));
     };
 
-    worker.addEventListener('message', handler);
-    worker.postMessage({ type: 'predict', text: rawText });
+    target.addEventListener('message', onMessage);
+    target.addEventListener('error', onError);
+    target.postMessage(message);
   });
 }
+
+function rejectPending(target, error) {
+  const waiting = pending.get(target);
+  if (!waiting) return;
+  waiting.forEach(reject => reject(error));
+  waiting.clear();
+}
+
+/** Terminates a worker; its queued and in-flight requests reject instead of hanging. */
+function retireWorker(target) {
+  target.terminate();
+  rejectPending(target, new Error('LSTM worker was stopped before it replied'));
+}
@@ -3,168 +3,377 @@
  * ─────────────────────────────────────────────────────────
  * Runs inside a Web Worker so LSTM training never blocks
  * the main thread (which causes browser tab crashes/freezes).
+ * Hosts both text models (see TEXT MODELS): the character
+ * LSTM and the token classifier from tokenmodel.js.
+ * Loaded as a module worker ({ type: 'module' }): texts come
+ * from textencoding.js, class balancing from balance.js and
+ * the seeded RNG from split.js — the same code the
+ * feedforward network uses.
  *
  * Communication via postMessage:
- *   Main → Worker:  { type: 'train', data: RAW_DATA }
+ *   Main → Worker:  { type: 'train', folds: { train, validation, test }, features, seed, options }
+ *                   options: { textModel: 'lstm' | 'tokens', hiddenLayers, iterations,
+ *                              learningRate, errorThresh, balance: { strategy, ratio } }
+ *                              (missing keys → DEFAULT_OPTIONS)
  *   Worker → Main:  { type: 'log',      message }
  *                   { type: 'progress', pct, error }
- *                   { type: 'done',     metrics }
+ *                   { type: 'done',     predictions: { validation, test }, hyperparams }
+ *                   (each [{ actual, prob, unparseable? }], scored by metrics.js;
+ *                   prob = P(no-show), see SCORING)
  *                   { type: 'error',    message }
- *   Main → Worker:  { type: 'predict',  text }
- *   Worker → Main:  { type: 'prediction', label, cleaned }
+ *   Main → Worker:  { type: 'pause' } / { type: 'resume' }   (during 'train';
+ *                   cancel = the main thread terminates the worker)
+ *   Main → Worker:  { type: 'crossValidate', folds: [{ train, test }], features, seed, options }
+ *   Worker → Main:  { type: 'fold', index, predictions: [{ actual, prob }] }
+ *                   …then { type: 'done' }
+ *   Main → Worker:  { type: 'predict',  text, features }
+ *   Worker → Main:  { type: 'prediction', prob, output, unparseable, cleaned, ignored }
+ *                   (output = the answer the LSTM writes; cleaned = the text
+ *                   normalized to the training vocabulary)
+ *   Main → Worker:  { type: 'evaluate', records, features }
+ *   Worker → Main:  { type: 'evaluated', predictions: [{ actual, prob, unparseable? }] }
+ *   Main → Worker:  { type: 'export' }
+ *   Worker → Main:  { type: 'exported', json }       (net.toJSON(), or the
+ *                                                     tokenmodel.js model)
+ *   Main → Worker:  { type: 'import',   json }
+ *   Worker → Main:  { type: 'imported' }
  * ─────────────────────────────────────────────────────────
  */
 
-// Load brain.js inside the worker
-importScripts('https://cdn.jsdelivr.net/npm/brain.js@1.6.0/browser.js');
+// brain.js is a UMD bundle; imported for its side effect of setting self.brain
+import 'https://cdn.jsdelivr.net/npm/brain.js@1.6.0/browser.js';
+import { createRng, shuffle } from './split.js';
+import { balanceSamples, describeBalance } from './balance.js';
+import { recordToText, cleanText, normalizeText } from './textencoding.js';
+import { TOKEN_MODEL_TYPE, createTokenModel, trainTokenEpoch, scoreTokens } from './tokenmodel.js';
 
 let net = null;
 
+// Short labels = faster LSTM
+const LABELS = { no: 'no', yes: 'yes' };
+
 /* ══════════════════════════════════════════════════════════
-   TEXT HELPERS
+   DATASET BUILDER
+   The split itself is made on the main thread (split.js) so
+   the LSTM sees exactly the same folds as the feedforward
+   net; here records only become text and the training fold
+   is balanced.
 ══════════════════════════════════════════════════════════ */
-function recordToText(r) {
-  const gender   = r.gender === 1 ? 'male' : 'female';
-  const days     = r.days_wait === 0 ? 'sameday' : `wait${r.days_wait}`;
-  const sms      = r.sms_received ? 'sms' : 'nosms';
-  const schl     = r.scholarship  ? 'scholarship' : '';
-  const hypert   = r.hipertension ? 'hypertension' : '';
-  const diabetes = r.diabetes     ? 'diabetes' : '';
-  const alcohol  = r.alcoholism   ? 'alcoholism' : '';
-  // Keep texts short — LSTM trains faster on short sequences
-  return [gender, `age${r.age}`, days, sms, schl, hypert, diabetes, alcohol]
-    .filter(Boolean).join(' ');
+function toSamples(records, features) {
+  return records.map(r => ({
+    input:  cleanText(recordToText(r, features)),
+    output: r.noshow === 1 ? LABELS.no : LABELS.yes,
+    noshow: r.noshow
+  }));
 }
 
-function cleanText(text) {
-  return text.toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+/* ══════════════════════════════════════════════════════════
+   CLASS BALANCING  (balance.js, as for the feedforward net)
+   SMOTE interpolates numeric inputs, which a text does not
+   have — it falls back to random oversampling here.
+══════════════════════════════════════════════════════════ */
+const textSampling = sampling => (sampling.strategy === 'smote' ? { ...sampling, strategy: 'oversample' } : sampling);
+
+function balance(samples, rng, sampling) {
+  return shuffle(balanceSamples(samples, textSampling(sampling), rng), rng);
+}
+
+function describeTextBalance(sampling) {
+  const note = sampling.strategy === 'smote' ? ' (SMOTE needs numeric inputs)' : '';
+  return describeBalance(textSampling(sampling)) + note;
+}
+
+/**
+ * brain.js LSTMs have no per-sample loss weights either: as in
+ * nn.worker.js, a weighted text is trained with weight × the
+ * learning rate. train() calls trainPattern once per sample, in
+ * data order, so the weights are matched up by position.
+ */
+function applyWeights(lstm, train) {
+  if (!train.some(s => s.weight !== undefined)) return;
+  const weights      = train.map(s => s.weight ?? 1);
+  const trainPattern = lstm.trainPattern.bind(lstm);
+  let next = 0;
+  lstm.trainPattern = (input, logErrorRate) => {
+    const rate = lstm.trainOpts.learningRate;
+    lstm.trainOpts.learningRate = rate * weights[next++ % weights.length];
+    try {
+      return trainPattern(input, logErrorRate);
+    } finally {
+      lstm.trainOpts.learningRate = rate;
+    }
+  };
+}
+
+function buildDataset(folds, features, seed, options) {
+  return {
+    train:      balance(toSamples(folds.train, features), createRng(seed), options.balance),
+    validation: toSamples(folds.validation, features),
+    test:       toSamples(folds.test, features)
+  };
 }
 
 /* ══════════════════════════════════════════════════════════
-   DATASET BUILDER
+   TEXT MODELS  (options.textModel)
+     lstm    brain.recurrent.LSTM, reads the text character by
+             character and writes "yes" / "no"
+     tokens  tokenmodel.js, bucketed word tokens → sigmoid
+   Both train on the same balanced samples; a trainer is the
+   fresh model plus a step() that runs one iteration (one
+   pass over the samples) and returns the training error.
 ══════════════════════════════════════════════════════════ */
-function buildDataset(RAW_DATA) {
-  const all = RAW_DATA.map(r => ({
-    input:  cleanText(recordToText(r)),
-    output: r.noshow === 1 ? 'no' : 'yes',  // short labels = faster LSTM
-    noshow: r.noshow
-  }));
+const DEFAULT_OPTIONS = {
+  textModel:    'lstm',
+  hiddenLayers: [20, 20],
+  iterations:   300,
+  learningRate: 0.01,
+  errorThresh:  0.01,
+  balance:      { strategy: 'oversample', ratio: 1 }
+};
 
-  // Shuffle
-  for (let i = all.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [all[i], all[j]] = [all[j], all[i]];
+const MODEL_NAMES = {
+  lstm:   'Character LSTM',
+  tokens: 'Token classifier (bag of embeddings)'
+};
+
+const withDefaults = options => ({ ...DEFAULT_OPTIONS, ...options });
+const logPeriod    = options => Math.max(1, Math.round(options.iterations / 10));
+const isTokenModel = model => model.type === TOKEN_MODEL_TYPE;
+
+function createTrainer(train, options, rng) {
+  if (!(options.textModel in MODEL_NAMES)) throw new Error(`Unknown text model "${options.textModel}"`);
+  const { errorThresh, learningRate } = options;
+
+  if (options.textModel === TOKEN_MODEL_TYPE) {
+    // One embedding width for the whole model: the first hidden size
+    const model = createTokenModel(train.map(s => s.input), options.hiddenLayers[0], rng);
+    return { model, step: () => trainTokenEpoch(model, train, learningRate, rng) };
   }
 
-  const trainEnd = Math.floor(all.length * 0.70);
-  const valEnd   = Math.floor(all.length * 0.85);
+  // brain.js keeps the weights between train() calls
+  const model = new brain.recurrent.LSTM({ hiddenLayers: options.hiddenLayers });
+  applyWeights(model, train);
+  const data = train.map(s => ({ input: s.input, output: s.output }));
+  return { model, step: () => model.train(data, { iterations: 1, errorThresh, learningRate }).error };
+}
 
-  const rawTrain   = all.slice(0, trainEnd);
-  const validation = all.slice(trainEnd, valEnd);
-  const test       = all.slice(valEnd);
+/** Architecture line for the training log. */
+function describeModel(model) {
+  return isTokenModel(model)
+    ? `${MODEL_NAMES.tokens} · ${model.vocabulary.length} tokens (incl. <unk>) · size ${model.size}`
+    : `${MODEL_NAMES.lstm} · hidden layers [${model.hiddenLayers.join(', ')}] · "yes" (show) / "no" (no-show)`;
+}
 
-  // Oversample no-show 3×
-  const train = [...rawTrain];
-  rawTrain.forEach(s => {
-    if (s.noshow === 1) { train.push(s); train.push(s); }
-  });
+function hyperparams(model, options) {
+  return isTokenModel(model)
+    ? { ...options, hiddenLayers: [model.size], vocabulary: model.vocabulary.length }
+    : { ...options, hiddenLayers: model.hiddenLayers };
+}
 
-  // Shuffle again
-  for (let i = train.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [train[i], train[j]] = [train[j], train[i]];
+/* ══════════════════════════════════════════════════════════
+   TRAIN  (fresh model on balanced text samples)
+══════════════════════════════════════════════════════════ */
+function trainNet(train, options, rng, onTick) {
+  const { model, step } = createTrainer(train, options, rng);
+  let error = Infinity;
+  for (let i = 1; i <= options.iterations && error > options.errorThresh; i++) {
+    error = step();
+    if (i % logPeriod(options) === 0) onTick({ iterations: i, error });
   }
-
-  return { train, validation, test };
+  return model;
 }
 
 /* ══════════════════════════════════════════════════════════
-   EVALUATE
+   PAUSABLE TRAINING  (main model)
+   One iteration per step(), run in short time slices so
+   'pause' / 'resume' messages get through in between.
 ══════════════════════════════════════════════════════════ */
-function evalSet(set) {
-  let correct = 0, tpShow = 0, fnShow = 0, tpNoshow = 0, fnNoshow = 0;
-  set.forEach(s => {
-    const out       = net.run(s.input) || '';
-    const predLabel = out.toLowerCase().trim().startsWith('n') ? 'no' : 'yes';
-    const isCorrect = predLabel === s.output;
-    if (isCorrect) {
-      correct++;
-      if (s.output === 'yes') tpShow++;
-      else                    tpNoshow++;
-    } else {
-      if (s.output === 'yes') fnShow++;
-      else                    fnNoshow++;
+const SLICE_MS = 50;
+
+let job = null;   // { model, step, options, iterations, error, paused, onTick, onDone }
+
+function startTraining(train, options, rng, onTick, onDone) {
+  job = {
+    ...createTrainer(train, options, rng),
+    options,
+    iterations: 0,
+    error:      Infinity,
+    paused:     false,
+    onTick,
+    onDone
+  };
+  postMessage({ type: 'log', message: `[INIT] Model: ${describeModel(job.model)}` });
+  trainSlice();
+}
+
+function trainSlice() {
+  if (!job || job.paused) return;
+  try {
+    const { iterations, errorThresh } = job.options;
+    const sliceEnd = Date.now() + SLICE_MS;
+    while (job.iterations < iterations && job.error > errorThresh && Date.now() < sliceEnd) {
+      job.error = job.step();
+      job.iterations++;
+      if (job.iterations % logPeriod(job.options) === 0) job.onTick({ iterations: job.iterations, error: job.error });
     }
+
+    if (job.iterations < iterations && job.error > errorThresh) {
+      setTimeout(trainSlice, 0);
+      return;
+    }
+    const { model, onDone } = job;
+    job = null;
+    onDone(model);
+  } catch (err) {
+    job = null;
+    postMessage({ type: 'error', message: err.message });
+  }
+}
+
+function setPaused(paused) {
+  if (!job || job.paused === paused) return;
+  job.paused = paused;
+  postMessage({ type: 'log', message: `[${paused ? 'PAUSED' : 'RESUMED'}] at iteration ${job.iterations}` });
+  if (!paused) trainSlice();
+}
+
+/* ══════════════════════════════════════════════════════════
+   SCORING
+   The LSTM is a character model: for a text it assigns every
+   possible answer a probability, character by character up
+   to the END token. Both labels are scored that way and
+   normalized against each other:
+     P(no-show) = P("no" | text) / (P("no" | text) + P("yes" | text))
+   The answer the model would actually write (greedy decoding,
+   model.run()) is kept alongside — if it is neither label the
+   prediction is flagged unparseable instead of counted as a
+   class.
+══════════════════════════════════════════════════════════ */
+/** Natural log of P(label, then END | input), the same steps trainInput() walks. */
+function labelLogLikelihood(model, input, label) {
+  const sequence  = model.formatDataIn(input, label);
+  const firstStep = sequence.length - label.length;
+  const equations = model.model.equations;
+  while (equations.length <= sequence.length + 1) model.bindEquation();
+
+  let logLikelihood = 0;
+  for (let i = -1; i < sequence.length; i++) {
+    // Index 0 is the START token as source and the END token as target
+    const source = i === -1 ? 0 : sequence[i] + 1;
+    const target = i === sequence.length - 1 ? 0 : sequence[i + 1] + 1;
+    const output = equations[i + 1].runIndex(source).weights;
+    if (i + 1 >= firstStep) logLikelihood += logSoftmax(output, target);
+  }
+  return logLikelihood;
+}
+
+function logSoftmax(weights, index) {
+  let max = -Infinity;
+  for (let i = 0; i < weights.length; i++) max = Math.max(max, weights[i]);
+  let sum = 0;
+  for (let i = 0; i < weights.length; i++) sum += Math.exp(weights[i] - max);
+  return weights[index] - max - Math.log(sum);
+}
+
+/**
+ * { prob, output, parsed } — parsed is false when the decoded answer is
+ * neither label. The token model outputs P(no-show) directly and has no
+ * text answer to parse.
+ */
+function scoreText(model, input) {
+  if (isTokenModel(model)) {
+    const prob = scoreTokens(model, input);
+    return { prob, output: prob > 0.5 ? LABELS.no : LABELS.yes, parsed: true };
+  }
+  const no     = labelLogLikelihood(model, input, LABELS.no);
+  const yes    = labelLogLikelihood(model, input, LABELS.yes);
+  const prob   = 1 / (1 + Math.exp(yes - no));
+  const output = (model.run(input) || '').trim();
+  return { prob, output, parsed: output === LABELS.no || output === LABELS.yes };
+}
+
+/* ══════════════════════════════════════════════════════════
+   EVALUATE  (raw predictions; metrics.js scores them on the
+   main thread)
+══════════════════════════════════════════════════════════ */
+function predictSet(model, set) {
+  return set.map(s => {
+    const { prob, parsed } = scoreText(model, s.input);
+    return parsed ? { actual: s.noshow, prob } : { actual: s.noshow, prob, unparseable: true };
+  });
+}
+
+/* ══════════════════════════════════════════════════════════
+   CROSS-VALIDATION  (fresh model per fold, raw predictions
+   go back to the main thread for scoring)
+══════════════════════════════════════════════════════════ */
+function crossValidate(folds, features, seed, options) {
+  postMessage({ type: 'log', message: `[INIT] Text model: ${MODEL_NAMES[options.textModel]}` });
+  postMessage({ type: 'log', message: `[INIT] Text balancing: ${describeTextBalance(options.balance)}` });
+  folds.forEach((fold, index) => {
+    const train = balance(toSamples(fold.train, features), createRng(seed + index), options.balance);
+    const test  = toSamples(fold.test, features);
+    postMessage({ type: 'log', message: `[FOLD ${index + 1}/${folds.length}] Train: ${train.length} · Test: ${test.length}` });
+
+    const model = trainNet(train, options, createRng(seed + index), (info) => {
+      const done = (index + info.iterations / options.iterations) / folds.length;
+      postMessage({ type: 'progress', pct: Math.min(100, Math.round(done * 100)), error: info.error });
+    });
+
+    postMessage({ type: 'fold', index, predictions: predictSet(model, test) });
   });
-  return {
-    acc:          set.length > 0 ? ((correct / set.length) * 100).toFixed(1) : '0.0',
-    showRecall:   tpShow    + fnShow    > 0 ? ((tpShow    / (tpShow    + fnShow))    * 100).toFixed(1) : '0.0',
-    noshowRecall: tpNoshow  + fnNoshow  > 0 ? ((tpNoshow  / (tpNoshow  + fnNoshow))  * 100).toFixed(1) : '0.0'
-  };
 }
 
 /* ══════════════════════════════════════════════════════════
    MESSAGE HANDLER
 ══════════════════════════════════════════════════════════ */
 self.onmessage = function(e) {
-  const { type, data, text } = e.data;
+  const { type, folds, features, seed, text, json, records } = e.data;
+  const options = withDefaults(e.data.options);
 
   if (type === 'train') {
     try {
-      const { train, validation, test } = buildDataset(data);
+      const { train, validation, test } = buildDataset(folds, features, seed, options);
 
       const examples = train.slice(0, 3)
         .map(s => `"${s.input}" → ${s.output}`).join('\n');
 
       postMessage({ type: 'samples', examples });
-      postMessage({ type: 'log', message: `[INIT] Train: ${train.length} · Val: ${validation.length} · Test: ${test.length}` });
-      postMessage({ type: 'log', message: `[INIT] Short labels: "yes" (show) / "no" (no-show)` });
-      postMessage({ type: 'log', message: `[INIT] Iterations: 300 · LR: 0.01` });
-      postMessage({ type: 'log', message: '─'.repeat(48) });
-
-      net = new brain.recurrent.LSTM();
-
-      const ITERATIONS  = 300;
-      const LOG_PERIOD  = 30;
-      let lastLogIter   = 0;
-
-      const trainingInput = train.map(s => ({ input: s.input, output: s.output }));
-
-      net.train(trainingInput, {
-        iterations:     ITERATIONS,
-        errorThresh:    0.01,
-        learningRate:   0.01,
-        log:            true,
-        logPeriod:      LOG_PERIOD,
-        callback: (info) => {
-          const pct = Math.min(100, Math.round((info.iterations / ITERATIONS) * 100));
-          postMessage({ type: 'progress', pct, error: info.error });
-          postMessage({ type: 'log', message: `[iter ${String(info.iterations).padStart(4,'0')}]  error: ${info.error.toFixed(6)}` });
-          lastLogIter = info.iterations;
-        },
-        callbackPeriod: LOG_PERIOD
-      });
+      postMessage({ type: 'log', message: `[INIT] Split (seed ${seed}) · Train: ${train.length} (${train.filter(s => s.noshow === 1).length} no-show) · Val: ${validation.length} · Test: ${test.length}` });
+      postMessage({ type: 'log', message: `[INIT] Class balance: ${describeTextBalance(options.balance)}` });
+      postMessage({ type: 'log', message: `[INIT] Iterations: ${options.iterations} · LR: ${options.learningRate}` });
 
-      postMessage({ type: 'log', message: '─'.repeat(48) });
-      postMessage({ type: 'log', message: '[DONE] LSTM training complete.' });
+      startTraining(train, options, createRng(seed), (info) => {
+        const pct = Math.min(100, Math.round((info.iterations / options.iterations) * 100));
+        postMessage({ type: 'progress', pct, error: info.error });
+        postMessage({ type: 'log', message: `[iter ${String(info.iterations).padStart(4,'0')}]  error: ${info.error.toFixed(6)}` });
+      }, (model) => {
+        net = model;
+        postMessage({ type: 'log', message: '─'.repeat(48) });
+        postMessage({ type: 'log', message: `[DONE] ${MODEL_NAMES[options.textModel]} training complete.` });
 
-      const valM  = evalSet(validation);
-      const testM = evalSet(test);
+        postMessage({
+          type: 'done',
+          predictions: {
+            validation: predictSet(net, validation),
+            test:       predictSet(net, test)
+          },
+          hyperparams: hyperparams(net, options)
+        });
+      });
 
-      postMessage({ type: 'log', message: `[EVAL] Val accuracy:       ${valM.acc}%` });
-      postMessage({ type: 'log', message: `[EVAL] Test accuracy:      ${testM.acc}%` });
-      postMessage({ type: 'log', message: `[EVAL] Test no-show recall: ${testM.noshowRecall}%` });
+    } catch (err) {
+      postMessage({ type: 'error', message: err.message });
+    }
+  }
 
-      postMessage({
-        type: 'done',
-        metrics: {
-          valAcc:           valM.acc,
-          testAcc:          testM.acc,
-          testShowRecall:   testM.showRecall,
-          testNoshowRecall: testM.noshowRecall
-        }
-      });
+  if (type === 'pause')  setPaused(true);
+  if (type === 'resume') setPaused(false);
 
+  if (type === 'crossValidate') {
+    try {
+      crossValidate(folds, features, seed, options);
+      postMessage({ type: 'done' });
     } catch (err) {
       postMessage({ type: 'error', message: err.message });
     }
@@ -172,10 +381,42 @@ self.onmessage = function(e) {
 
   if (type === 'predict') {
     try {
-      const cleaned = cleanText(text);
-      const out     = net.run(cleaned) || '';
-      const label   = out.toLowerCase().trim().startsWith('n') ? 'noshow' : 'showup';
-      postMessage({ type: 'prediction', label, cleaned });
+      const { text: cleaned, ignored } = normalizeText(text, features);
+      if (!cleaned) throw new Error('No known words in the description — see the hint for the vocabulary');
+      const { prob, output, parsed } = scoreText(net, cleaned);
+      postMessage({ type: 'prediction', prob, output, unparseable: !parsed, cleaned, ignored });
+    } catch (err) {
+      postMessage({ type: 'error', message: err.message });
+    }
+  }
+
+  if (type === 'evaluate') {
+    try {
+      postMessage({ type: 'evaluated', predictions: predictSet(net, toSamples(records, features)) });
+    } catch (err) {
+      postMessage({ type: 'error', message: err.message });
+    }
+  }
+
+  if (type === 'export') {
+    try {
+      // toJSON() keeps the setupData function in options, which postMessage cannot clone
+      const exported = isTokenModel(net) ? net : JSON.parse(JSON.stringify(net.toJSON()));
+      postMessage({ type: 'exported', json: exported });
+    } catch (err) {
+      postMessage({ type: 'error', message: err.message });
+    }
+  }
+
+  if (type === 'import') {
+    try {
+      if (isTokenModel(json)) {
+        net = json;
+      } else {
+        net = new brain.recurrent.LSTM();
+        net.fromJSON(json);
+      }
+      postMessage({ type: 'imported' });
     } catch (err) {
       postMessage({ type: 'error', message: err.message });
     }
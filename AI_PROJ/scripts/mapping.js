@@ -0,0 +1,428 @@
+/**
+ * mapping.js
+ * ─────────────────────────────────────────────────────────
+ * Column mapping for CSV imports:
+ *  - Model field catalogue (what each feature means)
+ *  - Mapping profiles: model field → source column + transform
+ *  - Auto-detection for Kaggle and common clinic exports
+ *  - Applying a profile to parsed CSV rows → model records
+ *  - Saved profiles (localStorage) and JSON import / export
+ *  - DOM helpers for the mapping wizard
+ *
+ * PROFILE FORMAT (saved / exported as JSON):
+ *   {
+ *     name: 'Clinic export',
+ *     version: 1,
+ *     fields: {
+ *       gender:    { column: 'sex', transform: 'boolean', trueValues: ['M'] },
+ *       age:       { column: 'age', transform: 'number', min: 0, max: 115, outOfRange: 'skip' },
+ *       days_wait: { column: 'booked', toColumn: 'visit', transform: 'dateDiff', min: 0 },
+ *       noshow:    { column: 'attended', transform: 'boolean', trueValues: ['no'] },
+ *       …
+ *     }
+ *   }
+ *   A field without a column is "not mapped": it is dropped
+ *   from the input vector and from the LSTM text.
+ *   scheduled_day, appointment_day and patient_id never reach
+ *   a model directly — derived.js turns them into weekday,
+ *   month, booking hour and patient-history features. Notes
+ *   become TF-IDF inputs when enabled in Settings (notes.js).
+ *
+ * TRANSFORMS:
+ *   boolean   value in trueValues → 1, anything else → 0
+ *   number    parsed number, optional min/max clamp
+ *   dateDiff  calendar days from `column` to `toColumn`,
+ *             optional min/max clamp
+ *   datetime  date (and time of day, if present) in ms
+ *   text      trimmed, uppercased string
+ *   freeText  trimmed string, case kept (notes.js cleans it)
+ *   With outOfRange: 'skip' a value outside min/max drops the
+ *   row instead of being clamped (Kaggle has negative waits).
+ * ─────────────────────────────────────────────────────────
+ */
+
+import { FEATURES } from './config.js';
+import { normalizeHeader, daysBetween, parseDateTime } from './csv.js';
+
+export const PROFILE_VERSION = 1;
+const STORAGE_KEY = 'medpredict.mappingProfiles';
+
+/* ══════════════════════════════════════════════════════════
+   MODEL FIELDS
+   `aliases` are normalized header names used for auto-
+   detection; `inverted` aliases hold the opposite meaning
+   (e.g. "attended" for noshow) and flip the true values.
+══════════════════════════════════════════════════════════ */
+const YES_VALUES = ['1', 'yes', 'y', 'true', 't'];
+const NO_VALUES  = ['0', 'no', 'n', 'false', 'f'];
+
+export const MODEL_FIELDS = [
+  { key: 'age',             label: 'Age',                   transforms: ['number'],             aliases: ['age', 'patientage', 'ageyears'] },
+  { key: 'days_wait',       label: 'Days wait',             transforms: ['number', 'dateDiff'], aliases: ['dayswait', 'waitdays', 'leadtimedays', 'leadtime', 'daysuntilappointment'] },
+  { key: 'gender',          label: 'Gender (male)',         transforms: ['boolean'],            aliases: ['gender', 'sex'], trueValues: ['m', 'male', '1'] },
+  { key: 'sms_received',    label: 'SMS received',          transforms: ['boolean'],            aliases: ['smsreceived', 'sms', 'smsreminder', 'reminder', 'remindersent'] },
+  { key: 'scholarship',     label: 'Scholarship',           transforms: ['boolean'],            aliases: ['scholarship', 'bolsafamilia', 'welfare'] },
+  { key: 'hipertension',    label: 'Hypertension',          transforms: ['boolean'],            aliases: ['hipertension', 'hypertension'] },
+  { key: 'diabetes',        label: 'Diabetes',              transforms: ['boolean'],            aliases: ['diabetes', 'diabetic'] },
+  { key: 'alcoholism',      label: 'Alcoholism',            transforms: ['boolean'],            aliases: ['alcoholism', 'alcohol'] },
+  { key: 'neighbourhood',   label: 'Neighbourhood',         transforms: ['text'],               aliases: ['neighbourhood', 'neighborhood', 'district'] },
+  { key: 'handcap',         label: 'Handicap',              transforms: ['number'],             aliases: ['handcap', 'handicap'] },
+  { key: 'scheduled_day',   label: 'Booked on (date/time)', transforms: ['datetime'],           aliases: ['scheduledday', 'scheduleddate', 'bookeddate', 'bookingdate', 'created'] },
+  { key: 'appointment_day', label: 'Appointment date',      transforms: ['datetime'],           aliases: ['appointmentday', 'appointmentdate', 'visitdate', 'date'] },
+  { key: 'patient_id',      label: 'Patient ID',            transforms: ['text'],               aliases: ['patientid', 'patient', 'mrn', 'patientnumber'] },
+  { key: 'notes',           label: 'Notes (free text)',     transforms: ['freeText'],           aliases: ['notes', 'note', 'comments', 'comment', 'remarks', 'schedulingnotes'] },
+  { key: 'noshow',        label: 'No-show (label)', transforms: ['boolean'],          aliases: ['noshow', 'missed', 'didnotattend', 'dna'],
+    inverted: ['attended', 'showedup', 'show', 'arrived'], required: true }
+];
+
+const TEXT_TRANSFORMS = ['text', 'freeText'];
+
+const DATE_FROM_ALIASES = MODEL_FIELDS.find(f => f.key === 'scheduled_day').aliases;
+const DATE_TO_ALIASES   = MODEL_FIELDS.find(f => f.key === 'appointment_day').aliases;
+
+/* ══════════════════════════════════════════════════════════
+   DEFAULT PROFILE  (original KaggleV2-May-2016.csv columns)
+   Same preprocessing the embedded RAW_DATA rows went through.
+══════════════════════════════════════════════════════════ */
+export const KAGGLE_PROFILE = {
+  name:    'Kaggle No-Show (May 2016)',
+  version: PROFILE_VERSION,
+  fields: {
+    gender:          { column: 'Gender',         transform: 'boolean',  trueValues: ['M'] },
+    age:             { column: 'Age',            transform: 'number',   min: 0, outOfRange: 'skip' },
+    neighbourhood:   { column: 'Neighbourhood',  transform: 'text' },
+    scholarship:     { column: 'Scholarship',    transform: 'boolean',  trueValues: ['1'] },
+    hipertension:    { column: 'Hipertension',   transform: 'boolean',  trueValues: ['1'] },
+    diabetes:        { column: 'Diabetes',       transform: 'boolean',  trueValues: ['1'] },
+    alcoholism:      { column: 'Alcoholism',     transform: 'boolean',  trueValues: ['1'] },
+    handcap:         { column: 'Handcap',        transform: 'number',   min: 0 },
+    sms_received:    { column: 'SMS_received',   transform: 'boolean',  trueValues: ['1'] },
+    days_wait:       { column: 'ScheduledDay',   toColumn: 'AppointmentDay', transform: 'dateDiff', min: 0, outOfRange: 'skip' },
+    scheduled_day:   { column: 'ScheduledDay',   transform: 'datetime' },
+    appointment_day: { column: 'AppointmentDay', transform: 'datetime' },
+    patient_id:      { column: 'PatientId',      transform: 'text' },
+    noshow:          { column: 'No-show',        transform: 'boolean',  trueValues: ['Yes'] }
+  }
+};
+
+/* ══════════════════════════════════════════════════════════
+   AUTO-DETECTION
+══════════════════════════════════════════════════════════ */
+function findColumn(header, aliases) {
+  return header.find(h => aliases.includes(normalizeHeader(h))) || null;
+}
+
+/** Guesses a profile for an unknown header from the field aliases. */
+export function autoProfile(header, name = 'Auto-detected') {
+  const fields = {};
+
+  MODEL_FIELDS.forEach(f => {
+    const column = findColumn(header, f.aliases);
+    const flipped = !column && f.inverted ? findColumn(header, f.inverted) : null;
+
+    if (column || flipped) {
+      const transform = f.transforms[0];
+      const spec = { column: column || flipped, transform };
+      if (transform === 'boolean') spec.trueValues = flipped ? NO_VALUES : (f.trueValues || YES_VALUES);
+      if (transform === 'number' && f.key !== 'handcap') { spec.min = 0; spec.outOfRange = 'skip'; }
+      fields[f.key] = spec;
+    } else if (f.key === 'days_wait') {
+      const from = findColumn(header, DATE_FROM_ALIASES);
+      const to   = findColumn(header, DATE_TO_ALIASES);
+      fields.days_wait = from && to
+        ? { column: from, toColumn: to, transform: 'dateDiff', min: 0, outOfRange: 'skip' }
+        : { column: null, transform: 'number' };
+    } else {
+      fields[f.key] = { column: null, transform: f.transforms[0] };
+    }
+  });
+
+  return { name, version: PROFILE_VERSION, fields };
+}
+
+/** True when every column the profile binds exists in `header`. */
+export function profileMatches(profile, header) {
+  const present = new Set(header.map(normalizeHeader));
+  return Object.values(profile.fields).every(spec =>
+    (!spec.column   || present.has(normalizeHeader(spec.column))) &&
+    (!spec.toColumn || present.has(normalizeHeader(spec.toColumn))));
+}
+
+/** Best starting profile for a header: a matching saved one, Kaggle, or a guess. */
+export function suggestProfile(header, { requireLabel = true } = {}) {
+  const fit   = p => (requireLabel ? p : withoutLabel(p));
+  const saved = Object.values(loadSavedProfiles()).map(fit).find(p => profileMatches(p, header));
+  if (saved) return saved;
+  if (profileMatches(fit(KAGGLE_PROFILE), header)) return fit(KAGGLE_PROFILE);
+  return fit(autoProfile(header));
+}
+
+/** Copy of a profile without the No-show label — for files of upcoming appointments. */
+export function withoutLabel(profile) {
+  const { noshow, ...fields } = profile.fields;
+  return { ...profile, fields };
+}
+
+/* ══════════════════════════════════════════════════════════
+   VALIDATION
+══════════════════════════════════════════════════════════ */
+export function validateProfile(profile, { requireLabel = true } = {}) {
+  if (!profile || typeof profile !== 'object' || typeof profile.fields !== 'object')
+    throw new Error('Invalid mapping profile: missing "fields"');
+  if (profile.version > PROFILE_VERSION)
+    throw new Error(`Mapping profile version ${profile.version} is newer than supported (${PROFILE_VERSION})`);
+
+  const label = profile.fields.noshow;
+  if (requireLabel && (!label || !label.column))
+    throw new Error('The No-show label must be mapped to a column');
+  if (mappedFeatures(profile).length === 0)
+    throw new Error('Map at least one input feature');
+
+  Object.entries(profile.fields).forEach(([key, spec]) => {
+    ['min', 'max'].forEach(bound => {
+      if (spec[bound] !== undefined && spec[bound] !== null && !Number.isFinite(spec[bound]))
+        throw new Error(`"${key}": ${bound} must be a number`);
+    });
+    if (!spec.column) return;
+    if (spec.transform === 'dateDiff' && !spec.toColumn)
+      throw new Error(`"${key}": a date difference needs a second (appointment) column`);
+    if (spec.transform === 'boolean' && (!spec.trueValues || spec.trueValues.length === 0))
+      throw new Error(`"${key}": list at least one value that means "yes"`);
+  });
+  return profile;
+}
+
+/** Model input features (in FEATURES order) that the profile binds to a column. */
+export function mappedFeatures(profile) {
+  return FEATURES.filter(f => profile.fields[f] && profile.fields[f].column);
+}
+
+/* ══════════════════════════════════════════════════════════
+   APPLY  (parsed CSV → RAW_DATA-shaped records)
+══════════════════════════════════════════════════════════ */
+function clamp(value, spec) {
+  const below = spec.min !== undefined && spec.min !== null && value < spec.min;
+  const above = spec.max !== undefined && spec.max !== null && value > spec.max;
+  if (!below && !above) return value;
+  if (spec.outOfRange === 'skip') return NaN;
+  return below ? spec.min : spec.max;
+}
+
+function transformValue(spec, row, index) {
+  const raw = (row[index[spec.column]] ?? '').trim();
+
+  switch (spec.transform) {
+    case 'boolean': {
+      const truthy = spec.trueValues.map(v => String(v).trim().toLowerCase());
+      return truthy.includes(raw.toLowerCase()) ? 1 : 0;
+    }
+    case 'number':
+      return raw === '' ? NaN : clamp(Number(raw), spec);
+    case 'dateDiff':
+      return clamp(daysBetween(raw, row[index[spec.toColumn]] ?? ''), spec);
+    case 'datetime':
+      return raw === '' ? NaN : parseDateTime(raw);
+    case 'text':
+      return raw.toUpperCase();
+    case 'freeText':
+      return raw;
+    default:
+      throw new Error(`Unknown transform "${spec.transform}"`);
+  }
+}
+
+/**
+ * Applies a profile to parsed CSV rows. Unmapped fields get a
+ * neutral default (0 / '') so record shape stays stable, but
+ * they are excluded from `features` and never reach a model.
+ * `rowIndex[i]` is the source row of `records[i]`.
+ * With requireLabel: false the No-show column may be missing
+ * (noshow defaults to 0), for scoring upcoming appointments.
+ */
+export function applyProfile({ header, rows }, profile, { requireLabel = true } = {}) {
+  validateProfile(profile, { requireLabel });
+
+  const index = {};
+  header.forEach((h, i) => { index[h] = i; });
+  // Resolve profile column names against the header case-insensitively
+  const resolve = name => header.find(h => normalizeHeader(h) === normalizeHeader(name));
+  const specs = {};
+  Object.entries(profile.fields).forEach(([key, spec]) => {
+    ['min', 'max'].forEach(bound => {
+      if (spec[bound] !== undefined && spec[bound] !== null && !Number.isFinite(spec[bound]))
+        throw new Error(`"${key}": ${bound} must be a number`);
+    });
+    if (!spec.column) return;
+    const column = resolve(spec.column);
+    if (!column) throw new Error(`Column "${spec.column}" (for ${key}) not found in CSV`);
+    const toColumn = spec.toColumn ? resolve(spec.toColumn) : undefined;
+    if (spec.toColumn && !toColumn) throw new Error(`Column "${spec.toColumn}" (for ${key}) not found in CSV`);
+    specs[key] = { ...spec, column, toColumn };
+  });
+
+  const records  = [];
+  const rowIndex = [];
+  let skipped = 0;
+
+  rows.forEach((row, i) => {
+    const record = {};
+    let valid = true;
+
+    MODEL_FIELDS.forEach(f => {
+      const spec = specs[f.key];
+      if (!spec) { record[f.key] = TEXT_TRANSFORMS.includes(f.transforms[0]) ? '' : 0; return; }
+      const value = transformValue(spec, row, index);
+      if (typeof value === 'number' && !Number.isFinite(value)) valid = false;
+      record[f.key] = f.key === 'age' || f.key === 'days_wait' ? Math.round(value) : value;
+    });
+
+    if (valid) { records.push(record); rowIndex.push(i); }
+    else       skipped++;
+  });
+
+  if (records.length === 0) throw new Error('No usable rows found in CSV with this mapping');
+  return { records, rowIndex, skipped, features: mappedFeatures(profile) };
+}
+
+/* ══════════════════════════════════════════════════════════
+   SAVED PROFILES  (localStorage + JSON files)
+══════════════════════════════════════════════════════════ */
+export function loadSavedProfiles() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveProfile(profile) {
+  validateProfile(profile);
+  const all = loadSavedProfiles();
+  all[profile.name] = profile;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
+
+export function deleteSavedProfile(name) {
+  const all = loadSavedProfiles();
+  delete all[name];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+}
+
+export function exportProfile(profile) {
+  const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = `${profile.name.replace(/[^a-z0-9-_]+/gi, '_')}.mapping.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export function parseProfileJson(text) {
+  let profile;
+  try {
+    profile = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Mapping profile is not valid JSON: ${err.message}`);
+  }
+  return validateProfile(profile);
+}
+
+/* ══════════════════════════════════════════════════════════
+   DOM HELPERS  (mapping wizard)
+══════════════════════════════════════════════════════════ */
+const TRANSFORM_LABELS = {
+  boolean:  'Yes/No mapping',
+  number:   'Number (clamp)',
+  dateDiff: 'Date difference (days)',
+  datetime: 'Date / time',
+  text:     'Text',
+  freeText: 'Free text'
+};
+
+function columnOptions(header, selected, emptyLabel) {
+  const opts = [`<option value="">${emptyLabel}</option>`]
+    .concat(header.map(h =>
+      `<option value="${escapeHtml(h)}"${normalizeHeader(h) === normalizeHeader(selected || '') ? ' selected' : ''}>${escapeHtml(h)}</option>`));
+  return opts.join('');
+}
+
+/** Text for innerHTML: CSV headers, and anything read from an imported file. */
+export function escapeHtml(s) {
+  return String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+/** Renders one wizard row per model field, pre-filled from `profile`. */
+export function renderMappingWizard(header, profile) {
+  const tbody = document.getElementById('mappingTableBody');
+  tbody.innerHTML = '';
+  document.getElementById('mappingProfileName').value = profile.name;
+
+  MODEL_FIELDS.forEach(f => {
+    const spec = profile.fields[f.key] || { column: null, transform: f.transforms[0] };
+    const tr   = document.createElement('tr');
+    tr.dataset.field = f.key;
+    tr.innerHTML = `
+      <td>${f.label}${f.required ? ' *' : ''}</td>
+      <td><select data-role="column">${columnOptions(header, spec.column, f.required ? '— choose —' : '— not mapped —')}</select></td>
+      <td><select data-role="transform">${f.transforms.map(t =>
+        `<option value="${t}"${t === spec.transform ? ' selected' : ''}>${TRANSFORM_LABELS[t]}</option>`).join('')}</select></td>
+      <td class="mapping-params">
+        <select data-role="toColumn" data-for="dateDiff">${columnOptions(header, spec.toColumn, '— appointment date —')}</select>
+        <input type="text" data-role="trueValues" data-for="boolean" placeholder="values meaning yes, e.g. M, 1, yes"
+               value="${escapeHtml((spec.trueValues || f.trueValues || YES_VALUES).join(', '))}" />
+        <input type="number" data-role="min" data-for="number dateDiff" placeholder="min" value="${escapeHtml(spec.min ?? '')}" />
+        <input type="number" data-role="max" data-for="number dateDiff" placeholder="max" value="${escapeHtml(spec.max ?? '')}" />
+        <label class="mapping-skip" data-for="number dateDiff">
+          <input type="checkbox" data-role="skip"${spec.outOfRange === 'skip' ? ' checked' : ''} /> drop out-of-range
+        </label>
+      </td>
+    `;
+    tbody.appendChild(tr);
+    syncParamVisibility(tr);
+    tr.querySelector('[data-role="transform"]').addEventListener('change', () => syncParamVisibility(tr));
+  });
+}
+
+/** Shows only the parameter inputs relevant to the row's transform. */
+function syncParamVisibility(tr) {
+  const transform = tr.querySelector('[data-role="transform"]').value;
+  tr.querySelectorAll('[data-for]').forEach(el => {
+    el.hidden = !el.dataset.for.split(' ').includes(transform);
+  });
+}
+
+/** Reads the wizard back into a profile object. */
+export function readMappingWizard() {
+  const fields = {};
+  document.querySelectorAll('#mappingTableBody tr').forEach(tr => {
+    const q    = role => tr.querySelector(`[data-role="${role}"]`);
+    const spec = { column: q('column').value || null, transform: q('transform').value };
+
+    if (spec.transform === 'boolean')
+      spec.trueValues = q('trueValues').value.split(',').map(v => v.trim()).filter(Boolean);
+    if (spec.transform === 'dateDiff')
+      spec.toColumn = q('toColumn').value || null;
+    if (spec.transform === 'number' || spec.transform === 'dateDiff') {
+      if (q('min').value !== '') spec.min = Number(q('min').value);
+      if (q('max').value !== '') spec.max = Number(q('max').value);
+      if (q('skip').checked) spec.outOfRange = 'skip';
+    }
+    fields[tr.dataset.field] = spec;
+  });
+
+  const name = document.getElementById('mappingProfileName').value.trim() || 'Untitled mapping';
+  return { name, version: PROFILE_VERSION, fields };
+}
+
+export function populateProfileSelect() {
+  const sel = document.getElementById('mappingProfileSelect');
+  sel.innerHTML = `<option value="">— saved profiles —</option>
+    <option value="__kaggle__">${KAGGLE_PROFILE.name} (built-in)</option>`;
+  Object.keys(loadSavedProfiles()).sort().forEach(name => {
+    const opt = document.createElement('option');
+    opt.value = name;
+    opt.textContent = name;
+    sel.appendChild(opt);
+  });
+}
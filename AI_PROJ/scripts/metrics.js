@@ -0,0 +1,203 @@
+/**
+ * metrics.js
+ * ─────────────────────────────────────────────────────────
+ * Evaluation module shared by both models.
+ * Works on raw outcomes — arrays of actual labels (1 =
+ * no-show) and predicted no-show probabilities — so every
+ * caller computes the same numbers the same way:
+ *  - Confusion matrix and threshold metrics
+ *  - Ranking metrics: ROC-AUC, PR-AUC (average precision)
+ *  - Probability metrics: Brier score, log-loss
+ *  - ROC and precision-recall curve points for charts.js
+ *  - Cost-based choice of the decision threshold
+ *
+ * Positive class = no-show:
+ *   precision     TP / (TP + FP)   flagged patients who missed
+ *   noshowRecall  TP / (TP + FN)   no-shows that were caught
+ *   showRecall    TN / (TN + FP)   attendees left alone
+ *   f1            harmonic mean of precision and noshowRecall
+ *   balancedAcc   mean of the two recalls (robust to the
+ *                 78 / 22 imbalance, unlike plain accuracy)
+ * ─────────────────────────────────────────────────────────
+ */
+
+/* ══════════════════════════════════════════════════════════
+   CONFUSION MATRIX
+══════════════════════════════════════════════════════════ */
+export function confusionMatrix(actual, probs, threshold = 0.5) {
+  let tp = 0, fp = 0, tn = 0, fn = 0;
+  actual.forEach((y, i) => {
+    const pred = probs[i] > threshold ? 1 : 0;
+    if (pred === 1 && y === 1) tp++;
+    else if (pred === 1)       fp++;
+    else if (y === 0)          tn++;
+    else                       fn++;
+  });
+  return { tp, fp, tn, fn };
+}
+
+const ratio = (num, den) => (den > 0 ? num / den : 0);
+
+/* ══════════════════════════════════════════════════════════
+   CLASSIFICATION METRICS  (fractions in [0, 1])
+══════════════════════════════════════════════════════════ */
+export function classificationMetrics(actual, probs, threshold = 0.5) {
+  const cm        = confusionMatrix(actual, probs, threshold);
+  const precision = ratio(cm.tp, cm.tp + cm.fp);
+  const recall    = ratio(cm.tp, cm.tp + cm.fn);
+
+  const showRecall = ratio(cm.tn, cm.tn + cm.fp);
+
+  return {
+    n:            actual.length,
+    ...cm,
+    accuracy:     ratio(cm.tp + cm.tn, actual.length),
+    showRecall,
+    noshowRecall: recall,
+    precision,
+    f1:           ratio(2 * precision * recall, precision + recall),
+    balancedAcc:  (showRecall + recall) / 2
+  };
+}
+
+/* ══════════════════════════════════════════════════════════
+   CURVES
+   Points are generated by sweeping the threshold down
+   through every distinct predicted probability; tied scores
+   move together so the curves stay well-defined.
+══════════════════════════════════════════════════════════ */
+function sweep(actual, probs) {
+  const order = probs.map((p, i) => i).sort((a, b) => probs[b] - probs[a]);
+  const pos   = actual.filter(y => y === 1).length;
+  const neg   = actual.length - pos;
+  const steps = [{ threshold: Infinity, tp: 0, fp: 0 }];
+
+  let tp = 0, fp = 0;
+  order.forEach((idx, k) => {
+    if (actual[idx] === 1) tp++; else fp++;
+    const next = order[k + 1];
+    if (next === undefined || probs[next] !== probs[idx])
+      steps.push({ threshold: probs[idx], tp, fp });
+  });
+  return { steps, pos, neg };
+}
+
+export function rocCurve(actual, probs) {
+  const { steps, pos, neg } = sweep(actual, probs);
+  return steps.map(s => ({
+    threshold: s.threshold,
+    fpr:       ratio(s.fp, neg),
+    tpr:       ratio(s.tp, pos)
+  }));
+}
+
+export function prCurve(actual, probs) {
+  const { steps, pos } = sweep(actual, probs);
+  return steps.slice(1).map(s => ({
+    threshold: s.threshold,
+    recall:    ratio(s.tp, pos),
+    precision: ratio(s.tp, s.tp + s.fp)
+  }));
+}
+
+/** Trapezoidal area under the ROC curve. */
+export function rocAuc(roc) {
+  let area = 0;
+  for (let i = 1; i < roc.length; i++)
+    area += (roc[i].fpr - roc[i - 1].fpr) * (roc[i].tpr + roc[i - 1].tpr) / 2;
+  return area;
+}
+
+/** Average precision — step-wise area under the PR curve. */
+export function prAuc(pr) {
+  let area = 0, prevRecall = 0;
+  pr.forEach(p => {
+    area += (p.recall - prevRecall) * p.precision;
+    prevRecall = p.recall;
+  });
+  return area;
+}
+
+/* ══════════════════════════════════════════════════════════
+   PROBABILITY SCORES
+══════════════════════════════════════════════════════════ */
+export function brierScore(actual, probs) {
+  if (!actual.length) return 0;
+  return actual.reduce((sum, y, i) => sum + (probs[i] - y) ** 2, 0) / actual.length;
+}
+
+export function logLoss(actual, probs) {
+  if (!actual.length) return 0;
+  const EPS = 1e-15;
+  return -actual.reduce((sum, y, i) => {
+    const p = Math.min(1 - EPS, Math.max(EPS, probs[i]));
+    return sum + (y === 1 ? Math.log(p) : Math.log(1 - p));
+  }, 0) / actual.length;
+}
+
+/* ══════════════════════════════════════════════════════════
+   COST-BASED THRESHOLD
+   A missed no-show (FN) and a false alarm (FP) cost
+   different amounts; the best threshold minimises
+   costFn · FN + costFp · FP. Candidates follow the slider
+   grid (0.01 steps) so the suggestion can be set exactly.
+══════════════════════════════════════════════════════════ */
+export function thresholdCost(actual, probs, threshold, { costFn, costFp }) {
+  const { fn, fp } = confusionMatrix(actual, probs, threshold);
+  return costFn * fn + costFp * fp;
+}
+
+export function bestThreshold(actual, probs, costs, step = 0.01) {
+  let best = { threshold: 0.5, cost: thresholdCost(actual, probs, 0.5, costs) };
+  for (let i = 1; i * step < 1; i++) {
+    const threshold = +(i * step).toFixed(2);
+    const cost      = thresholdCost(actual, probs, threshold, costs);
+    if (cost < best.cost) best = { threshold, cost };
+  }
+  return best;
+}
+
+/* ══════════════════════════════════════════════════════════
+   EVALUATE  (everything at once, for one fold)
+══════════════════════════════════════════════════════════ */
+export function evaluate(actual, probs, threshold = 0.5) {
+  const roc = rocCurve(actual, probs);
+  const pr  = prCurve(actual, probs);
+  return {
+    ...classificationMetrics(actual, probs, threshold),
+    threshold,
+    positives: actual.filter(y => y === 1).length,
+    rocAuc:    rocAuc(roc),
+    prAuc:     prAuc(pr),
+    brier:     brierScore(actual, probs),
+    logLoss:   logLoss(actual, probs),
+    roc,
+    pr,
+    actual,
+    probs
+  };
+}
+
+/* ══════════════════════════════════════════════════════════
+   SUMMARY / FORMATTING
+══════════════════════════════════════════════════════════ */
+
+/** Scalar metrics only (no curves or raw scores) — small enough to store with a saved model. */
+export function summarizeEvaluation(ev) {
+  const { roc, pr, actual, probs, ...scalars } = ev;
+  return scalars;
+}
+
+/** Mean and sample standard deviation. */
+export function meanStd(values) {
+  const n    = values.length;
+  const mean = n ? values.reduce((a, b) => a + b, 0) / n : 0;
+  const std  = n > 1
+    ? Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / (n - 1))
+    : 0;
+  return { mean, std };
+}
+
+export function formatPct(x) {
+  return (x * 100).toFixed(1);
+}
@@ -0,0 +1,324 @@
+/**
+ * models.js
+ * ─────────────────────────────────────────────────────────
+ * Saved models for MedPredict:
+ *  - Model bundle: both networks as net.toJSON() plus what
+ *    prediction needs (features, input scaler,
+ *    calibrator, decision threshold) and training metrics
+ *  - Persistence in IndexedDB (survives page reloads)
+ *  - Export / import as a downloadable JSON file
+ *  - Registry: every saved bundle with its dataset
+ *    fingerprint, hyperparameters and metrics; one active
+ *    model per kind (NN / LSTM), side-by-side comparison
+ *
+ * Bundle layout (MODEL_VERSION 2):
+ *   { format, version, id, savedAt, threshold,
+ *     dataset: { name, rows, fingerprint },
+ *     nn:   { network, training, sampling, seed, json, features,
+ *             normalization, calibrator, metrics } | null,
+ *     lstm: { json, seed, features, textEncoding, hyperparams, metrics } | null }
+ *   normalization = { scaler, neighbourhood, notes } (scaling.js,
+ *   neighbourhood.js, notes.js). Version 1 stored min / max bounds of
+ *   age and days instead; those still load as a min-max scaler.
+ *   textEncoding is the textencoding.js version the LSTM was
+ *   trained with (missing = 1).
+ *   lstm.json is the text model the LSTM card trained: an
+ *   LSTM's net.toJSON(), or a tokenmodel.js model
+ *   (type 'tokens'; hyperparams.textModel says which).
+ * ─────────────────────────────────────────────────────────
+ */
+
+import { formatPct } from './metrics.js';
+import { shortBalance } from './balance.js';
+import { escapeHtml } from './mapping.js';
+
+export const MODEL_FORMAT  = 'medpredict-model';
+export const MODEL_VERSION = 2;
+
+const DB_NAME    = 'medpredict';
+const DB_VERSION = 1;
+const STORE      = 'models';
+const ACTIVE_KEY = 'medpredict.activeModels';
+
+/* ══════════════════════════════════════════════════════════
+   BUNDLE
+══════════════════════════════════════════════════════════ */
+export function createModelBundle({ dataset, threshold, nn = null, lstm = null }) {
+  const savedAt = new Date().toISOString();
+  return {
+    format:  MODEL_FORMAT,
+    version: MODEL_VERSION,
+    id:      `model-${Date.now()}`,
+    savedAt,
+    threshold,
+    dataset: { name: dataset.name, rows: dataset.records.length, fingerprint: datasetFingerprint(dataset) },
+    nn,
+    lstm
+  };
+}
+
+/**
+ * FNV-1a hash of the records and feature list — two models share a
+ * fingerprint only if they were trained on identical data.
+ */
+export function datasetFingerprint(dataset) {
+  let h = 0x811c9dc5;
+  const feed = text => {
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h  = Math.imul(h, 0x01000193);
+    }
+  };
+  feed(dataset.features.join(','));
+  dataset.records.forEach(r => feed(JSON.stringify(r)));
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+// Test metrics the registry table and status lines show
+const REGISTRY_METRICS = ['accuracy', 'f1', 'rocAuc'];
+
+const hasTestMetrics = part => Boolean(part.metrics && part.metrics.test) &&
+  REGISTRY_METRICS.every(key => Number.isFinite(part.metrics.test[key]));
+
+// Feature keys and note words are plain lower-case names; they end up in labels
+const SAFE_NAME = /^[a-z0-9_]+$/;
+const safeNames = list => Array.isArray(list) && list.every(name => typeof name === 'string' && SAFE_NAME.test(name));
+
+/**
+ * Checks an imported bundle before it is applied or saved. The file is
+ * untrusted: whatever the registry reads from it must be there, and its
+ * strings are escaped wherever they reach innerHTML.
+ */
+export function validateModelBundle(bundle) {
+  if (!bundle || bundle.format !== MODEL_FORMAT)
+    throw new Error('Not a MedPredict model file');
+  if (bundle.version > MODEL_VERSION)
+    throw new Error(`Model file version ${bundle.version} is newer than supported (${MODEL_VERSION})`);
+  if (!bundle.dataset || typeof bundle.dataset !== 'object')
+    throw new Error('Model file: dataset description missing');
+  if (!bundle.nn && !bundle.lstm)
+    throw new Error('Model file contains no trained network');
+  if (bundle.nn && (!bundle.nn.json || !Array.isArray(bundle.nn.features) || !bundle.nn.normalization))
+    throw new Error('Model file: feedforward network is incomplete');
+  if (bundle.nn && (!safeNames(bundle.nn.features) ||
+      (bundle.nn.normalization.notes && !safeNames(bundle.nn.normalization.notes.terms))))
+    throw new Error('Model file: unexpected feature names');
+  if (bundle.nn && !hasTestMetrics(bundle.nn))
+    throw new Error('Model file: feedforward network has no test metrics');
+  if (bundle.lstm && !bundle.lstm.json)
+    throw new Error('Model file: LSTM is incomplete');
+  if (bundle.lstm && bundle.lstm.features && !safeNames(bundle.lstm.features))
+    throw new Error('Model file: unexpected feature names');
+  if (bundle.lstm && !hasTestMetrics(bundle.lstm))
+    throw new Error('Model file: LSTM has no test metrics');
+  return bundle;
+}
+
+/** One-line description for status messages. */
+export function describeBundle(bundle) {
+  const parts = [new Date(bundle.savedAt).toLocaleString(), bundle.dataset.name];
+  if (bundle.nn)   parts.push(`NN test acc ${formatPct(bundle.nn.metrics.test.accuracy)}%`);
+  if (bundle.lstm) parts.push(`LSTM test acc ${formatPct(bundle.lstm.metrics.test.accuracy)}%`);
+  return parts.join(' · ');
+}
+
+/* ══════════════════════════════════════════════════════════
+   INDEXEDDB
+══════════════════════════════════════════════════════════ */
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: 'id' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+/** Runs one request against the model store and resolves with its result. */
+async function withStore(mode, fn) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx  = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror    = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+export function saveModel(bundle) {
+  return withStore('readwrite', store => store.put(bundle));
+}
+
+export function loadModel(id) {
+  return withStore('readonly', store => store.get(id));
+}
+
+export function deleteModel(id) {
+  return withStore('readwrite', store => store.delete(id));
+}
+
+/** All saved bundles, newest first. */
+export async function listModels() {
+  const all = await withStore('readonly', store => store.getAll());
+  return all.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+/* ══════════════════════════════════════════════════════════
+   ACTIVE MODELS  ({ nn: id, lstm: id } in localStorage)
+══════════════════════════════════════════════════════════ */
+export function loadActiveIds() {
+  try {
+    return JSON.parse(localStorage.getItem(ACTIVE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/** Marks every network in the bundle as the active one of its kind. */
+export function setActiveBundle(bundle) {
+  const active = loadActiveIds();
+  if (bundle.nn)   active.nn   = bundle.id;
+  if (bundle.lstm) active.lstm = bundle.id;
+  localStorage.setItem(ACTIVE_KEY, JSON.stringify(active));
+  return active;
+}
+
+export function clearActiveId(id) {
+  const active = loadActiveIds();
+  Object.keys(active).forEach(kind => { if (active[kind] === id) delete active[kind]; });
+  localStorage.setItem(ACTIVE_KEY, JSON.stringify(active));
+  return active;
+}
+
+/* ══════════════════════════════════════════════════════════
+   FILE EXPORT / IMPORT
+══════════════════════════════════════════════════════════ */
+export function exportModel(bundle) {
+  const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = `medpredict-${bundle.savedAt.slice(0, 19).replace(/[:T]/g, '-')}.model.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export function parseModelJson(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Model file is not valid JSON: ${err.message}`);
+  }
+  return validateModelBundle(bundle);
+}
+
+/* ══════════════════════════════════════════════════════════
+   DOM HELPERS  (registry table + comparison)
+══════════════════════════════════════════════════════════ */
+const pct = x => formatPct(x) + '%';
+
+function describeHyperparams(bundle, kind) {
+  if (kind === 'nn') {
+    const { network, training, sampling } = bundle.nn;
+    const balance = sampling ? ` · ${shortBalance(sampling)}` : '';
+    const scaler  = bundle.nn.normalization.scaler ? ` · ${bundle.nn.normalization.scaler.method}` : '';
+    const hood    = bundle.nn.features.includes('neighbourhood') ? ' · + neighbourhood' : '';
+    const notes   = bundle.nn.features.includes('notes') ? ` · + notes (${bundle.nn.normalization.notes.terms.length})` : '';
+    return escapeHtml(`[${network.hiddenLayers.join(', ')}] ${network.activation} · lr ${training.learningRate} · ${training.iterations} it${balance}${scaler}${hood}${notes} · seed ${bundle.nn.seed ?? '—'}`);
+  }
+  const hp       = bundle.lstm.hyperparams || {};
+  const sampling = hp.balance || (hp.oversampleFactor ? { oversampleFactor: hp.oversampleFactor } : null);
+  const balance  = sampling ? ` · ${shortBalance(sampling)}` : '';
+  // Runs saved before the token classifier existed are all LSTMs
+  const model    = hp.textModel === 'tokens'
+    ? `tokens (${hp.vocabulary}) · size ${hp.hiddenLayers[0]}`
+    : `[${(hp.hiddenLayers || []).join(', ')}]`;
+  return escapeHtml(`${model} · lr ${hp.learningRate} · ${hp.iterations} it${balance} · seed ${bundle.lstm.seed ?? '—'}`);
+}
+
+/** Networks in a bundle, NN first: [{ kind, label, part }]. */
+export function bundleParts(bundle) {
+  const parts = [];
+  if (bundle.nn)   parts.push({ kind: 'nn',   label: 'NN',   part: bundle.nn });
+  if (bundle.lstm) parts.push({ kind: 'lstm', label: 'LSTM', part: bundle.lstm });
+  return parts;
+}
+
+export function renderRegistry(bundles, active, selected) {
+  const tbody = document.getElementById('registryTableBody');
+  if (!bundles.length) {
+    tbody.innerHTML = '<tr><td colspan="9" style="color:var(--muted)">No saved models yet — train a model or import a JSON file.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = bundles.map(b => {
+    const parts = bundleParts(b);
+    const cell  = fn => parts.map(fn).join('<br/>');
+    return `
+      <tr data-id="${escapeHtml(b.id)}">
+        <td><input type="checkbox" class="registry-select" ${selected.has(b.id) ? 'checked' : ''} /></td>
+        <td>${new Date(b.savedAt).toLocaleString()}</td>
+        <td>${cell(p => `${p.label}${active[p.kind] === b.id ? ' <span class="registry-active">active</span>' : ''}`)}</td>
+        <td>${escapeHtml(b.dataset.name)}<br/><span class="registry-muted">${escapeHtml(b.dataset.rows)} rows · #${escapeHtml(b.dataset.fingerprint || '—')}</span></td>
+        <td class="registry-muted">${cell(p => describeHyperparams(b, p.kind))}</td>
+        <td>${cell(p => pct(p.part.metrics.test.accuracy))}</td>
+        <td>${cell(p => pct(p.part.metrics.test.f1))}</td>
+        <td>${cell(p => p.part.metrics.test.rocAuc.toFixed(3))}</td>
+        <td class="registry-actions">
+          <button class="btn-secondary" data-action="activate" type="button">Activate</button>
+          <button class="btn-secondary" data-action="export" type="button">⤓</button>
+          <button class="btn-secondary" data-action="delete" type="button">✕</button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+const COMPARE_ROWS = [
+  { key: 'accuracy',     label: 'Accuracy'       },
+  { key: 'showRecall',   label: 'Show-Up Recall' },
+  { key: 'noshowRecall', label: 'No-Show Recall' },
+  { key: 'precision',    label: 'Precision'      },
+  { key: 'f1',           label: 'F1 (No-Show)'   },
+  { key: 'balancedAcc',  label: 'Balanced Acc'   },
+  { key: 'rocAuc',       label: 'ROC-AUC',     pct: false },
+  { key: 'prAuc',        label: 'PR-AUC',      pct: false },
+  { key: 'brier',        label: 'Brier Score', pct: false, lowerIsBetter: true },
+  { key: 'logLoss',      label: 'Log-Loss',    pct: false, lowerIsBetter: true }
+];
+
+/** columns: [{ title, subtitle, evaluation }] scored on the same rows. */
+export function renderComparison(containerId, columns, note = '') {
+  const [a, b] = columns.map(c => c.evaluation);
+  const rows = COMPARE_ROWS.map(({ key, label, pct: isPct = true, lowerIsBetter }) => {
+    const fmt    = v => (isPct ? pct(v) : v.toFixed(3));
+    const better = a[key] === b[key] ? -1 : ((a[key] < b[key]) === !!lowerIsBetter ? 0 : 1);
+    return `
+      <tr>
+        <th>${label}</th>
+        ${[a, b].map((ev, i) => `<td class="${i === better ? 'compare-better' : ''}">${fmt(ev[key])}</td>`).join('')}
+      </tr>
+    `;
+  }).join('');
+
+  document.getElementById(containerId).innerHTML = `
+    <div class="acc-group-label">Comparison on the same test set</div>
+    <div class="data-table-wrap">
+      <table class="compare-table">
+        <thead>
+          <tr><th>Metric</th>${columns.map(c => `<th>${c.title}<br/><span class="registry-muted">${c.subtitle}</span></th>`).join('')}</tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    <p class="accuracy-note">${note}</p>
+  `;
+}
@@ -0,0 +1,79 @@
+/**
+ * neighbourhood.js
+ * ─────────────────────────────────────────────────────────
+ * Neighbourhood as one numeric input via smoothed target
+ * encoding:
+ *   rate(h) = (no-shows in h + m · prior) / (rows in h + m)
+ *   prior   = no-show rate of the whole training fold
+ *   m       = smoothing (pseudo-rows pulled toward the prior)
+ *
+ * A neighbourhood with few rows stays close to the prior; one
+ * with hundreds of rows gets (almost) its own rate. Names not
+ * seen in the training fold — a new district, a typo, the
+ * form's "unknown" entry — encode as the prior.
+ *
+ * LEAKAGE:
+ *   The encoder is fitted on the training fold only, so
+ *   validation / test / new patients never see their own
+ *   label. Training rows get out-of-fold values: each row is
+ *   encoded by an encoder fitted on the other k−1 parts of
+ *   the training fold, otherwise a row's own no-show would
+ *   be baked into its input and the net would overfit to it.
+ *
+ * Encoders are plain objects (stored with a saved model):
+ *   { prior, smoothing, rates: { 'JARDIM DA PENHA': 0.18, … } }
+ * ─────────────────────────────────────────────────────────
+ */
+
+export const OOF_FOLDS = 5;
+
+const hoodKey = name => String(name ?? '').trim().toUpperCase();
+
+/** True if the records carry a neighbourhood at all (embedded data, or a CSV mapping binds one). */
+export function hasNeighbourhood(records) {
+  return records.some(r => hoodKey(r.neighbourhood) !== '');
+}
+
+/* ══════════════════════════════════════════════════════════
+   FIT / ENCODE
+══════════════════════════════════════════════════════════ */
+export function fitTargetEncoder(records, smoothing = 20) {
+  const prior  = records.length ? records.filter(r => r.noshow === 1).length / records.length : 0;
+  const counts = {};
+  records.forEach(r => {
+    const key = hoodKey(r.neighbourhood);
+    if (!key) return;
+    const c = counts[key] || (counts[key] = { n: 0, noshow: 0 });
+    c.n++;
+    c.noshow += r.noshow;
+  });
+
+  const rates = {};
+  Object.entries(counts).forEach(([key, c]) => {
+    rates[key] = (c.noshow + smoothing * prior) / (c.n + smoothing);
+  });
+  return { prior, smoothing, rates };
+}
+
+export function encodeNeighbourhood(encoder, name) {
+  if (!encoder) throw new Error('Neighbourhood encoder missing — retrain the model');
+  const rate = encoder.rates[hoodKey(name)];
+  return rate === undefined ? encoder.prior : rate;
+}
+
+export function isKnownNeighbourhood(encoder, name) {
+  return Boolean(encoder) && hoodKey(name) in encoder.rates;
+}
+
+/**
+ * Encoded value of every training row, each from an encoder that did
+ * not see that row (part i % k is encoded by the other parts).
+ */
+export function outOfFoldEncoding(records, smoothing = 20, k = OOF_FOLDS) {
+  const parts = Math.min(k, records.length);
+  if (parts < 2) return records.map(() => fitTargetEncoder(records, smoothing).prior);
+
+  const encoders = Array.from({ length: parts }, (_, p) =>
+    fitTargetEncoder(records.filter((_, i) => i % parts !== p), smoothing));
+  return records.map((r, i) => encodeNeighbourhood(encoders[i % parts], r.neighbourhood));
+}
@@ -0,0 +1,267 @@
+/**
+ * nn.worker.js
+ * ─────────────────────────────────────────────────────────
+ * Runs brain.js NeuralNetwork jobs inside a Web Worker so
+ * training (the main model, one network per cross-
+ * validation fold, or one tuning trial) never blocks the
+ * main thread.
+ *
+ * Loaded as a module worker ({ type: 'module' }) so it can
+ * use balance.js and split.js.
+ *
+ * The main thread does the cheap preprocessing (split,
+ * scaling, encodings) and sends brain.js samples of the
+ * training fold as they are; with a `sampling` the worker
+ * balances them (balance.js) with an RNG seeded by `seed`,
+ * then shuffles — see BALANCING below. Samples may carry a
+ * `weight` (class weighting) — see SAMPLE WEIGHTS.
+ *
+ * Communication via postMessage:
+ *   Main → Worker:  { type: 'train', samples: [{ input, output }], sampling, seed, network, training }
+ *   Worker → Main:  { type: 'samples',  samples }       (the balanced fold, before training)
+ *                   { type: 'log',      message }
+ *                   { type: 'progress', pct, error }
+ *                   { type: 'done',     json, stats }   (net.toJSON())
+ *                   { type: 'error',    message }
+ *   Main → Worker:  { type: 'pause' } / { type: 'resume' }
+ *                   (cancel = the main thread terminates the worker)
+ *   Main → Worker:  { type: 'crossValidate', folds, sampling, seed, network, training }
+ *                   folds: [{ train: [{ input, output }], test: [{ input, noshow }] }]
+ *                   (fold i is balanced with seed + i)
+ *   Worker → Main:  { type: 'log',      message }
+ *                   { type: 'progress', pct, error }
+ *                   { type: 'fold',     index, predictions: [{ actual, prob }], stats }
+ *                   { type: 'done' }
+ *                   { type: 'error',    message }
+ *   Main → Worker:  { type: 'balance', samples, samplings: [{ strategy, ratio }], seed }
+ *   Worker → Main:  { type: 'balanced', sets }   (one balanced fold per sampling)
+ *                   { type: 'error',    message }
+ *   Main → Worker:  { type: 'trial', id, samples, validation: [{ input, noshow }], network, training }
+ *                   (samples as balanced by a 'balance' job)
+ *   Worker → Main:  { type: 'trialProgress', id, fraction }
+ *                   { type: 'trial', id, predictions: [{ actual, prob }], stats, json }
+ *                   { type: 'error', id, message }
+ *                   (each worker of the tuning pool runs one trial at a time)
+ * ─────────────────────────────────────────────────────────
+ */
+
+// brain.js is a UMD bundle; imported for its side effect of setting self.brain
+import 'https://cdn.jsdelivr.net/npm/brain.js@1.6.0/browser.js';
+import { balanceSamples, smoteNeighbours } from './balance.js';
+import { createRng, shuffle } from './split.js';
+
+/* ══════════════════════════════════════════════════════════
+   HELPERS
+══════════════════════════════════════════════════════════ */
+function runNoshow(net, input) {
+  const raw = net.run(input);
+  const out = typeof raw === 'object' && !Array.isArray(raw)
+    ? raw.noshow
+    : (Array.isArray(raw) ? raw[0] : raw);
+  // relu / leaky-relu outputs are unbounded; keep a probability
+  return Math.min(1, Math.max(0, out));
+}
+
+/**
+ * net.toJSON() for postMessage: brain.js copies the training
+ * options into it, including the progress callback, which a
+ * structured clone cannot carry.
+ */
+function networkJSON(net) {
+  const json = net.toJSON();
+  if (json.trainOpts) delete json.trainOpts.callback;
+  return json;
+}
+
+/* ══════════════════════════════════════════════════════════
+   BALANCING
+   One RNG drives the balancing and the shuffle after it, so
+   a fold with the same seed always gives the same samples.
+   A 'balance' job balances one fold for several samplings
+   (tuning ratios) and finds SMOTE's neighbours only once.
+══════════════════════════════════════════════════════════ */
+function balanceFold(samples, sampling, seed, neighbours) {
+  const rng = createRng(seed);
+  // Shuffle so no-show/show samples aren't grouped together
+  return shuffle(balanceSamples(samples, sampling, rng, neighbours), rng);
+}
+
+function balanceFoldSets(samples, samplings, seed) {
+  const neighbours = samplings.some(s => s.strategy === 'smote') ? smoteNeighbours(samples) : undefined;
+  return samplings.map(sampling => balanceFold(samples, sampling, seed, neighbours));
+}
+
+/* ══════════════════════════════════════════════════════════
+   SAMPLE WEIGHTS
+   brain.js has no per-sample loss weights. The weight update
+   is proportional to the learning rate, so a sample with
+   weight w is trained with w × the learning rate — the same
+   step a loss term scaled by w would give. prepTraining()
+   formats the samples into new objects in the same order;
+   the weights are copied onto those.
+══════════════════════════════════════════════════════════ */
+function prepWeighted(net, samples, options) {
+  const prepared = net.prepTraining(samples, options);
+  if (!samples.some(s => s.weight !== undefined)) return prepared;
+
+  prepared.data.forEach((d, i) => { d.weight = samples[i].weight ?? 1; });
+  const trainPattern = net.trainPattern.bind(net);
+  net.trainPattern = (value, logErrorRate) => {
+    const rate = net.trainOpts.learningRate;
+    net.trainOpts.learningRate = rate * (value.weight ?? 1);
+    try {
+      return trainPattern(value, logErrorRate);
+    } finally {
+      net.trainOpts.learningRate = rate;
+    }
+  };
+  return prepared;
+}
+
+/** net.train() with sample weights honoured. */
+function trainWeighted(net, samples, options) {
+  const { data, status, endTime } = prepWeighted(net, samples, options);
+  while (net.trainingTick(data, status, endTime)) { /* one iteration per tick */ }
+  return status;
+}
+
+/* ══════════════════════════════════════════════════════════
+   TRAIN  (pausable)
+   brain.js train() is one blocking loop, so the worker drives
+   its trainingTick() itself in short time slices and yields
+   to the event loop between them — that is when 'pause' and
+   'resume' messages are handled.
+══════════════════════════════════════════════════════════ */
+const SLICE_MS = 50;
+
+let job = null;   // { net, data, status, endTime, paused }
+
+function startTraining(samples, network, training) {
+  const LOG_PERIOD = training.callbackPeriod;
+  const net = new brain.NeuralNetwork(network);
+  const { data, status, endTime } = prepWeighted(net, samples, {
+    ...training,
+    callback: (info) => {
+      const pct = Math.min(100, Math.round((info.iterations / training.iterations) * 100));
+      postMessage({ type: 'progress', pct, error: info.error });
+      postMessage({ type: 'log', message: `[iter ${String(info.iterations).padStart(4, '0')}]  error: ${info.error.toFixed(6)}` });
+    },
+    callbackPeriod: LOG_PERIOD
+  });
+
+  job = { net, data, status, endTime, paused: false };
+  trainSlice();
+}
+
+function trainSlice() {
+  if (!job || job.paused) return;
+  try {
+    const sliceEnd = Date.now() + SLICE_MS;
+    let running = true;
+    while (running && Date.now() < sliceEnd) running = job.net.trainingTick(job.data, job.status, job.endTime);
+
+    if (running) {
+      setTimeout(trainSlice, 0);
+      return;
+    }
+    const { net, status } = job;
+    job = null;
+    postMessage({ type: 'done', json: networkJSON(net), stats: { iterations: status.iterations, error: status.error } });
+  } catch (err) {
+    job = null;
+    postMessage({ type: 'error', message: err.message });
+  }
+}
+
+function setPaused(paused) {
+  if (!job || job.paused === paused) return;
+  job.paused = paused;
+  postMessage({ type: 'log', message: `[${paused ? 'PAUSED' : 'RESUMED'}] at iteration ${job.status.iterations}` });
+  if (!paused) trainSlice();
+}
+
+/* ══════════════════════════════════════════════════════════
+   CROSS-VALIDATION  (fresh network per fold)
+══════════════════════════════════════════════════════════ */
+function crossValidate(folds, sampling, seed, network, training) {
+  const LOG_PERIOD = Math.max(1, Math.round(training.iterations / 10));
+
+  folds.forEach((fold, index) => {
+    const train = balanceFold(fold.train, sampling, seed + index);
+    postMessage({ type: 'log', message: `[FOLD ${index + 1}/${folds.length}] Train: ${train.length} · Test: ${fold.test.length}` });
+
+    const net   = new brain.NeuralNetwork(network);
+    const stats = trainWeighted(net, train, {
+      ...training,
+      callback: (info) => {
+        const done = (index + info.iterations / training.iterations) / folds.length;
+        postMessage({ type: 'progress', pct: Math.min(100, Math.round(done * 100)), error: info.error });
+      },
+      callbackPeriod: LOG_PERIOD
+    });
+
+    const predictions = fold.test.map(s => ({ actual: s.noshow, prob: runNoshow(net, s.input) }));
+    postMessage({ type: 'log', message: `[FOLD ${index + 1}/${folds.length}] ${stats.iterations} iterations · error: ${stats.error.toFixed(6)}` });
+    postMessage({ type: 'fold', index, predictions, stats });
+  });
+}
+
+/* ══════════════════════════════════════════════════════════
+   TUNING TRIAL  (one candidate, scored on the validation fold)
+══════════════════════════════════════════════════════════ */
+function runTrial(id, samples, validation, network, training) {
+  const net   = new brain.NeuralNetwork(network);
+  const stats = trainWeighted(net, samples, {
+    ...training,
+    callback: (info) => postMessage({ type: 'trialProgress', id, fraction: Math.min(1, info.iterations / training.iterations) }),
+    callbackPeriod: Math.max(1, Math.round(training.iterations / 10))
+  });
+
+  const predictions = validation.map(s => ({ actual: s.noshow, prob: runNoshow(net, s.input) }));
+  postMessage({ type: 'trial', id, predictions, stats, json: networkJSON(net) });
+}
+
+/* ══════════════════════════════════════════════════════════
+   MESSAGE HANDLER
+══════════════════════════════════════════════════════════ */
+self.onmessage = function(e) {
+  const { type, folds, samples, sampling, seed, network, training } = e.data;
+
+  if (type === 'trial') {
+    try {
+      runTrial(e.data.id, samples, e.data.validation, network, training);
+    } catch (err) {
+      postMessage({ type: 'error', id: e.data.id, message: err.message });
+    }
+  }
+
+  if (type === 'balance') {
+    try {
+      postMessage({ type: 'balanced', sets: balanceFoldSets(samples, e.data.samplings, seed) });
+    } catch (err) {
+      postMessage({ type: 'error', message: err.message });
+    }
+  }
+
+  if (type === 'train') {
+    try {
+      const balanced = balanceFold(samples, sampling, seed);
+      postMessage({ type: 'samples', samples: balanced });
+      startTraining(balanced, network, training);
+    } catch (err) {
+      postMessage({ type: 'error', message: err.message });
+    }
+  }
+
+  if (type === 'pause')  setPaused(true);
+  if (type === 'resume') setPaused(false);
+
+  if (type === 'crossValidate') {
+    try {
+      crossValidate(folds, sampling, seed, network, training);
+      postMessage({ type: 'done' });
+    } catch (err) {
+      postMessage({ type: 'error', message: err.message });
+    }
+  }
+};
@@ -0,0 +1,197 @@
+/**
+ * notes.js
+ * ─────────────────────────────────────────────────────────
+ * Free-text scheduling notes ("called to reschedule twice",
+ * "needs transport") as feedforward inputs:
+ *  - TF-IDF vectorizer fitted on the training fold: the
+ *    `maxTerms` words found in the most notes (at least
+ *    MIN_NOTES of them), cleaned by textencoding.js
+ *    cleanText()
+ *  - Note inputs of a record: one `note_<word>` input per
+ *    vocabulary word, sublinear tf × idf, L2-normalized (an
+ *    empty note is all zeros)
+ *  - What the notes add: the same training samples without
+ *    the note inputs, trained in nn.worker.js and scored on
+ *    the test fold next to the hybrid network
+ *  - DOM helper for that comparison
+ *
+ * The vectorizer never sees a label, so fitting it on the
+ * whole training fold leaks nothing into the network.
+ *
+ * VECTORIZER FORMAT (stored with a saved model):
+ *   { terms: ['transport', 'reschedule', …], idf: [2.31, 1.87, …], notes: 812 }
+ * ─────────────────────────────────────────────────────────
+ */
+
+import { cleanText } from './textencoding.js';
+import { evaluate, formatPct } from './metrics.js';
+
+export const NOTE_PREFIX = 'note_';
+
+const MIN_NOTES = 2;   // a word in a single note cannot generalize
+
+// Words that say nothing about attendance on their own
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'he', 'her',
+  'his', 'in', 'is', 'it', 'of', 'on', 'or', 'she', 'that', 'the', 'their', 'they', 'this', 'to',
+  'was', 'were', 'will', 'with', 'pt', 'patient'
+]);
+
+/** True if any record carries a note (a CSV mapping binds a notes column). */
+export function hasNotes(records) {
+  return records.some(r => Boolean(r.notes && r.notes.trim()));
+}
+
+/** Words of a note as the vectorizer counts them. */
+export function noteWords(note) {
+  return cleanText(note || '').split(' ')
+    .filter(w => w.length > 1 && !STOP_WORDS.has(w) && !/^\d+$/.test(w));
+}
+
+/* ══════════════════════════════════════════════════════════
+   FIT / TRANSFORM
+══════════════════════════════════════════════════════════ */
+export function fitNotesVectorizer(records, maxTerms = 50) {
+  const counts = {};
+  records.forEach(r => {
+    new Set(noteWords(r.notes)).forEach(w => { counts[w] = (counts[w] || 0) + 1; });
+  });
+
+  const terms = Object.keys(counts)
+    .filter(w => counts[w] >= MIN_NOTES)
+    .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
+    .slice(0, maxTerms);
+  // Smoothed idf: a word in every note still counts a little
+  const idf = terms.map(w => Math.log((1 + records.length) / (1 + counts[w])) + 1);
+  return { terms, idf, notes: records.length };
+}
+
+/** Input keys the vectorizer adds, in vocabulary order. */
+export function noteKeys(vectorizer) {
+  if (!vectorizer) throw new Error('Notes vectorizer missing — retrain the model');
+  return vectorizer.terms.map(w => NOTE_PREFIX + w);
+}
+
+/** { note_<word>: weight } for one note. */
+export function noteInputs(vectorizer, note) {
+  const keys   = noteKeys(vectorizer);
+  const tf     = {};
+  noteWords(note).forEach(w => { tf[w] = (tf[w] || 0) + 1; });
+
+  const weights = vectorizer.terms.map((w, i) => (tf[w] ? (1 + Math.log(tf[w])) * vectorizer.idf[i] : 0));
+  const norm    = Math.sqrt(weights.reduce((sum, x) => sum + x * x, 0)) || 1;
+  return Object.fromEntries(keys.map((key, i) => [key, weights[i] / norm]));
+}
+
+/** Words of a note the vectorizer has no input for (shown next to a prediction). */
+export function unknownNoteWords(vectorizer, note) {
+  return [...new Set(noteWords(note))].filter(w => !vectorizer.terms.includes(w));
+}
+
+/* ══════════════════════════════════════════════════════════
+   WHAT THE NOTES ADD
+   A structured-only network trained on exactly the hybrid
+   network's samples (same split, balancing and order) minus
+   the note inputs, run as one nn.worker.js trial. Both are
+   scored raw (no calibration) on the test fold.
+══════════════════════════════════════════════════════════ */
+const withoutNotes = input => Object.fromEntries(
+  Object.entries(input).filter(([key]) => !key.startsWith(NOTE_PREFIX)));
+
+let comparisonWorker = null;
+
+/**
+ * Resolves to { structured, hybrid } evaluations on the test fold.
+ * `test` = [{ input, noshow }] with note inputs, `hybridProbs` the
+ * trained network's raw scores of those rows.
+ */
+export function compareWithoutNotes({ samples, test, hybridProbs, network, training, threshold }) {
+  cancelNotesComparison();
+  const worker = comparisonWorker = new Worker('./scripts/nn.worker.js', { type: 'module' });
+  const actual = test.map(t => t.noshow);
+
+  return new Promise((resolve, reject) => {
+    const finish = (fn, value) => {
+      worker.terminate();
+      if (comparisonWorker === worker) comparisonWorker = null;
+      fn(value);
+    };
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'trial') {
+        finish(resolve, {
+          structured: evaluate(actual, msg.predictions.map(p => p.prob), threshold),
+          hybrid:     evaluate(actual, hybridProbs, threshold)
+        });
+      }
+      if (msg.type === 'error') finish(reject, new Error(msg.message));
+    };
+    worker.onerror = (err) => finish(reject, new Error(err.message || 'Worker error'));
+
+    worker.postMessage({
+      type:       'trial',
+      id:         'notes',
+      samples:    samples.map(s => ({ ...s, input: withoutNotes(s.input) })),
+      validation: test.map(t => ({ input: withoutNotes(t.input), noshow: t.noshow })),
+      network,
+      training
+    });
+  });
+}
+
+/** Stops a running comparison (e.g. when a new network is trained). */
+export function cancelNotesComparison() {
+  if (!comparisonWorker) return;
+  comparisonWorker.terminate();
+  comparisonWorker = null;
+}
+
+/* ══════════════════════════════════════════════════════════
+   DOM HELPERS  (comparison table in the results card)
+══════════════════════════════════════════════════════════ */
+const COMPARE_METRICS = [
+  { key: 'rocAuc',       label: 'ROC-AUC',        format: v => v.toFixed(3),           delta: v => v.toFixed(3) },
+  { key: 'prAuc',        label: 'PR-AUC',         format: v => v.toFixed(3),           delta: v => v.toFixed(3) },
+  { key: 'accuracy',     label: 'Accuracy',       format: v => formatPct(v) + '%',     delta: v => formatPct(v) + 'pp' },
+  { key: 'noshowRecall', label: 'No-Show Recall', format: v => formatPct(v) + '%',     delta: v => formatPct(v) + 'pp' },
+  { key: 'logLoss',      label: 'Log-Loss',       format: v => v.toFixed(3),           delta: v => v.toFixed(3), lowerIsBetter: true }
+];
+
+/** comparison: compareWithoutNotes() result, or { status } while it runs / when it failed. */
+export function renderNotesComparison(comparison) {
+  const section = document.getElementById('notesSection');
+  section.hidden = !comparison;
+  if (!comparison) return;
+
+  const el = document.getElementById('notesComparison');
+  if (comparison.status) {
+    el.innerHTML = `<p class="accuracy-note">${comparison.status}</p>`;
+    return;
+  }
+
+  const { structured, hybrid } = comparison;
+  const cells = ev => COMPARE_METRICS.map(m => `<td>${m.format(ev[m.key])}</td>`).join('');
+  const gains = COMPARE_METRICS.map(m => {
+    const diff   = hybrid[m.key] - structured[m.key];
+    const better = m.lowerIsBetter ? diff < 0 : diff > 0;
+    const color  = diff === 0 ? 'var(--muted)' : better ? 'var(--accent)' : 'var(--danger)';
+    return `<td style="color:${color}">${diff >= 0 ? '+' : '−'}${m.delta(Math.abs(diff))}</td>`;
+  }).join('');
+
+  el.innerHTML = `
+    <div class="data-table-wrap">
+      <table>
+        <thead><tr><th>Test set</th>${COMPARE_METRICS.map(m => `<th>${m.label}</th>`).join('')}</tr></thead>
+        <tbody>
+          <tr><td>Structured fields only</td>${cells(structured)}</tr>
+          <tr><td>Structured + notes</td>${cells(hybrid)}</tr>
+          <tr><th>Notes add</th>${gains}</tr>
+        </tbody>
+      </table>
+    </div>
+    <p class="accuracy-note">
+      Both networks were trained on the same training rows with the same balancing and settings; they differ
+      only in the note inputs. Uncalibrated scores on the ${hybrid.n} test rows, threshold ${hybrid.threshold.toFixed(2)}.
+    </p>
+  `;
+}
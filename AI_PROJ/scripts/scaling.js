@@ -0,0 +1,122 @@
+/**
+ * scaling.js
+ * ─────────────────────────────────────────────────────────
+ * Scaling of the numeric inputs (age, days_wait):
+ *  - Three scalers, picked in Settings:
+ *      minmax  (x − min) / (max − min), clipped to 0–1
+ *      zscore  (x − mean) / std
+ *      robust  (x − median) / IQR — a few 100-day waits do
+ *              not squash everyone else into 0.00–0.05
+ *  - Fitted on the training fold only and saved with the
+ *    model (snapshot normalization), so validation, test and
+ *    new patients are scaled exactly like training rows
+ *  - Out-of-distribution checks: a value outside the range
+ *    seen in training is flagged next to the prediction
+ *    rather than silently extrapolated
+ *
+ * SCALER FORMAT (stored in saved models):
+ *   { method: 'robust',
+ *     stats: { age: { min, max, mean, std, median, q1, q3 }, days_wait: { … } } }
+ *   Every method keeps all statistics, so the training range
+ *   is known whichever formula is used.
+ * ─────────────────────────────────────────────────────────
+ */
+
+export const SCALERS = {
+  minmax: { label: 'Min-max (clipped)'     },
+  zscore: { label: 'Z-score'               },
+  robust: { label: 'Robust (median / IQR)' }
+};
+
+export const SCALED_FEATURES = ['age', 'days_wait'];
+
+const FEATURE_LABELS = { age: 'Age', days_wait: 'Days wait' };
+
+/* ══════════════════════════════════════════════════════════
+   FIT
+══════════════════════════════════════════════════════════ */
+
+/** Linear-interpolated quantile of an ascending array. */
+function quantile(sorted, q) {
+  const pos  = (sorted.length - 1) * q;
+  const base = Math.floor(pos);
+  const next = sorted[Math.min(base + 1, sorted.length - 1)];
+  return sorted[base] + (pos - base) * (next - sorted[base]);
+}
+
+function columnStats(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mean   = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const std    = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+  return {
+    min:    sorted[0],
+    max:    sorted[sorted.length - 1],
+    mean,
+    std,
+    median: quantile(sorted, 0.5),
+    q1:     quantile(sorted, 0.25),
+    q3:     quantile(sorted, 0.75)
+  };
+}
+
+export function fitScaler(records, method = 'minmax') {
+  if (!(method in SCALERS)) throw new Error(`Unknown scaler "${method}"`);
+  if (!records.length)      throw new Error('Cannot fit a scaler on an empty training fold');
+  const stats = {};
+  SCALED_FEATURES.forEach(f => { stats[f] = columnStats(records.map(r => r[f])); });
+  return { method, stats };
+}
+
+/**
+ * Models saved before scalers existed store { age: {min,max},
+ * days: {min,max} } over the whole dataset; read as min-max.
+ */
+export function legacyScaler(normalization) {
+  const range = ({ min, max }) => ({ min, max, mean: (min + max) / 2, std: 0, median: (min + max) / 2, q1: min, q3: max });
+  return {
+    method: 'minmax',
+    stats:  { age: range(normalization.age), days_wait: range(normalization.days) }
+  };
+}
+
+/* ══════════════════════════════════════════════════════════
+   APPLY
+   Degenerate columns (one value, zero spread) scale to the
+   centre instead of dividing by zero.
+══════════════════════════════════════════════════════════ */
+export function scaleValue(scaler, feature, value) {
+  const s = scaler.stats[feature];
+  switch (scaler.method) {
+    case 'minmax':
+      if (s.max === s.min) return 0.5;
+      return Math.min(1, Math.max(0, (value - s.min) / (s.max - s.min)));
+    case 'zscore':
+      return s.std ? (value - s.mean) / s.std : 0;
+    case 'robust':
+      return s.q3 > s.q1 ? (value - s.median) / (s.q3 - s.q1) : 0;
+    default:
+      throw new Error(`Unknown scaler "${scaler.method}"`);
+  }
+}
+
+/* ══════════════════════════════════════════════════════════
+   OUT-OF-DISTRIBUTION CHECK
+══════════════════════════════════════════════════════════ */
+
+/** One message per scaled feature whose value lies outside the training range. */
+export function rangeWarnings(scaler, record, features) {
+  return SCALED_FEATURES
+    .filter(f => features.includes(f))
+    .flatMap(f => {
+      const { min, max } = scaler.stats[f];
+      const value = record[f];
+      if (value >= min && value <= max) return [];
+      const side = value > max ? 'above' : 'below';
+      return [`${FEATURE_LABELS[f]} ${value} is ${side} the training range (${min}–${max})` +
+        (scaler.method === 'minmax' ? ` — scored as ${side === 'above' ? max : min}` : ' — the network is extrapolating')];
+    });
+}
+
+export function describeScaler(scaler) {
+  return SCALERS[scaler.method].label;
+}
@@ -0,0 +1,289 @@
+/**
+ * settings.js
+ * ─────────────────────────────────────────────────────────
+ * Hyperparameter settings for both models:
+ *  - Reading / validating the Settings panel
+ *  - Applying a settings object to the live option objects
+ *    in config.js (NETWORK_OPTIONS, TRAIN_OPTIONS,
+ *    SAMPLING_OPTIONS, FEATURE_OPTIONS, LSTM_OPTIONS)
+ *  - Persistence in localStorage
+ *  - Descriptions drawn from the active settings (train card
+ *    text, LSTM info blocks)
+ *
+ * SETTINGS FORMAT (saved as JSON):
+ *   {
+ *     network:  { hiddenLayers: [10, 6], activation: 'sigmoid' },
+ *     training: { iterations: 5000, errorThresh: 0.01, learningRate: 0.01 },
+ *     sampling: { strategy: 'oversample', ratio: 1 },
+ *     features: { scaler: 'minmax', neighbourhood: false, smoothing: 20,
+ *                 notes: false, noteTerms: 50,
+ *                 derived: ['weekday', 'month', 'hour', 'history'] },
+ *     lstm:     { textModel: 'lstm', hiddenSize: 20, iterations: 300 }
+ *   }
+ *   `sampling.strategy` is the balance.js class-imbalance
+ *   strategy for training folds, `sampling.ratio` the
+ *   no-show : show balance it aims for.
+ *   `features.scaler` is the scaling.js method for age and
+ *   days_wait. `features.neighbourhood` adds the target-encoded
+ *   neighbourhood input to the feedforward network (when the
+ *   dataset has the column); the LSTM texts never carry it.
+ *   `features.notes` does the same for a mapped notes column,
+ *   as TF-IDF inputs over at most `noteTerms` words (notes.js).
+ *   `features.derived` lists the derived.js groups a run uses
+ *   when the CSV mapping provides their source columns.
+ *   `lstm.textModel` picks the text model (config.js
+ *   TEXT_MODELS). The LSTM keeps its two stacked layers;
+ *   `hiddenSize` sets the width of both, or the embedding
+ *   width of the token classifier.
+ *
+ * Runs copy the options when they start, so applying new
+ * settings never changes a network that is already training.
+ * ─────────────────────────────────────────────────────────
+ */
+
+import {
+  ACTIVATIONS,
+  NETWORK_OPTIONS,
+  TRAIN_OPTIONS,
+  SAMPLING_OPTIONS,
+  FEATURE_OPTIONS,
+  LSTM_OPTIONS,
+  TEXT_MODELS
+} from './config.js';
+import { DERIVED_GROUPS } from './derived.js';
+import { SCALERS } from './scaling.js';
+import { BALANCE_STRATEGIES, describeBalance } from './balance.js';
+
+const STORAGE_KEY = 'medpredict.settings';
+
+/* ══════════════════════════════════════════════════════════
+   SETTINGS OBJECT
+══════════════════════════════════════════════════════════ */
+
+/** The settings the option objects currently hold. */
+export function currentSettings() {
+  return {
+    network:  { hiddenLayers: NETWORK_OPTIONS.hiddenLayers.slice(), activation: NETWORK_OPTIONS.activation },
+    training: { ...TRAIN_OPTIONS },
+    sampling: { ...SAMPLING_OPTIONS },
+    features: { ...FEATURE_OPTIONS, derived: FEATURE_OPTIONS.derived.slice() },
+    lstm:     {
+      textModel:  LSTM_OPTIONS.textModel,
+      hiddenSize: LSTM_OPTIONS.hiddenLayers[0],
+      iterations: LSTM_OPTIONS.iterations
+    }
+  };
+}
+
+// Snapshot before any saved settings are applied → "Reset to defaults"
+export const DEFAULT_SETTINGS = currentSettings();
+
+const LIMITS = {
+  hiddenSize:       { min: 1,      max: 128,    integer: true  },
+  iterations:       { min: 1,      max: 100000, integer: true  },
+  learningRate:     { min: 0.0001, max: 1                      },
+  errorThresh:      { min: 0.0001, max: 0.5                    },
+  balanceRatio:     { min: 0.1,    max: 1                      },
+  smoothing:        { min: 0,      max: 1000                    },
+  noteTerms:        { min: 5,      max: 500,    integer: true  },
+  lstmIterations:   { min: 1,      max: 5000,   integer: true  }
+};
+const MAX_HIDDEN_LAYERS = 4;
+
+function checkNumber(value, name, { min, max, integer }) {
+  if (typeof value !== 'number' || !Number.isFinite(value))
+    throw new Error(`${name} must be a number`);
+  if (integer && !Number.isInteger(value))
+    throw new Error(`${name} must be a whole number`);
+  if (value < min || value > max)
+    throw new Error(`${name} must be between ${min} and ${max}`);
+}
+
+/** Throws an Error naming the first invalid value; returns the settings otherwise. */
+export function validateSettings(settings) {
+  const { network, training, sampling, features, lstm } = settings;
+
+  if (!Array.isArray(network.hiddenLayers) || !network.hiddenLayers.length)
+    throw new Error('Hidden layers: give at least one layer size, e.g. "10, 6"');
+  if (network.hiddenLayers.length > MAX_HIDDEN_LAYERS)
+    throw new Error(`Hidden layers: at most ${MAX_HIDDEN_LAYERS} layers`);
+  network.hiddenLayers.forEach((size, i) => checkNumber(size, `Hidden layer ${i + 1} size`, LIMITS.hiddenSize));
+  if (!ACTIVATIONS.includes(network.activation))
+    throw new Error(`Activation must be one of: ${ACTIVATIONS.join(', ')}`);
+
+  checkNumber(training.learningRate,     'Learning rate',     LIMITS.learningRate);
+  checkNumber(training.iterations,       'Iterations',        LIMITS.iterations);
+  checkNumber(training.errorThresh,      'Error threshold',   LIMITS.errorThresh);
+  if (!(sampling.strategy in BALANCE_STRATEGIES))
+    throw new Error(`Class balancing must be one of: ${Object.keys(BALANCE_STRATEGIES).join(', ')}`);
+  checkNumber(sampling.ratio,            'Balance ratio',     LIMITS.balanceRatio);
+  if (!(features.scaler in SCALERS))
+    throw new Error(`Scaler must be one of: ${Object.keys(SCALERS).join(', ')}`);
+  if (typeof features.neighbourhood !== 'boolean')
+    throw new Error('Neighbourhood feature must be on or off');
+  checkNumber(features.smoothing,        'Neighbourhood smoothing', LIMITS.smoothing);
+  if (typeof features.notes !== 'boolean')
+    throw new Error('Notes feature must be on or off');
+  checkNumber(features.noteTerms,        'Notes vocabulary',  LIMITS.noteTerms);
+  if (!Array.isArray(features.derived) || features.derived.some(g => !(g in DERIVED_GROUPS)))
+    throw new Error(`Derived features must be some of: ${Object.keys(DERIVED_GROUPS).join(', ')}`);
+  if (!(lstm.textModel in TEXT_MODELS))
+    throw new Error(`Text model must be one of: ${Object.keys(TEXT_MODELS).join(', ')}`);
+  checkNumber(lstm.hiddenSize,           'LSTM hidden size',  LIMITS.hiddenSize);
+  checkNumber(lstm.iterations,           'LSTM iterations',   LIMITS.lstmIterations);
+  return settings;
+}
+
+/** Writes validated settings into the option objects every run reads from. */
+export function applySettings(settings) {
+  const { network, training, sampling, features, lstm } = validateSettings(settings);
+  NETWORK_OPTIONS.hiddenLayers = network.hiddenLayers.slice();
+  NETWORK_OPTIONS.activation   = network.activation;
+  Object.assign(TRAIN_OPTIONS, training);
+  // Key by key: settings saved before balance.js still carry oversampleFactor
+  SAMPLING_OPTIONS.strategy    = sampling.strategy;
+  SAMPLING_OPTIONS.ratio       = sampling.ratio;
+  Object.assign(FEATURE_OPTIONS, features, { derived: features.derived.slice() });
+  LSTM_OPTIONS.textModel    = lstm.textModel;
+  LSTM_OPTIONS.hiddenLayers = LSTM_OPTIONS.hiddenLayers.map(() => lstm.hiddenSize);
+  LSTM_OPTIONS.iterations   = lstm.iterations;
+}
+
+/** "10, 6" → [10, 6]; non-numbers are kept as NaN so validation can name them. */
+export function parseHiddenLayers(text) {
+  return text.split(/[\s,;]+/).filter(Boolean).map(Number);
+}
+
+/* ══════════════════════════════════════════════════════════
+   PERSISTENCE  (localStorage)
+══════════════════════════════════════════════════════════ */
+
+/** Applies the saved settings, if any. Invalid or stale data falls back to the defaults. */
+export function loadSavedSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!saved) return false;
+    applySettings({
+      network:  { ...DEFAULT_SETTINGS.network,  ...saved.network  },
+      training: { ...DEFAULT_SETTINGS.training, ...saved.training },
+      sampling: { ...DEFAULT_SETTINGS.sampling, ...saved.sampling },
+      features: { ...DEFAULT_SETTINGS.features, ...saved.features },
+      lstm:     { ...DEFAULT_SETTINGS.lstm,     ...saved.lstm     }
+    });
+    return true;
+  } catch {
+    applySettings(DEFAULT_SETTINGS);
+    return false;
+  }
+}
+
+export function saveSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+export function clearSavedSettings() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+/* ══════════════════════════════════════════════════════════
+   DOM HELPERS  (Settings panel + descriptions)
+══════════════════════════════════════════════════════════ */
+export function renderSettingsForm(settings = currentSettings()) {
+  const activation = document.getElementById('setActivation');
+  if (!activation.options.length)
+    activation.innerHTML = ACTIVATIONS.map(a => `<option value="${a}">${a}</option>`).join('');
+  const balance = document.getElementById('setBalance');
+  if (!balance.options.length)
+    balance.innerHTML = Object.entries(BALANCE_STRATEGIES).map(([key, s]) => `<option value="${key}">${s.label}</option>`).join('');
+  const textModel = document.getElementById('setTextModel');
+  if (!textModel.options.length)
+    textModel.innerHTML = Object.entries(TEXT_MODELS).map(([key, m]) => `<option value="${key}">${m.label}</option>`).join('');
+  const scaler = document.getElementById('setScaler');
+  if (!scaler.options.length)
+    scaler.innerHTML = Object.entries(SCALERS).map(([key, s]) => `<option value="${key}">${s.label}</option>`).join('');
+  document.getElementById('setDerived').innerHTML = Object.entries(DERIVED_GROUPS).map(([key, g]) => `
+    <label class="batch-option">
+      <input type="checkbox" value="${key}" ${settings.features.derived.includes(key) ? 'checked' : ''} /> ${g.label}
+    </label>
+  `).join('');
+
+  document.getElementById('setHiddenLayers').value    = settings.network.hiddenLayers.join(', ');
+  activation.value                                    = settings.network.activation;
+  document.getElementById('setLearningRate').value    = settings.training.learningRate;
+  document.getElementById('setIterations').value      = settings.training.iterations;
+  document.getElementById('setErrorThresh').value     = settings.training.errorThresh;
+  balance.value                                       = settings.sampling.strategy;
+  document.getElementById('setBalanceRatio').value    = settings.sampling.ratio;
+  scaler.value                                        = settings.features.scaler;
+  document.getElementById('setNeighbourhood').checked = settings.features.neighbourhood;
+  document.getElementById('setHoodSmoothing').value   = settings.features.smoothing;
+  document.getElementById('setNotes').checked         = settings.features.notes;
+  document.getElementById('setNoteTerms').value       = settings.features.noteTerms;
+  textModel.value                                     = settings.lstm.textModel;
+  document.getElementById('setLstmHidden').value      = settings.lstm.hiddenSize;
+  document.getElementById('setLstmIterations').value  = settings.lstm.iterations;
+}
+
+/** Settings as typed in the panel (not yet validated). */
+export function readSettingsForm() {
+  const num = id => parseFloat(document.getElementById(id).value);
+  return {
+    network: {
+      hiddenLayers: parseHiddenLayers(document.getElementById('setHiddenLayers').value),
+      activation:   document.getElementById('setActivation').value
+    },
+    training: {
+      iterations:   num('setIterations'),
+      errorThresh:  num('setErrorThresh'),
+      learningRate: num('setLearningRate')
+    },
+    sampling: { strategy: document.getElementById('setBalance').value, ratio: num('setBalanceRatio') },
+    features: {
+      scaler:        document.getElementById('setScaler').value,
+      neighbourhood: document.getElementById('setNeighbourhood').checked,
+      smoothing:     num('setHoodSmoothing'),
+      notes:         document.getElementById('setNotes').checked,
+      noteTerms:     num('setNoteTerms'),
+      derived:       [...document.querySelectorAll('#setDerived input:checked')].map(box => box.value)
+    },
+    lstm: {
+      textModel:  document.getElementById('setTextModel').value,
+      hiddenSize: num('setLstmHidden'),
+      iterations: num('setLstmIterations')
+    }
+  };
+}
+
+/** Train-card text and LSTM info blocks for the active settings. */
+export function renderModelDescriptions(inputs) {
+  const { network, training, sampling, features, lstm } = currentSettings();
+
+  const extras = [];
+  if (features.neighbourhood)
+    extras.push(`Neighbourhood: smoothed no-show rate (m = ${features.smoothing}) fitted on the training fold, out-of-fold for training rows`);
+  if (features.notes)
+    extras.push(`Notes (when the CSV maps a notes column): TF-IDF over up to ${features.noteTerms} words fitted on the training fold, compared against a structured-only network`);
+  if (features.derived.length)
+    extras.push(`Derived (when the CSV maps dates / patient IDs): ${features.derived.map(g => DERIVED_GROUPS[g].label.toLowerCase()).join(', ')}`);
+
+  document.getElementById('trainDesc').innerHTML = `
+    Architecture: ${inputs} inputs → Hidden[${network.hiddenLayers.join(', ')}] → 1 output (${network.activation})
+    · Optimizer: SGD · Iterations: ${training.iterations.toLocaleString('en-US')}
+    · Learning rate: ${training.learningRate} · Error threshold: ${training.errorThresh}<br/>
+    Data: stratified 70% train / 15% validation / 15% test split
+    · class balancing: ${describeBalance(sampling)}, inside the training fold only
+    · ${SCALERS[features.scaler].label.toLowerCase()} scaling fitted on the training fold
+    ${extras.map(line => `<br/>${line}`).join('')}
+  `;
+
+  const textModel = TEXT_MODELS[lstm.textModel];
+  document.getElementById('lstmModelInfo').textContent = `${textModel.label} (${textModel.type})`;
+  document.getElementById('lstmReadsInfo').textContent = textModel.reads;
+  document.getElementById('lstmHiddenInfo').textContent = lstm.textModel === 'tokens'
+    ? `Embedding size ${lstm.hiddenSize} · ${lstm.iterations} epochs`
+    : `[${LSTM_OPTIONS.hiddenLayers.map(() => lstm.hiddenSize).join(', ')}] · ${lstm.iterations} iterations`;
+  document.getElementById('lstmSamplingInfo').textContent =
+    sampling.strategy === 'smote'
+      ? `${describeBalance({ ...sampling, strategy: 'oversample' })} (SMOTE needs numeric inputs)`
+      : describeBalance(sampling);
+}
@@ -0,0 +1,96 @@
+/**
+ * split.js
+ * ─────────────────────────────────────────────────────────
+ * Reproducible data splitting for MedPredict:
+ *  - Seeded pseudo-random generator (mulberry32)
+ *  - In-place Fisher–Yates shuffle driven by that generator
+ *  - Stratified train / validation / test split
+ *  - Stratified k-fold cross-validation folds
+ *
+ * WHY SEEDED:
+ *   Math.random() shuffles give a different split on every
+ *   click, so two training runs are never comparable. The
+ *   same seed on the same dataset always yields the same
+ *   rows in each fold.
+ *
+ * WHY STRATIFIED:
+ *   With ~150 rows and a 22% no-show rate, a plain random
+ *   15% slice can hold only two or three no-shows. Splitting
+ *   each class separately keeps the ratio equal in all folds.
+ * ─────────────────────────────────────────────────────────
+ */
+
+/* ══════════════════════════════════════════════════════════
+   RANDOM
+══════════════════════════════════════════════════════════ */
+
+/** mulberry32 — returns a () => [0, 1) generator for an integer seed. */
+export function createRng(seed) {
+  let a = (seed >>> 0) || 1;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function shuffle(array, rng = Math.random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+/* ══════════════════════════════════════════════════════════
+   TRAIN / VALIDATION / TEST SPLIT  (stratified on noshow)
+══════════════════════════════════════════════════════════ */
+export function splitDataset(records, { train = 0.70, validation = 0.15, seed = 42 } = {}) {
+  const rng   = createRng(seed);
+  const folds = { train: [], validation: [], test: [] };
+
+  [0, 1].forEach(label => {
+    const group    = shuffle(records.filter(r => r.noshow === label), rng);
+    const trainEnd = Math.round(group.length * train);
+    const valEnd   = Math.round(group.length * (train + validation));
+    folds.train.push(...group.slice(0, trainEnd));
+    folds.validation.push(...group.slice(trainEnd, valEnd));
+    folds.test.push(...group.slice(valEnd));
+  });
+
+  // Interleave the classes again
+  shuffle(folds.train, rng);
+  shuffle(folds.validation, rng);
+  shuffle(folds.test, rng);
+  return { ...folds, seed };
+}
+
+/* ══════════════════════════════════════════════════════════
+   STRATIFIED K-FOLD
+   Each class is shuffled and dealt round-robin into k parts,
+   so every fold holds ~1/k of the show-ups and ~1/k of the
+   no-shows. Fold i tests on part i and trains on the rest.
+══════════════════════════════════════════════════════════ */
+export function stratifiedKFold(records, k = 5, seed = 42) {
+  if (k < 2) throw new Error('Cross-validation needs at least 2 folds');
+  const minority = Math.min(...[0, 1].map(l => records.filter(r => r.noshow === l).length));
+  if (minority < k)
+    throw new Error(`Only ${minority} rows in the smaller class — use k ≤ ${minority}`);
+
+  const rng   = createRng(seed);
+  const parts = Array.from({ length: k }, () => []);
+
+  // No-shows continue where show-ups stopped so fold sizes stay within one row
+  let dealt = 0;
+  [0, 1].forEach(label => {
+    shuffle(records.filter(r => r.noshow === label), rng)
+      .forEach(r => parts[dealt++ % k].push(r));
+  });
+
+  return parts.map((test, i) => ({
+    train: shuffle(parts.filter((_, j) => j !== i).flat(), rng),
+    test:  shuffle(test, rng)
+  }));
+}
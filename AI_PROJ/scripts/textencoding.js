@@ -0,0 +1,128 @@
+/**
+ * textencoding.js
+ * ─────────────────────────────────────────────────────────
+ * The LSTM's text encoding, shared by the main thread
+ * (lstm.js, free-text preview) and lstm.worker.js:
+ *  - recordToText(): record → training text, e.g.
+ *      "female age28 wait5 sms diabetes"
+ *  - cleanText(): lowercase, strip special chars, collapse
+ *    whitespace
+ *  - normalizeText(): free text typed by a user → the same
+ *    vocabulary and token order, e.g.
+ *      "28 years old woman, same day appointment, got an SMS"
+ *        → "female age28 sameday sms"
+ *    Words the encoder has no token for are reported as
+ *    `ignored`, not passed on — the LSTM never saw them.
+ *
+ * VERSIONING:
+ *   TEXT_ENCODING_VERSION is saved with every LSTM (models.js).
+ *   Any change to the tokens recordToText() emits must bump
+ *   it, since a saved LSTM only understands the texts it was
+ *   trained on. Models saved before the version was recorded
+ *   used version 1.
+ * ─────────────────────────────────────────────────────────
+ */
+
+export const TEXT_ENCODING_VERSION = 1;
+
+// Token order is fixed; features the column mapping leaves out are skipped
+export const TEXT_ORDER = [
+  'gender', 'age', 'days_wait', 'sms_received',
+  'scholarship', 'hipertension', 'diabetes', 'alcoholism'
+];
+
+/** Throws unless a saved LSTM (its `textEncoding`, 1 if missing) reads the texts built here. */
+export function checkTextEncoding(version = 1) {
+  if (version !== TEXT_ENCODING_VERSION)
+    throw new Error(`LSTM was saved with text encoding v${version}, this version builds v${TEXT_ENCODING_VERSION} texts — retrain the LSTM`);
+}
+
+/* ══════════════════════════════════════════════════════════
+   TRAINING TEXT
+══════════════════════════════════════════════════════════ */
+function featureTokens(r) {
+  return {
+    gender:       r.gender === 1 ? 'male' : 'female',
+    age:          `age${r.age}`,
+    days_wait:    r.days_wait === 0 ? 'sameday' : `wait${r.days_wait}`,
+    sms_received: r.sms_received ? 'sms' : 'nosms',
+    scholarship:  r.scholarship  ? 'scholarship' : '',
+    hipertension: r.hipertension ? 'hypertension' : '',
+    diabetes:     r.diabetes     ? 'diabetes' : '',
+    alcoholism:   r.alcoholism   ? 'alcoholism' : ''
+  };
+}
+
+export function recordToText(r, features) {
+  const tokens = featureTokens(r);
+  // Keep texts short — LSTM trains faster on short sequences
+  return TEXT_ORDER.filter(f => features.includes(f))
+    .map(f => tokens[f]).filter(Boolean).join(' ');
+}
+
+export function cleanText(text) {
+  return text.toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/* ══════════════════════════════════════════════════════════
+   FREE TEXT → TRAINING VOCABULARY
+   Rules run in order on the cleaned text; each match is cut
+   out so a number read as an age is not read again as a
+   wait. Negated conditions ("no diabetes") produce no token,
+   exactly like a training record without the condition.
+══════════════════════════════════════════════════════════ */
+// "no diabetes", "not on welfare", "no history of alcoholism"
+const NEGATION = '(?:no|not|non|without|never)\\s+(?:(?:on|a|an|any|known|history|of)\\s+)*';
+
+const RULES = [
+  { feature: 'sms_received', token: () => 'nosms',
+    pattern: /\b(?:nosms|no (?:sms|text|reminder)s?|(?:sms|text|reminder)s? not (?:received|sent)|without (?:an? )?(?:sms|text|reminder))\b/ },
+  { feature: 'sms_received', token: () => 'sms',
+    pattern: /\b(?:sms|text message|reminder)(?:s)?(?: (?:received|sent))?\b/ },
+  { feature: 'days_wait',    token: () => 'sameday',
+    pattern: /\b(?:sameday|same day|today|wait ?0|0 days?)(?: (?:appointment|visit|booking))?\b/ },
+  { feature: 'days_wait',    token: m => `wait${+m[1] || +m[2] || +m[3]}`,
+    pattern: /\bwait(?:s|ed|ing)? ?(\d+)(?: days?)?\b|\b(?:in|after) (\d+) days?\b|\b(\d+) days?(?: (?:wait(?:ing)?|ahead|later|in advance))?\b/ },
+  { feature: 'age',          token: m => `age${m[1] || m[2]}`,
+    pattern: /\bage(?:d)? ?(\d+)\b|\b(\d+) ?(?:years?|yrs?|yo|y o)(?: old)?\b/ },
+  { feature: 'gender',       token: () => 'female',
+    pattern: /\b(?:female|woman|women|girl|lady)\b/ },
+  { feature: 'gender',       token: () => 'male',
+    pattern: /\b(?:male|man|men|boy|gentleman)\b/ },
+  { feature: 'scholarship',  token: () => 'scholarship',  pattern: /\b(?:scholarship|bolsa familia|welfare)\b/, negatable: true },
+  { feature: 'hipertension', token: () => 'hypertension', pattern: /\b(?:hypertension|hipertension|hypertensive|high blood pressure)\b/, negatable: true },
+  { feature: 'diabetes',     token: () => 'diabetes',     pattern: /\bdiabet(?:es|ic)\b/, negatable: true },
+  { feature: 'alcoholism',   token: () => 'alcoholism',   pattern: /\balcohol(?:ism|ic)?\b/, negatable: true }
+];
+
+// Connecting words that carry no information of their own
+const FILLER = new Set([
+  'a', 'an', 'and', 'but', 'the', 'with', 'has', 'have', 'had', 'is', 'was', 'of', 'on', 'in', 'for',
+  'got', 'gets', 'patient', 'old', 'days', 'day', 'appointment', 'booked', 'received', 'history', 'condition'
+]);
+
+/**
+ * Normalized text plus the words that mapped to no token.
+ * `features` limits the tokens to those the model was trained with.
+ */
+export function normalizeText(text, features = TEXT_ORDER) {
+  let rest = ` ${cleanText(text)} `;
+  const found = {};
+
+  RULES.forEach(({ feature, token, pattern, negatable }) => {
+    const negated = negatable ? new RegExp(`\\b${NEGATION}${pattern.source}`) : null;
+    if (negated && negated.test(rest)) {
+      // A negated condition is the absence of the token — consume it silently
+      rest = rest.replace(negated, ' ');
+      return;
+    }
+    const match = rest.match(pattern);
+    if (!match) return;
+    rest = rest.replace(pattern, ' ');
+    if (!(feature in found)) found[feature] = token(match);
+  });
+
+  const tokens  = TEXT_ORDER.filter(f => features.includes(f) && found[f]).map(f => found[f]);
+  const ignored = rest.split(' ').filter(w => w && !FILLER.has(w));
+  return { text: tokens.join(' '), ignored };
+}
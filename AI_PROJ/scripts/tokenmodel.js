@@ -0,0 +1,162 @@
+/**
+ * tokenmodel.js
+ * ─────────────────────────────────────────────────────────
+ * Token-level text classifier, the second text model next to
+ * the character LSTM (picked in Settings, trained in
+ * lstm.worker.js on the same texts and folds):
+ *   "female age62 sameday nosms"
+ *     → tokens   female · age60-74 · sameday · nosms
+ *     → average of the token embeddings          (size d)
+ *     → tanh hidden layer                        (size d)
+ *     → sigmoid                                  P(no-show)
+ *
+ * Numbers are bucketed before the vocabulary sees them, so
+ * age62 and age63 are the same token instead of two strings
+ * the model has to learn are close. Tokens seen fewer than
+ * MIN_COUNT times in the training fold — and any token met
+ * later that it never saw — map to <unk>.
+ *
+ * Trained by plain SGD on the cross-entropy, one sample at a
+ * time; a balance.js sample `weight` scales that sample's
+ * step, as it does for the other networks.
+ *
+ * MODEL FORMAT (plain JSON, saved as the bundle's lstm.json):
+ *   { type: 'tokens', vocabulary: ['<unk>', 'female', …], size,
+ *     embeddings: [V × size], hidden: [size × size],
+ *     hiddenBias: [size], output: [size], outputBias }
+ * ─────────────────────────────────────────────────────────
+ */
+
+import { shuffle } from './split.js';
+
+export const TOKEN_MODEL_TYPE = 'tokens';
+
+const UNKNOWN   = '<unk>';
+const MIN_COUNT = 2;
+
+// Lower bounds of the bands; the last band is open-ended
+const AGE_BANDS  = [0, 12, 18, 30, 45, 60, 75];
+const WAIT_BANDS = [1, 3, 8, 15, 31];
+
+/* ══════════════════════════════════════════════════════════
+   TOKENIZER
+══════════════════════════════════════════════════════════ */
+function band(value, bounds) {
+  let i = bounds.length - 1;
+  while (i > 0 && value < bounds[i]) i--;
+  return i === bounds.length - 1 ? `${bounds[i]}+` : `${bounds[i]}-${bounds[i + 1] - 1}`;
+}
+
+/** Whitespace tokens with ages and waits bucketed: "age62" → "age60-74", "wait9" → "wait8-14". */
+export function tokenize(text) {
+  return text.split(/\s+/).filter(Boolean).map(token => {
+    const age  = token.match(/^age(\d+)$/);
+    if (age)  return `age${band(+age[1], AGE_BANDS)}`;
+    const wait = token.match(/^wait(\d+)$/);
+    if (wait) return `wait${band(+wait[1], WAIT_BANDS)}`;
+    return token;
+  });
+}
+
+function buildVocabulary(texts) {
+  const counts = {};
+  texts.forEach(text => tokenize(text).forEach(token => { counts[token] = (counts[token] || 0) + 1; }));
+  const known = Object.keys(counts).filter(token => counts[token] >= MIN_COUNT).sort();
+  return [UNKNOWN, ...known];
+}
+
+// token → vocabulary index, per model (kept off the model so it stays plain JSON)
+const indexCache = new WeakMap();
+
+/** Vocabulary indices of a text; an empty text reads as a single <unk>. */
+function encode(model, text) {
+  if (!indexCache.has(model))
+    indexCache.set(model, Object.fromEntries(model.vocabulary.map((token, i) => [token, i])));
+  const index = indexCache.get(model);
+  const ids   = tokenize(text).map(token => index[token] ?? 0);
+  return ids.length ? ids : [0];
+}
+
+/* ══════════════════════════════════════════════════════════
+   MODEL
+══════════════════════════════════════════════════════════ */
+export function createTokenModel(texts, size, rng) {
+  const vocabulary = buildVocabulary(texts);
+  const init       = (n, scale) => Array.from({ length: n }, () => (rng() * 2 - 1) * scale);
+  return {
+    type:       TOKEN_MODEL_TYPE,
+    vocabulary,
+    size,
+    embeddings: init(vocabulary.length * size, 0.5),
+    hidden:     init(size * size, Math.sqrt(3 / size)),
+    hiddenBias: new Array(size).fill(0),
+    output:     init(size, Math.sqrt(3 / size)),
+    outputBias: 0
+  };
+}
+
+/** Forward pass; keeps the intermediate values backprop needs. */
+function forward(model, ids) {
+  const { size, embeddings, hidden, hiddenBias, output } = model;
+  const mean = new Array(size).fill(0);
+  ids.forEach(id => {
+    for (let j = 0; j < size; j++) mean[j] += embeddings[id * size + j] / ids.length;
+  });
+
+  const activation = new Array(size);
+  let logit = model.outputBias;
+  for (let i = 0; i < size; i++) {
+    let sum = hiddenBias[i];
+    for (let j = 0; j < size; j++) sum += hidden[i * size + j] * mean[j];
+    activation[i] = Math.tanh(sum);
+    logit += output[i] * activation[i];
+  }
+  return { mean, activation, prob: 1 / (1 + Math.exp(-logit)) };
+}
+
+/** P(no-show) for a cleaned text. */
+export function scoreTokens(model, text) {
+  return forward(model, encode(model, text)).prob;
+}
+
+/* ══════════════════════════════════════════════════════════
+   TRAINING
+══════════════════════════════════════════════════════════ */
+function trainSample(model, ids, target, rate) {
+  const { size, embeddings, hidden, hiddenBias, output } = model;
+  const { mean, activation, prob } = forward(model, ids);
+  const delta = prob - target;   // d(cross-entropy) / d(logit)
+
+  const meanGrad = new Array(size).fill(0);
+  for (let i = 0; i < size; i++) {
+    const hiddenGrad = delta * output[i] * (1 - activation[i] ** 2);
+    output[i]     -= rate * delta * activation[i];
+    hiddenBias[i] -= rate * hiddenGrad;
+    for (let j = 0; j < size; j++) {
+      meanGrad[j]          += hiddenGrad * hidden[i * size + j];
+      hidden[i * size + j] -= rate * hiddenGrad * mean[j];
+    }
+  }
+  model.outputBias -= rate * delta;
+  ids.forEach(id => {
+    for (let j = 0; j < size; j++) embeddings[id * size + j] -= rate * meanGrad[j] / ids.length;
+  });
+
+  const p = Math.min(Math.max(prob, 1e-7), 1 - 1e-7);
+  return -(target * Math.log(p) + (1 - target) * Math.log(1 - p));
+}
+
+/**
+ * One epoch over the samples ({ input, noshow, weight? }) in a
+ * fresh random order. Returns the mean weighted cross-entropy.
+ */
+export function trainTokenEpoch(model, samples, learningRate, rng) {
+  let loss  = 0;
+  let total = 0;
+  shuffle(samples.slice(), rng).forEach(s => {
+    const weight = s.weight ?? 1;
+    loss  += weight * trainSample(model, encode(model, s.input), s.noshow, learningRate * weight);
+    total += weight;
+  });
+  return total ? loss / total : 0;
+}
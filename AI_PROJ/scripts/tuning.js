@@ -0,0 +1,347 @@
+/**
+ * tuning.js
+ * ─────────────────────────────────────────────────────────
+ * Hyperparameter search for the feedforward network:
+ *  - Search space: lists of hidden-layer layouts,
+ *    activations, learning rates, iterations and
+ *    class-balance ratios (with the balancing strategy
+ *    picked in Settings; no ratios without balancing)
+ *  - Grid search (every combination) or random search
+ *    (n draws, learning rate log-uniform between the
+ *    smallest and largest listed value)
+ *  - Trials run in a pool of nn.worker.js workers, one
+ *    candidate per worker at a time; the first worker
+ *    balances the training fold for every ratio beforehand
+ *  - Each trial is scored on the validation fold (no-show
+ *    F1 at the active threshold, or ROC-AUC); the test fold
+ *    stays untouched until a trial is promoted
+ *  - Leaderboard table and promotion of a trial's network
+ *    to the live model (no retraining)
+ *
+ * All trials share one split (the seed set on the train
+ * card) and one balanced training fold per ratio — made once
+ * before the first trial, reused by every trial with that
+ * ratio and by promotion — so the only thing that differs
+ * between two rows of the leaderboard is the candidate
+ * itself — and brain.js's random initial weights.
+ * ─────────────────────────────────────────────────────────
+ */
+
+import { dataset, decision, ACTIVATIONS, TRAIN_OPTIONS, SAMPLING_OPTIONS } from './config.js';
+import { splitDataset, createRng, shuffle } from './split.js';
+import { trainingFeatures, fitInputBounds, buildTrainingSamples, buildInputVector, commitNetwork } from './functions.js';
+import { evaluate, summarizeEvaluation, formatPct } from './metrics.js';
+import { currentSettings, validateSettings, parseHiddenLayers } from './settings.js';
+import { shortBalance } from './balance.js';
+
+export const MAX_TRIALS = 100;
+
+export const TUNING_METRICS = {
+  f1:     { label: 'Val F1 (No-Show)', format: v => formatPct(v) + '%' },
+  rocAuc: { label: 'Val ROC-AUC',      format: v => v.toFixed(3)       }
+};
+
+export const DEFAULT_SEARCH_SPACE = {
+  hiddenLayers: [[6], [10], [10, 6], [16, 8]],
+  activation:   ['sigmoid', 'relu', 'tanh'],
+  learningRate: [0.003, 0.01, 0.03],
+  iterations:   [2000, 5000],
+  ratio:        [0.5, 1]
+};
+
+let pool = [];     // live workers
+let run  = null;   // { folds, bounds, features, seed, metric, results, samples }
+
+/* ══════════════════════════════════════════════════════════
+   CANDIDATES
+   A candidate has the { network, training, sampling } shape
+   trainModel() copies from the settings, so a promoted trial
+   is indistinguishable from a normal training run.
+══════════════════════════════════════════════════════════ */
+function makeCandidate({ hiddenLayers, activation, learningRate, iterations, ratio }) {
+  return {
+    network:  { hiddenLayers: hiddenLayers.slice(), activation },
+    training: { iterations, errorThresh: TRAIN_OPTIONS.errorThresh, learningRate },
+    sampling: { strategy: SAMPLING_OPTIONS.strategy, ratio }
+  };
+}
+
+function gridCandidates(space) {
+  const keys   = Object.keys(space);
+  const combos = keys.reduce(
+    (acc, key) => acc.flatMap(combo => space[key].map(value => ({ ...combo, [key]: value }))),
+    [{}]
+  );
+  return combos.map(makeCandidate);
+}
+
+function randomCandidates(space, trials, rng) {
+  const pick = list => list[Math.floor(rng() * list.length)];
+  const lo   = Math.log(Math.min(...space.learningRate));
+  const hi   = Math.log(Math.max(...space.learningRate));
+
+  return Array.from({ length: trials }, () => makeCandidate({
+    hiddenLayers: pick(space.hiddenLayers),
+    activation:   pick(space.activation),
+    learningRate: +Math.exp(lo + rng() * (hi - lo)).toPrecision(2),
+    iterations:   pick(space.iterations),
+    ratio:        pick(space.ratio)
+  }));
+}
+
+/**
+ * Candidates to try, in random order for grid search too, so a
+ * cancelled search has still sampled the whole space. Throws when the
+ * grid is too large or a value is outside the Settings limits.
+ */
+export function buildCandidates(space, { method = 'grid', trials = 20, seed = 42 } = {}) {
+  // Without balancing every ratio trains on the same samples — identical trials
+  if (SAMPLING_OPTIONS.strategy === 'none') space = { ...space, ratio: [SAMPLING_OPTIONS.ratio] };
+
+  Object.entries(space).forEach(([key, values]) => {
+    if (!values.length) throw new Error(`Search space: no values for ${key}`);
+  });
+
+  const rng = createRng(seed);
+  let candidates;
+  if (method === 'random') {
+    if (!Number.isInteger(trials) || trials < 1 || trials > MAX_TRIALS)
+      throw new Error(`Random search: trials must be between 1 and ${MAX_TRIALS}`);
+    candidates = randomCandidates(space, trials, rng);
+  } else {
+    const size = Object.values(space).reduce((n, values) => n * values.length, 1);
+    if (size > MAX_TRIALS)
+      throw new Error(`Grid has ${size} combinations (max ${MAX_TRIALS}) — remove some values or use random search`);
+    candidates = shuffle(gridCandidates(space), rng);
+  }
+
+  const base = currentSettings();
+  candidates.forEach(c => validateSettings({ ...base, ...c }));
+  return candidates;
+}
+
+/* ══════════════════════════════════════════════════════════
+   WORKER POOL
+══════════════════════════════════════════════════════════ */
+export function defaultPoolSize() {
+  return Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+}
+
+/**
+ * Runs every candidate and reports each finished trial:
+ *   { id, options, score, metrics, stats, json, ms } or
+ *   { id, options, error } — `metrics` are validation-fold scalars.
+ */
+export function runTuning({ candidates, metric, seed, poolSize, onTrial, onProgress, onDone, onError }) {
+  cancelTuning();
+
+  const folds      = splitDataset(dataset.records, { seed });
+  const features   = trainingFeatures();
+  const bounds     = fitInputBounds(folds.train, features);
+  const validation = folds.validation.map(r => ({ input: buildInputVector(r, features, bounds), noshow: r.noshow }));
+  const samplings  = [...new Map(candidates.map(c => [c.sampling.ratio, c.sampling])).values()];
+  const results    = [];
+  const running    = new Map();   // trial id → { fraction, started }
+  let next         = 0;
+
+  // samples: ratio → balanced training fold, filled by the 'balance' job
+  const current = run = { folds, bounds, features, seed, metric, results, samples: null };
+
+  const reportProgress = () => {
+    const inFlight = [...running.values()].reduce((sum, t) => sum + t.fraction, 0);
+    onProgress({ done: results.length, total: candidates.length, pct: Math.round(100 * (results.length + inFlight) / candidates.length) });
+  };
+
+  const dispatch = worker => {
+    if (next >= candidates.length) {
+      worker.terminate();
+      pool = pool.filter(w => w !== worker);
+      if (!pool.length) onDone(results);
+      return;
+    }
+    const id      = next++;
+    const options = candidates[id];
+    running.set(id, { fraction: 0, started: Date.now() });
+    worker.postMessage({
+      type:     'trial',
+      id,
+      samples:  current.samples.get(options.sampling.ratio),
+      validation,
+      network:  options.network,
+      training: options.training
+    });
+  };
+
+  const finishTrial = (worker, trial) => {
+    running.delete(trial.id);
+    results.push(trial);
+    onTrial(trial, results);
+    reportProgress();
+    dispatch(worker);
+  };
+
+  const size = Math.min(poolSize, candidates.length);
+  for (let i = 0; i < size; i++) {
+    const worker = new Worker('./scripts/nn.worker.js', { type: 'module' });
+
+    worker.onmessage = (e) => {
+      if (run !== current) return;
+      const msg = e.data;
+      switch (msg.type) {
+        case 'balanced':
+          current.samples = new Map(samplings.map((s, i) => [s.ratio, msg.sets[i]]));
+          pool.slice().forEach(dispatch);
+          break;
+        case 'trialProgress':
+          running.get(msg.id).fraction = msg.fraction;
+          reportProgress();
+          break;
+        case 'trial': {
+          const ev = evaluate(msg.predictions.map(p => p.actual), msg.predictions.map(p => p.prob), decision.threshold);
+          finishTrial(worker, {
+            id:      msg.id,
+            options: candidates[msg.id],
+            score:   ev[metric],
+            metrics: summarizeEvaluation(ev),
+            stats:   msg.stats,
+            json:    msg.json,
+            ms:      Date.now() - running.get(msg.id).started
+          });
+          break;
+        }
+        case 'error':
+          if (msg.id === undefined) {
+            // The balancing job failed: no trial can run
+            cancelTuning();
+            onError(new Error(msg.message));
+            break;
+          }
+          finishTrial(worker, { id: msg.id, options: candidates[msg.id], error: msg.message });
+          break;
+      }
+    };
+
+    worker.onerror = (err) => {
+      if (run !== current) return;
+      cancelTuning();
+      onError(new Error(err.message || 'Worker error'));
+    };
+
+    pool.push(worker);
+  }
+  pool[0].postMessage({ type: 'balance', samples: buildTrainingSamples(folds.train, bounds, features), samplings, seed });
+}
+
+/** Stops all workers; finished trials stay on the leaderboard and can still be promoted. True if a search was running. */
+export function cancelTuning() {
+  const wasRunning = pool.length > 0;
+  pool.forEach(w => w.terminate());
+  pool = [];
+  return wasRunning;
+}
+
+/** Forgets the last search (e.g. after a dataset swap — its networks no longer fit). */
+export function resetTuning() {
+  cancelTuning();
+  run = null;
+}
+
+/* ══════════════════════════════════════════════════════════
+   RESULTS / PROMOTION
+══════════════════════════════════════════════════════════ */
+
+/** Finished trials, best first; failed trials last. */
+export function rankTrials(results) {
+  return results.slice().sort((a, b) =>
+    (b.error ? -Infinity : b.score) - (a.error ? -Infinity : a.score) || a.id - b.id);
+}
+
+export function bestTrial() {
+  const ranked = run ? rankTrials(run.results) : [];
+  return ranked.length && !ranked[0].error ? ranked[0] : null;
+}
+
+/**
+ * Makes a trial's network the live model on the split and bounds the
+ * search used. Returns the trial (its `options` become the settings).
+ */
+export function promoteTrial(id) {
+  const trial = run && run.results.find(t => t.id === id && !t.error);
+  if (!trial) throw new Error('Trial not found — run the search again');
+  const { folds, bounds, features, samples } = run;
+  commitNetwork({
+    json:         trial.json,
+    options:      trial.options,
+    folds,
+    bounds,
+    features,
+    trainingData: samples.get(trial.options.sampling.ratio)
+  });
+  return trial;
+}
+
+/* ══════════════════════════════════════════════════════════
+   DOM HELPERS  (search form + leaderboard)
+══════════════════════════════════════════════════════════ */
+const listText = values => values.join(', ');
+
+export function renderTuningForm(space = DEFAULT_SEARCH_SPACE) {
+  document.getElementById('tuneHiddenLayers').value  = space.hiddenLayers.map(listText).join(' | ');
+  document.getElementById('tuneLearningRate').value  = listText(space.learningRate);
+  document.getElementById('tuneIterations').value    = listText(space.iterations);
+  document.getElementById('tuneRatio').value         = listText(space.ratio);
+  document.getElementById('tuneActivations').innerHTML = ACTIVATIONS.map(a => `
+    <label class="batch-option">
+      <input type="checkbox" value="${a}" ${space.activation.includes(a) ? 'checked' : ''} /> ${a}
+    </label>
+  `).join('');
+  document.getElementById('tuneWorkers').value = defaultPoolSize();
+}
+
+/** Search space as typed in the form ("10, 6 | 16, 8" = two layouts). */
+export function readTuningForm() {
+  const numbers = id => document.getElementById(id).value.split(/[\s,;]+/).filter(Boolean).map(Number);
+  return {
+    hiddenLayers: document.getElementById('tuneHiddenLayers').value.split('|').map(parseHiddenLayers).filter(l => l.length),
+    activation:   [...document.querySelectorAll('#tuneActivations input:checked')].map(cb => cb.value),
+    learningRate: numbers('tuneLearningRate'),
+    iterations:   numbers('tuneIterations'),
+    ratio:        numbers('tuneRatio')
+  };
+}
+
+export function renderLeaderboard(results, { metric, promotedId = null }) {
+  const best = bestTrial();
+  document.getElementById('tuneTableBody').innerHTML = rankTrials(results).map((t, rank) => {
+    const { network, training, sampling } = t.options;
+    const setup = `
+      <td>[${network.hiddenLayers.join(', ')}]</td>
+      <td>${network.activation}</td>
+      <td>${training.learningRate}</td>
+      <td>${training.iterations}</td>
+      <td>${shortBalance(sampling)}</td>
+    `;
+    if (t.error) return `
+      <tr>
+        <td style="color:var(--muted)">—</td><td>#${t.id + 1}</td>${setup}
+        <td colspan="4" class="registry-muted">[ERROR] ${t.error}</td><td></td>
+      </tr>
+    `;
+    return `
+      <tr class="${best && t.id === best.id ? 'tune-best' : ''}" data-id="${t.id}">
+        <td>${rank + 1}</td>
+        <td>#${t.id + 1}</td>
+        ${setup}
+        <td class="${metric === 'f1' ? 'tune-score' : ''}">${TUNING_METRICS.f1.format(t.metrics.f1)}</td>
+        <td class="${metric === 'rocAuc' ? 'tune-score' : ''}">${TUNING_METRICS.rocAuc.format(t.metrics.rocAuc)}</td>
+        <td class="registry-muted">${t.stats.iterations} it · err ${t.stats.error.toFixed(4)}</td>
+        <td class="registry-muted">${(t.ms / 1000).toFixed(1)} s</td>
+        <td class="registry-actions">
+          ${t.id === promotedId
+            ? '<span class="registry-active">active</span>'
+            : '<button class="btn-secondary" data-action="promote" type="button">Promote</button>'}
+        </td>
+      </tr>
+    `;
+  }).join('');
+}